@@ -0,0 +1,104 @@
+/**
+ * Migrates legacy chat messages out of the flat shared collection
+ *
+ *   artifacts/{appId}/public/data/messages/{id}  (with a `roomId` field)
+ *     -> artifacts/{appId}/public/data/rooms/{roomId}/messages/{id}
+ *
+ * Doc ids and fields are kept; `roomId` and `members` are dropped because the
+ * path now carries the room. Messages without an `expiresAt` get the same 24h
+ * backstop new messages use, and rooms that have no room doc yet get a closed
+ * one so the security rules can resolve their members.
+ *
+ * Runs with admin credentials, so it bypasses firestore.rules:
+ *   GOOGLE_APPLICATION_CREDENTIALS=./service-account.json npm run migrate:messages -- --project my-project
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 npm run migrate:messages -- --project demo-stranger --dry-run
+ *
+ * Options:
+ *   --project <id>   Firebase project id (defaults to GCLOUD_PROJECT)
+ *   --app-id <id>    artifacts/{appId} to migrate (default: stranger-app-v1)
+ *   --dry-run        Only report what would move
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+
+const MESSAGE_BACKSTOP_TTL_MS = 24 * 60 * 60 * 1000;
+const MESSAGES_PER_BATCH = 200; // two writes each, well under the 500 write limit
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+};
+
+const projectId = readOption('--project', process.env.GCLOUD_PROJECT);
+const appId = readOption('--app-id', 'stranger-app-v1');
+const dryRun = process.argv.includes('--dry-run');
+
+initializeApp(projectId ? { projectId } : undefined);
+const db = getFirestore();
+
+const dataRef = db.collection('artifacts').doc(appId).collection('public').doc('data');
+const flatMessagesRef = dataRef.collection('messages');
+const roomsRef = dataRef.collection('rooms');
+
+const membersFromRoomId = (roomId) => roomId.replace(/^room_/, '').split('_').sort();
+
+const ensuredRooms = new Set();
+const ensureRoomDoc = async (roomId) => {
+  if (ensuredRooms.has(roomId)) return;
+  ensuredRooms.add(roomId);
+
+  const roomRef = roomsRef.doc(roomId);
+  if ((await roomRef.get()).exists) return;
+
+  console.log(`  creating closed room doc for ${roomId}`);
+  if (!dryRun) {
+    await roomRef.set({ status: 'closed', members: membersFromRoomId(roomId), openedAt: null });
+  }
+};
+
+const migrate = async () => {
+  console.log(`Migrating flat messages in artifacts/${appId}${dryRun ? ' (dry run)' : ''}`);
+
+  let moved = 0;
+  let skipped = 0;
+  let lastDoc = null;
+
+  for (;;) {
+    // Page by document name; the cursor still works after its doc has been moved
+    let pageQuery = flatMessagesRef.orderBy('__name__').limit(MESSAGES_PER_BATCH);
+    if (lastDoc) pageQuery = pageQuery.startAfter(lastDoc);
+    const page = await pageQuery.get();
+    if (page.empty) break;
+    lastDoc = page.docs[page.docs.length - 1];
+
+    const batch = db.batch();
+    let batchHasMoves = false;
+
+    for (const messageDoc of page.docs) {
+      const { roomId, members: _members, ...data } = messageDoc.data();
+      if (!roomId) {
+        console.warn(`  skipping ${messageDoc.id}: no roomId`);
+        skipped += 1;
+        continue;
+      }
+
+      await ensureRoomDoc(roomId);
+      batch.set(roomsRef.doc(roomId).collection('messages').doc(messageDoc.id), {
+        ...data,
+        expiresAt: data.expiresAt ?? Timestamp.fromMillis(Date.now() + MESSAGE_BACKSTOP_TTL_MS)
+      });
+      batch.delete(messageDoc.ref);
+      batchHasMoves = true;
+      moved += 1;
+    }
+
+    if (!dryRun && batchHasMoves) await batch.commit();
+  }
+
+  console.log(`${dryRun ? 'Would move' : 'Moved'} ${moved} messages across ${ensuredRooms.size} rooms, skipped ${skipped}.`);
+};
+
+migrate().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exitCode = 1;
+});
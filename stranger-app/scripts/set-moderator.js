@@ -0,0 +1,60 @@
+/**
+ * Grants or revokes access to the moderation console
+ *
+ *   moderators/{uid}  allow-list read by firestore.rules; takes effect right away
+ *   moderator claim   custom claim, only with --claim; the user picks it up the
+ *                     next time the console opens, which refreshes their token
+ *
+ * Sessions are anonymous, so the uid to pass is the one the console shows to
+ * anyone who is not a moderator yet (open the app at #/moderation).
+ *
+ * Runs with admin credentials, so it bypasses firestore.rules:
+ *   GOOGLE_APPLICATION_CREDENTIALS=./service-account.json npm run moderator -- <uid> --project my-project
+ *   FIRESTORE_EMULATOR_HOST=127.0.0.1:8080 FIREBASE_AUTH_EMULATOR_HOST=127.0.0.1:9099 npm run moderator -- <uid> --claim --project demo-stranger
+ *
+ * Options:
+ *   --project <id>   Firebase project id (defaults to GCLOUD_PROJECT)
+ *   --claim          Also set the `moderator` custom claim
+ *   --revoke         Take the uid off the allow-list and clear its claim
+ */
+import { initializeApp } from 'firebase-admin/app';
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+
+const readOption = (name, fallback) => {
+  const index = process.argv.indexOf(name);
+  return index !== -1 ? process.argv[index + 1] : fallback;
+};
+
+const projectId = readOption('--project', process.env.GCLOUD_PROJECT);
+const withClaim = process.argv.includes('--claim');
+const revoke = process.argv.includes('--revoke');
+const uid = process.argv.slice(2).find((arg, i, args) => !arg.startsWith('--') && args[i - 1] !== '--project');
+
+initializeApp(projectId ? { projectId } : undefined);
+
+const setModerator = async () => {
+  if (!uid) {
+    console.error('Usage: npm run moderator -- <uid> [--claim] [--revoke] [--project <id>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const moderatorRef = getFirestore().collection('moderators').doc(uid);
+  if (revoke) await moderatorRef.delete();
+  else await moderatorRef.set({ grantedAt: FieldValue.serverTimestamp() });
+
+  if (withClaim || revoke) {
+    const auth = getAuth();
+    const { customClaims = {} } = await auth.getUser(uid);
+    const { moderator: _moderator, ...otherClaims } = customClaims;
+    await auth.setCustomUserClaims(uid, revoke ? otherClaims : { ...otherClaims, moderator: true });
+  }
+
+  console.log(`${revoke ? 'Revoked' : 'Granted'} moderator access for ${uid}${withClaim && !revoke ? ' (allow-list and claim)' : ''}.`);
+};
+
+setModerator().catch((err) => {
+  console.error('Could not update moderator access:', err);
+  process.exitCode = 1;
+});
@@ -0,0 +1,945 @@
+/**
+ * Self-hosted chat server for the `websocket` backend (src/backend/websocket.js)
+ *
+ * Everything lives in memory: sessions, the matchmaking pool, rooms, presence,
+ * messages and shared images. Restarting the server forgets all of it, and
+ * clients simply sign in again. Messages and images arrive already end-to-end
+ * encrypted, so the server only ever stores ciphertext, just like Firebase does.
+ *
+ *   npm run server                   listens on ws://localhost:8787
+ *   PORT=9000 npm run server
+ *   MATCH_WIDEN_AFTER_MS=5000 npm run server
+ *   MODERATOR_UIDS=u_1234,u_5678 npm run server   uids allowed into the moderation console
+ *   MODERATORS_FILE=./moderators.txt npm run server   same, one uid per line, re-read on every check
+ *     so a uid can be added without a restart (which would forget every session)
+ *
+ * Access checks mirror firestore.rules: only room members read or write a
+ * room, senders only write and edit their own messages, only the receiver
+ * stamps receipts, members only change their own reaction, and teardown is
+ * only allowed once the room is closed. Image checks mirror storage.rules.
+ * The anti-spam limits from src/rateLimit.js apply per uid: message gaps and
+ * bursts, ciphertext size, and a lockout for restarting searches in a loop.
+ * A banned uid (see src/moderation.js) is kept out of the pool and cannot send
+ * or edit messages; only moderators read reports and set bans.
+ * Circles gather in a room of their own, like on Firebase (see CIRCLES below).
+ * Contacts (two strangers who both chose to keep in touch) get a room of their
+ * own as well, which stays until either revokes it; see 'contact:create'.
+ *
+ * Protocol (JSON frames):
+ *   -> { type: 'auth', token }                      token null creates a new anonymous uid
+ *   <- { type: 'auth', uid, token } | { type: 'auth', error }
+ *   -> { type: <request>, requestId, ... }          see REQUEST_HANDLERS
+ *   <- { type: 'result', requestId, data?, error? }
+ *   -> { type: 'subscribe', subId, topic, roomId, limit? }   topic: room | presence | circlePresence | messages | signals
+ *                                                           | ban (our own) | reports | bans | stats (moderators)
+ *   -> { type: 'unsubscribe', subId }
+ *   <- { type: 'event', subId, data?, error? }
+ *   -> { type: 'match:join', profile, recentPartnerUids, circleSize? } | { type: 'match:leave' } | { type: 'match:respond', proposalId, accept }
+ *   <- { type: 'match', event: 'status', status } | { event: 'proposal', proposalId, partnerUid }
+ *      | { event: 'found', roomId, partner } | { event: 'found', roomId, circle: { size, members } }
+ *      status is waiting | widened | proposed | locked (too many searches, see src/rateLimit.js) | banned
+ *      | gathering (with `count` and `size`, while a circle fills up)
+ */
+import { randomBytes, randomUUID } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { WebSocketServer } from 'ws';
+import { createRoomId, createCircleId, createContactId, isCircleSize, rankCandidates, preferNewPartners } from '../src/matching.js';
+import {
+  MAX_CIPHERTEXT_LENGTH,
+  MESSAGE_MIN_INTERVAL_MS,
+  MESSAGE_BURST_LIMIT,
+  MESSAGE_BURST_WINDOW_MS,
+  SEARCH_LIMIT,
+  SEARCH_WINDOW_MS,
+  MATCH_LOCKOUT_MS,
+} from '../src/rateLimit.js';
+import { isBanActive, cleanBanReason, MODERATION_STATS_INTERVAL_MS, MESSAGE_RATE_WINDOW_MS } from '../src/moderation.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const MATCH_WIDEN_AFTER_MS = Number(process.env.MATCH_WIDEN_AFTER_MS) || 15000;
+const MATCH_TICK_MS = 2000;
+const PROPOSAL_TIMEOUT_MS = 10000;
+const EXPIRY_SWEEP_MS = 30000;
+// Messages without an expiry get this one when their room closes, as in backend/firebase.js
+const MESSAGE_BACKSTOP_TTL_MS = 24 * 60 * 60 * 1000;
+const PING_INTERVAL_MS = 30000;
+// A refused pair may be proposed again after this; also how often stale state is swept
+const DECLINE_MEMORY_MS = 60 * 60 * 1000;
+const STATE_SWEEP_MS = 5 * 60 * 1000;
+// Leaves room for one base64-encoded image per frame
+const MAX_FRAME_BYTES = 2 * 1024 * 1024;
+const MAX_IMAGE_BYTES = 1100 * 1024;
+const RECEIPT_FIELDS = ['deliveredAt', 'seenAt'];
+const PRESENCE_STATES = ['active', 'away', 'left'];
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const MAX_REACTION_LENGTH = 16;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const MODERATOR_UIDS = new Set((process.env.MODERATOR_UIDS || '').split(',').map((uid) => uid.trim()).filter(Boolean));
+const MODERATORS_FILE = process.env.MODERATORS_FILE;
+const MODERATION_TOPICS = ['reports', 'bans', 'stats'];
+const REPORT_OUTCOMES = ['resolved', 'dismissed'];
+const PRESENCE_TOPICS = ['presence', 'circlePresence'];
+
+class RequestError extends Error {}
+
+// ====================================
+// STATE
+// ====================================
+const sessions = new Map();     // token -> uid
+const clients = new Set();      // { ws, uid, subscriptions: Map<subId, { topic, roomId, limit }> }
+const pool = new Map();         // uid -> { uid, client, profile, recentPartnerUids, joinedAt, status: 'waiting' | 'proposed', widenedSent }
+const proposals = new Map();    // proposalId -> { entries: [a, b], accepted: Set<uid>, timer }
+const declinedPairs = new Map(); // createRoomId(a, b) of pairs one side refused -> when, for DECLINE_MEMORY_MS
+const rooms = new Map();        // roomId -> { status, members, openedAt, closedBy, closedAt, presence: Map, messages: Map, images: Map }
+                                // pairs add { keepInTouch }; circles add { kind: 'circle', circleSize, roster, departedAt,
+                                // keyholder, keyShares, createdAt }; contacts add { kind: 'contact', fromRoomId }
+const gatheringCircles = new Map(); // uid -> { roomId, client } while waiting for a circle to fill up
+const reports = [];             // oldest first, { id, ...report, status, timestamp, resolvedBy?, resolvedAt? }
+const bans = new Map();         // uid -> { until, reason, bannedBy, createdAt }
+const recentSends = [];         // when each message of the last minute was sent, for the console's stats
+const rateLimits = new Map();   // uid -> { sentAt: [], searches: [], lockedUntil }
+let messageSeq = 0;             // tie-breaker for messages stamped in the same millisecond
+
+const sendFrame = (client, frame) => {
+  if (client.ws.readyState === client.ws.OPEN) client.ws.send(JSON.stringify(frame));
+};
+
+const getRateLimits = (uid) => {
+  if (!rateLimits.has(uid)) rateLimits.set(uid, { sentAt: [], searches: [], lockedUntil: null });
+  return rateLimits.get(uid);
+};
+
+// Same limits as the client's send limiter, minus its safety margin
+const checkSendRate = (uid, now = Date.now()) => {
+  const limits = getRateLimits(uid);
+  limits.sentAt = limits.sentAt.filter((at) => now - at < MESSAGE_BURST_WINDOW_MS);
+  const last = limits.sentAt[limits.sentAt.length - 1];
+  if ((last !== undefined && now - last < MESSAGE_MIN_INTERVAL_MS) || limits.sentAt.length >= MESSAGE_BURST_LIMIT) {
+    throw new RequestError('rate-limited');
+  }
+  limits.sentAt.push(now);
+};
+
+// Returns true when this uid may not join the pool right now
+const isSearchLocked = (uid, now = Date.now()) => {
+  const limits = getRateLimits(uid);
+  if (limits.lockedUntil > now) return true;
+  limits.searches = [...limits.searches.filter((at) => now - at < SEARCH_WINDOW_MS), now];
+  if (limits.searches.length <= SEARCH_LIMIT) return false;
+  limits.lockedUntil = now + MATCH_LOCKOUT_MS;
+  limits.searches = [];
+  return true;
+};
+
+const isModeratorUid = (uid) => {
+  if (MODERATOR_UIDS.has(uid)) return true;
+  if (!MODERATORS_FILE) return false;
+  try {
+    return readFileSync(MODERATORS_FILE, 'utf8').split('\n').some((line) => line.trim() === uid);
+  } catch (err) {
+    console.error("❌ Could not read MODERATORS_FILE:", err.message);
+    return false;
+  }
+};
+
+const requireModerator = (client) => {
+  if (!isModeratorUid(client.uid)) throw new RequestError('permission-denied');
+};
+
+const getActiveBan = (uid) => {
+  const ban = bans.get(uid);
+  return isBanActive(ban) ? ban : null;
+};
+
+const isOwnImage = (ref, uid) => typeof ref === 'string' && ref.startsWith(`${uid}/`);
+
+const getMemberRoom = (roomId, uid) => {
+  const room = rooms.get(roomId);
+  if (!room || !room.members.includes(uid)) throw new RequestError('permission-denied');
+  return room;
+};
+
+// ====================================
+// SUBSCRIPTIONS
+// ====================================
+const roomSnapshot = (room) => room && {
+  status: room.status,
+  members: room.members,
+  openedAt: room.openedAt,
+  closedBy: room.closedBy,
+  closedAt: room.closedAt,
+  ...(!room.kind && { keepInTouch: room.keepInTouch }),
+  ...(room.kind === 'contact' && { kind: room.kind, fromRoomId: room.fromRoomId }),
+  ...(room.kind === 'circle' && {
+    kind: room.kind,
+    circleSize: room.circleSize,
+    roster: room.roster,
+    departedAt: room.departedAt,
+    keyholder: room.keyholder,
+    keyShares: room.keyShares,
+  }),
+};
+
+const partnerPresence = (room, uid) => {
+  const partnerUid = room.members.find((member) => member !== uid);
+  return room.presence.get(partnerUid) ?? null;
+};
+
+// `seq` is internal ordering only
+const toPublicMessage = (message) => {
+  const { seq: _seq, ...rest } = message;
+  return rest;
+};
+
+const latestMessages = (room, limit) => {
+  const all = [...room.messages.values()].sort((a, b) => a.timestamp - b.timestamp || a.seq - b.seq);
+  return {
+    messages: all.slice(-limit).map(toPublicMessage),
+    hasMore: all.length > limit,
+  };
+};
+
+const moderationStats = (now = Date.now()) => {
+  while (recentSends.length > 0 && now - recentSends[0] >= MESSAGE_RATE_WINDOW_MS) recentSends.shift();
+  return {
+    poolSize: pool.size,
+    activeRooms: [...rooms.values()].filter((room) => room.status === 'open').length,
+    messagesPerMinute: recentSends.length,
+  };
+};
+
+const readModerationTopic = (topic) => {
+  if (topic === 'reports') return reports.filter((report) => report.status === 'open').reverse();
+  if (topic === 'bans') {
+    return [...bans]
+      .filter(([, ban]) => isBanActive(ban))
+      .map(([uid, ban]) => ({ uid, ...ban }))
+      .sort((a, b) => b.createdAt - a.createdAt);
+  }
+  return moderationStats();
+};
+
+const readTopic = (client, { topic, roomId, limit }) => {
+  if (topic === 'ban') {
+    const ban = getActiveBan(client.uid);
+    return ban && { until: ban.until, reason: ban.reason };
+  }
+  if (MODERATION_TOPICS.includes(topic)) {
+    requireModerator(client);
+    return readModerationTopic(topic);
+  }
+
+  const room = rooms.get(roomId);
+  if (topic === 'room') {
+    // Like the rules: a room that does not exist yet reads as null
+    if (room && !room.members.includes(client.uid)) throw new RequestError('permission-denied');
+    return roomSnapshot(room) ?? null;
+  }
+  getMemberRoom(roomId, client.uid);
+  if (topic === 'presence') return partnerPresence(room, client.uid);
+  if (topic === 'circlePresence') return Object.fromEntries([...room.presence].filter(([uid]) => uid !== client.uid));
+  if (topic === 'messages') return latestMessages(room, limit);
+  // Signals are pushed as they arrive (see 'signal:send'); there is nothing to replay
+  if (topic === 'signals') return null;
+  throw new RequestError('unknown-topic');
+};
+
+const pushEvent = (client, subId, subscription) => {
+  try {
+    sendFrame(client, { type: 'event', subId, data: readTopic(client, subscription) });
+  } catch (err) {
+    sendFrame(client, { type: 'event', subId, error: err.message });
+  }
+};
+
+const notifyRoom = (roomId, topics) => {
+  clients.forEach((client) => {
+    client.subscriptions.forEach((subscription, subId) => {
+      if (subscription.roomId === roomId && topics.includes(subscription.topic)) pushEvent(client, subId, subscription);
+    });
+  });
+};
+
+// Topics that are not about a room; `uid` limits the push to that user's clients
+const notifyTopics = (topics, uid = null) => {
+  clients.forEach((client) => {
+    if (uid && client.uid !== uid) return;
+    client.subscriptions.forEach((subscription, subId) => {
+      if (topics.includes(subscription.topic)) pushEvent(client, subId, subscription);
+    });
+  });
+};
+
+// ====================================
+// MATCHMAKING
+// ====================================
+// Pairs are proposed to both sides first, because only each client can check its
+// own device-local block list; the room opens once both accept.
+const sendMatch = (entry, frame) => sendFrame(entry.client, { type: 'match', ...frame });
+
+const isWidened = (entry, now) => now - entry.joinedAt >= MATCH_WIDEN_AFTER_MS;
+
+const openRoom = (a, b) => {
+  const roomId = createRoomId(a.uid, b.uid);
+  // The same pair always shares a room id; reopening keeps whatever was not torn down
+  const room = rooms.get(roomId) ?? { presence: new Map(), messages: new Map(), images: new Map() };
+  Object.assign(room, {
+    status: 'open',
+    members: [a.uid, b.uid].sort(),
+    openedAt: Date.now(),
+    closedBy: null,
+    closedAt: null,
+    keepInTouch: {},
+  });
+  rooms.set(roomId, room);
+  notifyRoom(roomId, ['room']);
+  return roomId;
+};
+
+const partnerInfo = ({ uid, profile }) => ({
+  uid,
+  identity: profile.identity,
+  publicKey: profile.publicKey,
+  interests: profile.interests,
+});
+
+const settleProposal = (proposalId, accepted) => {
+  const proposal = proposals.get(proposalId);
+  if (!proposal) return;
+  proposals.delete(proposalId);
+  clearTimeout(proposal.timer);
+
+  const [a, b] = proposal.entries;
+  if (accepted) {
+    pool.delete(a.uid);
+    pool.delete(b.uid);
+    const roomId = openRoom(a, b);
+    console.log(`🟢 Matched ${a.uid} and ${b.uid} in ${roomId}`);
+    sendMatch(a, { event: 'found', roomId, partner: partnerInfo(b) });
+    sendMatch(b, { event: 'found', roomId, partner: partnerInfo(a) });
+    return;
+  }
+
+  // Whoever is still searching goes back to waiting
+  [a, b].forEach((entry) => {
+    if (pool.get(entry.uid) !== entry) return;
+    entry.status = 'waiting';
+    sendMatch(entry, { event: 'status', status: 'waiting' });
+  });
+  runMatching();
+};
+
+const propose = (a, b) => {
+  const proposalId = randomUUID();
+  a.status = 'proposed';
+  b.status = 'proposed';
+  proposals.set(proposalId, {
+    entries: [a, b],
+    accepted: new Set(),
+    timer: setTimeout(() => settleProposal(proposalId, false), PROPOSAL_TIMEOUT_MS),
+  });
+  [[a, b], [b, a]].forEach(([entry, partner]) => {
+    sendMatch(entry, { event: 'status', status: 'proposed' });
+    sendMatch(entry, { event: 'proposal', proposalId, partnerUid: partner.uid });
+  });
+};
+
+// Oldest searcher picks first, using the same scoring as the Firebase backend
+const runMatching = () => {
+  const now = Date.now();
+  const waiting = () => [...pool.values()].filter((entry) => entry.status === 'waiting');
+
+  waiting().sort((a, b) => a.joinedAt - b.joinedAt).forEach((entry) => {
+    if (entry.status !== 'waiting') return;
+
+    const widened = isWidened(entry, now);
+    if (widened && !entry.widenedSent) {
+      entry.widenedSent = true;
+      sendMatch(entry, { event: 'status', status: 'widened' });
+    }
+
+    const candidates = waiting().filter((other) =>
+      other !== entry && !(now - declinedPairs.get(createRoomId(entry.uid, other.uid)) < DECLINE_MEMORY_MS)
+    );
+    // Either side having just skipped the other is enough to hold the pair back
+    const [best] = preferNewPartners(
+      rankCandidates(candidates, entry.profile, widened, (other) => other.profile, (x, y) => x.joinedAt - y.joinedAt),
+      (other) => entry.recentPartnerUids.includes(other.uid) || other.recentPartnerUids.includes(entry.uid),
+      widened
+    );
+    if (best) propose(entry, best);
+  });
+};
+
+const leavePool = (uid) => {
+  leaveGathering(uid);
+  const entry = pool.get(uid);
+  if (!entry) return;
+  pool.delete(uid);
+  proposals.forEach((proposal, proposalId) => {
+    if (proposal.entries.includes(entry)) settleProposal(proposalId, false);
+  });
+};
+
+// The pool is keyed by uid, so joining again replaces the earlier entry (or circle)
+const joinPool = (client, { profile, recentPartnerUids, circleSize }) => {
+  leavePool(client.uid);
+  if (getActiveBan(client.uid)) {
+    sendFrame(client, { type: 'match', event: 'status', status: 'banned' });
+    return;
+  }
+  if (isSearchLocked(client.uid)) {
+    sendFrame(client, { type: 'match', event: 'status', status: 'locked' });
+    return;
+  }
+  if (isCircleSize(circleSize)) {
+    joinCircle(client, profile, circleSize);
+    return;
+  }
+  pool.set(client.uid, {
+    uid: client.uid,
+    client,
+    profile: {
+      identity: profile?.identity ?? null,
+      publicKey: profile?.publicKey ?? null,
+      interests: Array.isArray(profile?.interests) ? profile.interests : [],
+      language: profile?.language ?? 'any',
+    },
+    recentPartnerUids: Array.isArray(recentPartnerUids) ? recentPartnerUids : [],
+    joinedAt: Date.now(),
+    status: 'waiting',
+    widenedSent: false,
+  });
+  sendFrame(client, { type: 'match', event: 'status', status: 'waiting' });
+  runMatching();
+};
+
+const respondToProposal = (client, { proposalId, accept }) => {
+  const proposal = proposals.get(proposalId);
+  if (!proposal || !proposal.entries.some((entry) => entry.uid === client.uid)) return;
+
+  if (!accept) {
+    declinedPairs.set(createRoomId(...proposal.entries.map((entry) => entry.uid)), Date.now());
+    settleProposal(proposalId, false);
+    return;
+  }
+  proposal.accepted.add(client.uid);
+  if (proposal.accepted.size === 2) settleProposal(proposalId, true);
+};
+
+// ====================================
+// CIRCLES
+// ====================================
+// Searchers join the oldest gathering circle of their size that has space, or
+// start one; whoever fills it opens it and becomes the keyholder who hands out
+// the room key. Only each client can check its own block list, so clients leave
+// a circle that opens with someone they blocked.
+const sendToGatherer = (uid, frame) => {
+  const entry = gatheringCircles.get(uid);
+  if (entry) sendFrame(entry.client, { type: 'match', ...frame });
+};
+
+const sendGatheringStatus = (room) => room.members.forEach((uid) => {
+  sendToGatherer(uid, { event: 'status', status: 'gathering', count: room.members.length, size: room.circleSize });
+});
+
+const circleMember = (room, uid) => ({ uid, identity: room.roster[uid].identity, publicKey: room.roster[uid].publicKey });
+
+const joinCircle = (client, profile, circleSize) => {
+  const now = Date.now();
+  const [oldest] = [...rooms].filter(([, room]) =>
+    room.kind === 'circle' && room.status === 'gathering' && room.circleSize === circleSize && !room.members.includes(client.uid)
+  ).sort(([, a], [, b]) => a.createdAt - b.createdAt);
+  const roomId = oldest?.[0] ?? createCircleId();
+  if (!oldest) {
+    rooms.set(roomId, {
+      kind: 'circle',
+      circleSize,
+      status: 'gathering',
+      members: [],
+      roster: {},
+      departedAt: {},
+      keyholder: null,
+      keyShares: null,
+      openedAt: null,
+      closedBy: null,
+      closedAt: null,
+      createdAt: now,
+      presence: new Map(),
+      messages: new Map(),
+      images: new Map(),
+    });
+  }
+
+  const room = rooms.get(roomId);
+  room.members.push(client.uid);
+  room.roster[client.uid] = { identity: profile?.identity ?? null, publicKey: profile?.publicKey ?? null, joinedAt: now };
+  gatheringCircles.set(client.uid, { roomId, client });
+  if (room.members.length < circleSize) {
+    sendGatheringStatus(room);
+    return;
+  }
+
+  Object.assign(room, { status: 'open', keyholder: client.uid, openedAt: now });
+  console.log(`🟢 Opened circle ${roomId} with ${circleSize} members`);
+  room.members.forEach((uid) => {
+    const members = room.members.filter((other) => other !== uid).map((other) => circleMember(room, other));
+    sendToGatherer(uid, { event: 'found', roomId, circle: { size: circleSize, members } });
+    gatheringCircles.delete(uid);
+  });
+  notifyRoom(roomId, ['room']);
+};
+
+// A message with no expiry yet never expires
+const isMessageExpired = (message, now) => message.expiresAt !== null && message.expiresAt <= now;
+
+const setMessageBackstops = (room) => {
+  const expiresAt = Date.now() + MESSAGE_BACKSTOP_TTL_MS;
+  room.messages.forEach((message) => {
+    if (message.expiresAt === null) message.expiresAt = expiresAt;
+  });
+};
+
+// Leaving before the circle opens takes us back out; the last one out removes it
+const leaveGathering = (uid) => {
+  const entry = gatheringCircles.get(uid);
+  if (!entry) return;
+  gatheringCircles.delete(uid);
+  const room = rooms.get(entry.roomId);
+  room.members = room.members.filter((member) => member !== uid);
+  delete room.roster[uid];
+  if (room.members.length === 0) rooms.delete(entry.roomId);
+  else sendGatheringStatus(room);
+};
+
+// ====================================
+// REQUESTS
+// ====================================
+const REQUEST_HANDLERS = {
+  signOut: (client) => {
+    leavePool(client.uid);
+    sessions.forEach((uid, token) => {
+      if (uid === client.uid) sessions.delete(token);
+    });
+  },
+
+  // Like 'room' reads, except a room we are no longer in reads as null rather than denied
+  'room:get': (client, { roomId }) => {
+    const room = rooms.get(roomId);
+    return room?.members.includes(client.uid) ? roomSnapshot(room) : null;
+  },
+
+  // Resolves true when the partner closed it first, so we are the one to tear it down
+  'room:close': (client, { roomId }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (room.kind === 'circle') throw new RequestError('invalid-argument');
+    if (room.status === 'closed') return room.closedBy !== client.uid;
+    Object.assign(room, { status: 'closed', closedBy: client.uid, closedAt: Date.now() });
+    setMessageBackstops(room);
+    notifyRoom(roomId, ['room', 'messages']);
+    return false;
+  },
+
+  // Run by whichever member leaves last
+  'room:teardown': (client, { roomId }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (room.status !== 'closed') throw new RequestError('failed-precondition');
+    const count = room.messages.size + room.presence.size + room.images.size;
+    room.messages.clear();
+    room.presence.clear();
+    room.images.clear();
+    notifyRoom(roomId, [...PRESENCE_TOPICS, 'messages']);
+    console.log("🧹 Tore down room:", roomId, `(${count} entries)`);
+  },
+
+  // The roster keeps whoever leaves, so the others can still name their messages.
+  // Resolves true for the last one in, who stays a member to tear the circle down
+  'circle:leave': (client, { roomId }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (room.kind !== 'circle') throw new RequestError('invalid-argument');
+    if (room.status === 'gathering') {
+      leaveGathering(client.uid);
+      return false;
+    }
+    if (room.status === 'closed') return true;
+    room.members = room.members.filter((member) => member !== client.uid);
+    room.departedAt[client.uid] = Date.now();
+    if (room.members.length < 2) {
+      Object.assign(room, { status: 'closed', closedBy: client.uid, closedAt: Date.now() });
+      setMessageBackstops(room);
+    }
+    notifyRoom(roomId, ['room', 'messages']);
+    return false;
+  },
+
+  // Shares are opaque to the server; only the keyholder sets them, once
+  'circle:key': (client, { roomId, shares }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (room.kind !== 'circle' || room.keyholder !== client.uid || room.keyShares) throw new RequestError('permission-denied');
+    if (!shares || typeof shares !== 'object') throw new RequestError('invalid-argument');
+    room.keyShares = shares;
+    notifyRoom(roomId, ['room']);
+  },
+
+  'room:keep': (client, { roomId, keep }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (room.kind) throw new RequestError('invalid-argument');
+    if (room.status !== 'open') throw new RequestError('failed-precondition');
+    if (keep) room.keepInTouch[client.uid] = true;
+    else delete room.keepInTouch[client.uid];
+    notifyRoom(roomId, ['room']);
+  },
+
+  // Both members may ask at once; the second one gets the room the first one opened
+  'contact:create': (client, { roomId }) => {
+    const pair = getMemberRoom(roomId, client.uid);
+    if (pair.kind) throw new RequestError('invalid-argument');
+    if (!pair.members.every((uid) => pair.keepInTouch[uid])) throw new RequestError('failed-precondition');
+    if (getActiveBan(client.uid)) throw new RequestError('permission-denied');
+
+    const contactId = createContactId(roomId);
+    const existing = rooms.get(contactId);
+    if (existing) {
+      // Revoking is for good; a closed contact is never opened again
+      if (existing.status !== 'open') throw new RequestError('contact-revoked');
+      return contactId;
+    }
+    rooms.set(contactId, {
+      kind: 'contact',
+      status: 'open',
+      members: pair.members,
+      fromRoomId: roomId,
+      openedAt: Date.now(),
+      closedBy: null,
+      closedAt: null,
+      presence: new Map(),
+      messages: new Map(),
+      images: new Map(),
+    });
+    notifyRoom(contactId, ['room']);
+    console.log("🤝 Opened contact:", contactId);
+    return contactId;
+  },
+
+  'presence:set': (client, { roomId, state }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (!PRESENCE_STATES.includes(state)) throw new RequestError('invalid-argument');
+    const current = room.presence.get(client.uid) ?? { typingAt: null };
+    room.presence.set(client.uid, { ...current, state, lastSeen: Date.now() });
+    notifyRoom(roomId, PRESENCE_TOPICS);
+  },
+
+  'presence:typing': (client, { roomId, isTyping }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    const current = room.presence.get(client.uid) ?? { state: null, lastSeen: null };
+    room.presence.set(client.uid, { ...current, typingAt: isTyping ? Date.now() : null });
+    notifyRoom(roomId, PRESENCE_TOPICS);
+  },
+
+  'presence:images': (client, { roomId, imagesOff }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    const current = room.presence.get(client.uid) ?? { state: null, lastSeen: null, typingAt: null };
+    room.presence.set(client.uid, { ...current, imagesOff: !!imagesOff });
+    notifyRoom(roomId, PRESENCE_TOPICS);
+  },
+
+  'message:send': (client, { roomId, message }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (getActiveBan(client.uid)) throw new RequestError('permission-denied');
+    if (message?.senderId !== client.uid || !(message.expiresAt === null || typeof message.expiresAt === 'number')
+      || typeof message.ciphertext !== 'string' || message.ciphertext.length > MAX_CIPHERTEXT_LENGTH) {
+      throw new RequestError('invalid-argument');
+    }
+    // Like the rules: an image must be one this sender uploaded to this room
+    if (message.image && !(isOwnImage(message.image.ref, client.uid) && room.images.has(message.image.ref))) {
+      throw new RequestError('invalid-argument');
+    }
+    // Clients pick the id so a retried send lands once; a repeat is simply confirmed again
+    const id = UUID_PATTERN.test(message.id ?? '') ? message.id : randomUUID();
+    const existing = room.messages.get(id);
+    if (existing) {
+      if (existing.senderId !== client.uid) throw new RequestError('already-exists');
+      return { id };
+    }
+    checkSendRate(client.uid);
+    recentSends.push(Date.now());
+    room.messages.set(id, {
+      ...message,
+      id,
+      seq: messageSeq++,
+      timestamp: Date.now(),
+      deliveredAt: null,
+      seenAt: null,
+    });
+    notifyRoom(roomId, ['messages']);
+    return { id };
+  },
+
+  'message:receipt': (client, { roomId, messageId, field }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    const message = room.messages.get(messageId);
+    if (!message) throw new RequestError('not-found');
+    if (message.senderId === client.uid || !RECEIPT_FIELDS.includes(field)) throw new RequestError('permission-denied');
+    message[field] = Date.now();
+    notifyRoom(roomId, ['messages']);
+  },
+
+  'message:edit': (client, { roomId, messageId, ciphertext, iv }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    const message = room.messages.get(messageId);
+    if (!message) throw new RequestError('not-found');
+    if (message.senderId !== client.uid || Date.now() - message.timestamp > EDIT_WINDOW_MS || getActiveBan(client.uid)) {
+      throw new RequestError('permission-denied');
+    }
+    if (typeof ciphertext !== 'string' || typeof iv !== 'string' || ciphertext.length > MAX_CIPHERTEXT_LENGTH) {
+      throw new RequestError('invalid-argument');
+    }
+    Object.assign(message, { ciphertext, iv, editedAt: Date.now() });
+    notifyRoom(roomId, ['messages']);
+  },
+
+  // One reaction per member; null takes it back
+  'message:react': (client, { roomId, messageId, emoji }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    const message = room.messages.get(messageId);
+    if (!message) throw new RequestError('not-found');
+    if (emoji !== null && (typeof emoji !== 'string' || emoji.length > MAX_REACTION_LENGTH)) {
+      throw new RequestError('invalid-argument');
+    }
+    const { [client.uid]: _previous, ...others } = message.reactions ?? {};
+    message.reactions = emoji === null ? others : { ...others, [client.uid]: emoji };
+    notifyRoom(roomId, ['messages']);
+  },
+
+  // Senders can remove their own; anyone in the room can clear expired messages or a closed room
+  'message:delete': (client, { roomId, messageId }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    const message = room.messages.get(messageId);
+    if (!message) return;
+    if (message.senderId !== client.uid && !isMessageExpired(message, Date.now()) && room.status !== 'closed') {
+      throw new RequestError('permission-denied');
+    }
+    room.messages.delete(messageId);
+    if (message.image) room.images.delete(message.image.ref);
+    notifyRoom(roomId, ['messages']);
+  },
+
+  // Refs are `<uid>/<id>`, so ownership can be read straight off them
+  'image:upload': (client, { roomId, data }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (room.status !== 'open') throw new RequestError('permission-denied');
+    if (typeof data !== 'string') throw new RequestError('invalid-argument');
+    const bytes = Buffer.from(data, 'base64');
+    if (bytes.length === 0 || bytes.length > MAX_IMAGE_BYTES) throw new RequestError('invalid-argument');
+    const ref = `${client.uid}/${randomUUID()}`;
+    room.images.set(ref, bytes);
+    return { ref };
+  },
+
+  'image:download': (client, { roomId, ref }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    const bytes = room.images.get(ref);
+    if (!bytes) throw new RequestError('not-found');
+    return { data: bytes.toString('base64') };
+  },
+
+  'image:delete': (client, { roomId, ref }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (!isOwnImage(ref, client.uid) && room.status !== 'closed') throw new RequestError('permission-denied');
+    room.images.delete(ref);
+  },
+
+  // Call signaling is relayed live and never stored; a tab that is not listening misses it
+  'signal:send': (client, { roomId, signal }) => {
+    const room = getMemberRoom(roomId, client.uid);
+    if (room.status !== 'open') throw new RequestError('failed-precondition');
+    if (signal?.from !== client.uid || typeof signal.ciphertext !== 'string' || typeof signal.iv !== 'string') {
+      throw new RequestError('invalid-argument');
+    }
+    const data = { from: signal.from, ciphertext: signal.ciphertext, iv: signal.iv };
+    clients.forEach((other) => {
+      if (other.uid === client.uid) return;
+      other.subscriptions.forEach((subscription, subId) => {
+        if (subscription.topic === 'signals' && subscription.roomId === roomId) sendFrame(other, { type: 'event', subId, data });
+      });
+    });
+  },
+
+  'report:submit': (client, { report }) => {
+    if (report?.reporterId !== client.uid) throw new RequestError('permission-denied');
+    reports.push({ ...report, id: randomUUID(), status: 'open', timestamp: Date.now() });
+    const openCount = reports.filter(({ status }) => status === 'open').length;
+    console.log(`🚩 Report from ${client.uid} about ${report.reportedUid} (${report.reason}); ${openCount} open`);
+    notifyTopics(['reports']);
+  },
+
+  // Moderation; everything past the check is for moderators only
+  'moderation:check': (client) => ({ isModerator: isModeratorUid(client.uid) }),
+
+  'report:resolve': (client, { reportId, status }) => {
+    requireModerator(client);
+    const report = reports.find(({ id }) => id === reportId);
+    if (!report) throw new RequestError('not-found');
+    if (!REPORT_OUTCOMES.includes(status)) throw new RequestError('invalid-argument');
+    Object.assign(report, { status, resolvedBy: client.uid, resolvedAt: Date.now() });
+    notifyTopics(['reports']);
+  },
+
+  // Whoever is banned leaves the pool at once; their open chats stay, but they cannot send
+  'ban:set': (client, { uid, until, reason }) => {
+    requireModerator(client);
+    if (typeof uid !== 'string' || !uid || (until !== null && typeof until !== 'number')) {
+      throw new RequestError('invalid-argument');
+    }
+    bans.set(uid, { until, reason: cleanBanReason(reason), bannedBy: client.uid, createdAt: Date.now() });
+    const entry = pool.get(uid);
+    sendToGatherer(uid, { event: 'status', status: 'banned' });
+    leavePool(uid);
+    if (entry) sendMatch(entry, { event: 'status', status: 'banned' });
+    console.log(`🔨 ${client.uid} banned ${uid} ${until === null ? 'for good' : `until ${new Date(until).toISOString()}`}`);
+    notifyTopics(['bans', 'stats']);
+    notifyTopics(['ban'], uid);
+  },
+
+  'ban:lift': (client, { uid }) => {
+    requireModerator(client);
+    bans.delete(uid);
+    notifyTopics(['bans']);
+    notifyTopics(['ban'], uid);
+  },
+};
+
+// ====================================
+// CONNECTIONS
+// ====================================
+const handleAuth = (client, { token }) => {
+  if (token && !sessions.has(token)) {
+    sendFrame(client, { type: 'auth', error: 'unknown-token' });
+    return;
+  }
+  const sessionToken = token ?? randomBytes(32).toString('hex');
+  if (!token) sessions.set(sessionToken, `u_${randomBytes(10).toString('hex')}`);
+
+  client.uid = sessions.get(sessionToken);
+  sendFrame(client, { type: 'auth', uid: client.uid, token: sessionToken });
+};
+
+// Anything but an object with a string type is dropped before it gets here
+const handleFrame = (client, frame) => {
+  if (frame.type === 'auth') {
+    handleAuth(client, frame);
+    return;
+  }
+  if (!client.uid) {
+    if (frame.requestId) sendFrame(client, { type: 'result', requestId: frame.requestId, error: 'unauthenticated' });
+    return;
+  }
+
+  switch (frame.type) {
+    case 'subscribe': {
+      const subscription = { topic: frame.topic, roomId: frame.roomId, limit: Number(frame.limit) || 30 };
+      client.subscriptions.set(frame.subId, subscription);
+      pushEvent(client, frame.subId, subscription);
+      return;
+    }
+    case 'unsubscribe':
+      client.subscriptions.delete(frame.subId);
+      return;
+    case 'match:join':
+      joinPool(client, frame);
+      return;
+    case 'match:leave':
+      leavePool(client.uid);
+      return;
+    case 'match:respond':
+      respondToProposal(client, frame);
+      return;
+  }
+
+  const handler = REQUEST_HANDLERS[frame.type];
+  try {
+    if (!handler) throw new RequestError('unknown-request');
+    sendFrame(client, { type: 'result', requestId: frame.requestId, data: handler(client, frame) ?? null });
+  } catch (err) {
+    if (!(err instanceof RequestError)) console.error("❌ Request failed:", frame.type, err);
+    sendFrame(client, { type: 'result', requestId: frame.requestId, error: err instanceof RequestError ? err.message : 'internal' });
+  }
+};
+
+const server = new WebSocketServer({ port: PORT, maxPayload: MAX_FRAME_BYTES });
+
+server.on('connection', (ws) => {
+  const client = { ws, uid: null, subscriptions: new Map(), isAlive: true };
+  clients.add(client);
+
+  ws.on('pong', () => { client.isAlive = true; });
+  ws.on('message', (data) => {
+    let frame;
+    try {
+      frame = JSON.parse(data.toString());
+    } catch {
+      return;
+    }
+    if (!frame || typeof frame !== 'object' || typeof frame.type !== 'string') return;
+    // A frame that trips up a handler only fails its own request, never the server
+    try {
+      handleFrame(client, frame);
+    } catch (err) {
+      console.error("❌ Frame failed:", frame.type, err);
+      if (frame.requestId) sendFrame(client, { type: 'result', requestId: frame.requestId, error: 'internal' });
+    }
+  });
+  // A dropped socket loses its place in the pool; presence simply stops beating,
+  // so a quick reconnect does not end the chat
+  ws.on('close', () => {
+    clients.delete(client);
+    if (client.uid && pool.get(client.uid)?.client === client) leavePool(client.uid);
+    if (client.uid && gatheringCircles.get(client.uid)?.client === client) leaveGathering(client.uid);
+  });
+});
+
+setInterval(runMatching, MATCH_TICK_MS);
+setInterval(() => notifyTopics(['stats']), MODERATION_STATS_INTERVAL_MS);
+
+// Timed messages are removed here even if both tabs are gone
+setInterval(() => {
+  const now = Date.now();
+  rooms.forEach((room, roomId) => {
+    let removed = false;
+    room.messages.forEach((message, id) => {
+      if (!isMessageExpired(message, now)) return;
+      room.messages.delete(id);
+      if (message.image) room.images.delete(message.image.ref);
+      removed = true;
+    });
+    if (removed) notifyRoom(roomId, ['messages']);
+  });
+}, EXPIRY_SWEEP_MS);
+
+// Declines and rate limits only matter for a while; drop them once they no longer apply
+setInterval(() => {
+  const now = Date.now();
+  declinedPairs.forEach((declinedAt, pairId) => {
+    if (now - declinedAt >= DECLINE_MEMORY_MS) declinedPairs.delete(pairId);
+  });
+  rateLimits.forEach((limits, uid) => {
+    const isStale = limits.lockedUntil === null || limits.lockedUntil <= now;
+    if (isStale && limits.sentAt.every((at) => now - at >= MESSAGE_BURST_WINDOW_MS)
+      && limits.searches.every((at) => now - at >= SEARCH_WINDOW_MS)) {
+      rateLimits.delete(uid);
+    }
+  });
+}, STATE_SWEEP_MS);
+
+setInterval(() => {
+  clients.forEach((client) => {
+    if (!client.isAlive) {
+      client.ws.terminate();
+      return;
+    }
+    client.isAlive = false;
+    client.ws.ping();
+  });
+}, PING_INTERVAL_MS);
+
+server.on('listening', () => console.log(`💬 Stranger chat server listening on ws://localhost:${PORT}`));
@@ -3,51 +3,40 @@
  * 
  * A React-based anonymous messaging platform that matches users randomly
  * and enables real-time conversations with complete anonymity. Features include:
- * - Anonymous authentication via Firebase
- * - Real-time user matching algorithm
- * - Firestore-backed message persistence
- * - Memory box to store conversation history
- * - Dynamic identity generation with themed names and colors
+ * - Anonymous authentication and matching through a pluggable chat backend:
+ *   Firebase, or the self-hosted WebSocket server in server/ (see backend/index.js)
+ * - Real-time user matching algorithm (scoring shared with the server, see matching.js)
+ * - Real-time message delivery, end-to-end encrypted (see e2ee.js)
+ * - Outgoing message queue with sending / failed states, retried after connection drops
+ * - Notification sounds, desktop notifications and an unread tab badge (see notifications.js)
+ * - Image sharing with metadata stripped before upload (see imageShare.js)
+ * - Opt-in peer-to-peer voice and video calls (see calls.js)
+ * - Memory box to store conversation history (encrypted in IndexedDB, see memoryBox.js),
+ *   with JSON / Markdown / HTML export and JSON import (see memoryExport.js)
+ * - Themed anonymous identities, editable and kept per device, with partner
+ *   identities checked against the same word lists (see identity.js)
+ * - Moderation console for reports, bans and live stats (see moderation.js)
+ * - Circles: small group chats that gather 3–6 strangers before opening
+ * - A URL per screen with working back / forward, and chats that survive a reload
+ *   (see routes.js and chatSession.js)
+ * - Contacts: strangers who both chose to keep in touch, reopened from the Dashboard
+ *   without either learning who the other is (see contacts.js)
  * 
  * @component
  * @returns {JSX.Element} The main application component with authentication flow
  * 
  * @requires react
- * @requires firebase/app
- * @requires firebase/auth
- * @requires firebase/firestore
  * @requires lucide-react
  * 
  * 
- * @fires onAuthStateChanged - Listens for user authentication state changes
- * @fires onSnapshot - Real-time listeners for messages and invites
- * @fires serverTimestamp - Firestore server time for message ordering
+ * @fires backend.onAuthChange - Listens for user authentication state changes
+ * @fires backend.subscribeMessages - Real-time listener for room messages
  * 
  * @example
  * // App is exported as default and mounts to root
  * <App />
  */
 
-/**
- * Creates a consistent room ID from two user IDs
- * Ensures both users reference the same room regardless of ID order
- * 
- * @function createRoomId
- * @param {string} userId1 - First user's UID
- * @param {string} userId2 - Second user's UID
- * @returns {string} Deterministic room ID in format "room_[id1]_[id2]"
- */
-
-/**
- * Generates a random anonymous identity for the user
- * 
- * @function generateIdentity
- * @returns {Object} Identity object
- * @returns {string} returns.name - Generated name (e.g., "Neon Fox")
- * @returns {string} returns.color - Tailwind color class for avatar
- * @returns {string} returns.avatar - Single letter avatar
- */
-
 /**
  * LoginScreen Component - Initial authentication interface
  * Allows users to enter the application anonymously or with a custom token
@@ -60,32 +49,72 @@
 
 /**
  * SearchingScreen Component - User matching interface
- * Implements the matching algorithm by querying waiting pool and managing invites
+ * Generates this search's key pair and hands the rest to backend.startMatchmaking,
+ * holding back strangers we talked to in the last RECENT_PARTNER_TTL_MS
  * 
  * @component
  * @param {Object} props
  * @param {Object} props.user - Current authenticated user
  * @param {Object} props.identity - Current user's identity
+ * @param {Object} props.preferences - `{ interests, language, circleSize }` chosen on the Dashboard; circleSize null means one-on-one
  * @param {Function} props.onCancel - Callback to cancel search
- * @param {Function} props.onMatchFound - Callback when match is found
+ * @param {Function} props.onMatchFound - Callback when match is found, receives `{ roomId, myIdentity, partnerIdentity, e2ee, sharedInterests, circle }`;
+ *   circle is `{ size, names }` in a circle and null otherwise;
+ *   the partner's identity is validated and both are renamed apart if they clash
  * @returns {JSX.Element} Searching UI with status updates
  * @state {string} status - Current search status message
  */
 
 /**
  * ChatRoom Component - Real-time messaging interface
- * Manages message display, input, and persistence
+ * Manages message display, input, and persistence. Room status and presence,
+ * calls, the outbox and vanishing messages each come from a hook (see hooks/).
  * 
  * @component
  * @param {Object} props
  * @param {string} props.roomId - Unique room identifier
  * @param {Object} props.user - Current user object
- * @param {Object} props.myIdentity - Current user's identity
- * @param {Object} props.strangerIdentity - Partner's identity
- * @param {Function} props.onLeave - Callback when leaving chat
+ * @param {Object} props.myIdentity - Current user's identity for this room (renamed if it clashed with the partner's)
+ * @param {Object} props.strangerIdentity - Partner's validated identity, or the circle's (see getCircleIdentity)
+ * @param {Object} props.e2ee - Keys from matching: `{ keyPair, publicKey, partnerPublicKey }`; a circle has no partner key
+ * @param {Object|null} props.circle - `{ size, names }` in a circle, names being each member's identity for this room by uid
+ * @param {boolean} props.isContact - A contact reopened from the Dashboard: leaving keeps the room open for next time
+ * @param {Array<string>} props.sharedInterests - Interest tags both users picked, shown as an opener
+ * @param {boolean} props.showFilteredContent - Show the partner's profanity unmasked
+ * @param {boolean} props.saveOnNext - Whether "Next" saves the chat to the Memory Box
+ * @param {boolean} props.saveImages - Whether saved chats keep shared images or drop them
+ * @param {Object} props.notificationSettings - Sound and desktop notification settings (see notifications.js)
+ * @param {string} props.connection - 'online' | 'offline' | 'error', from backend.subscribeConnection
+ * @param {Object|null} props.ban - Our ban `{ until, reason }` while in force; sending is off
+ * @param {Function} props.onKeepInTouch - Callback with the new contact `{ roomId, partnerUid, myIdentity, partnerIdentity, e2ee }`
+ *   once both sides chose to keep in touch
+ * @param {Function} props.onLeave - Callback when leaving chat, receives the chat data, the next view and `{ saveMemory }`
  * @returns {JSX.Element} Chat interface with message history and input
- * @state {Array} messages - Array of message objects
+ * @state {Array} messages - Array of decrypted message objects, oldest first
+ * @state {number} messageLimit - How many of the newest messages the live listener covers
  * @state {string} inputText - Current input text
+ * @state {CryptoKey|null} roomKey - AES-GCM key shared with the partner
+ * @state {boolean} isReporting - Whether the report dialog is open
+ * @state {Object|null} piiWarning - Held-back message and its PII findings, awaiting redact / send anyway
+ * @state {boolean} showMembers - Whether the circle's member list is open
+ * @state {string|null} reportUid - In a circle, the member being reported
+ * @state {number|null} nextArmedAt - When Esc was first pressed; a second Esc within NEXT_CONFIRM_MS skips
+ * @state {boolean} imagesOff - Whether we turned images off for this chat (the partner's choice is on their presence)
+ * @state {string|null} contactState - 'saved' once the contact is on this device, 'revoked' if one of us already
+ *   revoked it, 'failed' if opening it failed
+ * @state {Object} imageUrls - Object URLs of decrypted images, keyed by image ref
+ */
+
+/**
+ * ReportDialog Component - Abuse report form shown over the chat
+ * 
+ * @component
+ * @param {Object} props
+ * @param {string} props.strangerName - Name of the stranger being reported
+ * @param {number} props.messageCount - Messages available to attach as evidence
+ * @param {Function} props.onSubmit - Callback with `{ reason, note, attachMessages }`
+ * @param {Function} props.onCancel - Callback to close the dialog
+ * @returns {JSX.Element} Modal with reason categories
  */
 
 /**
@@ -96,7 +125,8 @@
  * @param {Object} props
  * @param {Object} props.chat - Chat history object
  * @param {Function} props.onClose - Callback to close viewer
- * @param {string} props.myUid - Current user's UID for message alignment
+ * @param {string} props.myUid - Current user's UID, used for alignment when the chat predates `chat.myUid`
+ * @param {boolean} props.showFilteredContent - Show the partner's profanity unmasked
  * @returns {JSX.Element} Memory view modal
  */
 
@@ -107,72 +137,98 @@
  * @component
  * @param {Object} props
  * @param {Object} props.user - Current user object
- * @param {Object} props.identity - User's generated identity
+ * @param {Object} props.identity - User's identity, saved on this device
+ * @param {Function} props.onIdentityChange - Callback with the rerolled or edited identity
  * @param {Array} props.savedChats - Array of saved conversation objects
+ * @param {Array} props.contacts - Contacts made under the current uid, newest first (see contacts.js)
+ * @param {Function} props.onOpenContact - Callback to reopen a contact's chat (contact)
+ * @param {Function} props.onRevokeContact - Callback to end a contact for both sides (contact)
+ * @param {Function} props.onRemoveContact - Callback to forget a revoked contact (roomId)
+ * @param {Object} props.preferences - Matching preferences `{ interests, language, circleSize }`
+ * @param {Function} props.onPreferencesChange - Callback with updated preferences
+ * @param {boolean} props.showFilteredContent - Whether profanity is shown unmasked
+ * @param {Function} props.onShowFilteredContentChange - Callback to toggle the profanity filter
+ * @param {boolean} props.saveOnNext - Whether "Next" saves the chat to the Memory Box
+ * @param {Function} props.onSaveOnNextChange - Callback to toggle saving on "Next"
+ * @param {boolean} props.saveImages - Whether saved chats keep shared images
+ * @param {Function} props.onSaveImagesChange - Callback to toggle keeping images
+ * @param {Object} props.notificationSettings - Sound and desktop notification settings
+ * @param {Function} props.onNotificationSettingsChange - Callback with updated notification settings
+ * @param {number|null} props.matchLockedUntil - While set, searching is paused after repeated abuse (see rateLimit.js)
+ * @param {Object|null} props.ban - Our ban `{ until, reason }` while in force; searching is off
+ * @param {string|null} props.chatNotice - Why the chat in the URL could not be reopened
+ * @param {Function} props.onDismissChatNotice - Callback to hide the notice
+ * @param {boolean|null} props.isModerator - Shows the way into the moderation console
+ * @param {Function} props.onOpenModeration - Callback to open the moderation console
  * @param {Function} props.onStartSearch - Callback to initiate user search
+ * @param {string|null} props.openMemoryId - Memory shown in the MemoryViewer, from the #/memory/:id route
+ * @param {Function} props.onOpenMemory - Callback to open a memory (id)
+ * @param {Function} props.onCloseMemory - Callback to close the MemoryViewer
+ * @param {Function} props.onRenameMemory - Callback to rename a memory (id, title)
+ * @param {Function} props.onTogglePinMemory - Callback to pin/unpin a memory (id)
+ * @param {Function} props.onDeleteMemory - Callback to delete a memory (id)
+ * @param {Function} props.onWipeMemories - Callback to delete every memory on this device
+ * @param {Function} props.onImportMemories - Saves validated imported memories, resolves to how many were new
  * @returns {JSX.Element} Dashboard UI with memory box and search interface
- * @state {Object|null} selectedChat - Currently viewed chat
+ * @state {number|null} renamingId - Memory whose title is being edited
+ * @state {Object|null} importNotice - Result of the last import, `{ isError, text }`
+ * @state {boolean} isEditingIdentity - Identity editor is open
  */
-import React, { useState, useEffect, useRef } from 'react';
-const NOTIFICATION_SOUND = new Audio("/girl-hey-ringtone.mp3");
-import { initializeApp } from 'firebase/app';
-import { 
-  getAuth, 
-  signInAnonymously, 
-  signInWithCustomToken,
-  onAuthStateChanged, 
-  signOut 
-} from 'firebase/auth';
-import { 
-  getFirestore, 
-  collection, 
-  addDoc, 
-  query, 
-  where, 
-  getDocs, 
-  deleteDoc, 
-  doc, 
-  onSnapshot, 
-  serverTimestamp, 
-  setDoc
-} from 'firebase/firestore';
-import { User, Shield, Ghost, ArrowRight, Search, Clock, X, Send, LogOut, ChevronRight, Globe, Calendar, ArrowLeft } from 'lucide-react';
-
-// Firebase Configuration
-const firebaseConfig = {
-  apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
-  authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
-  projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
-  storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
-  messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
-  appId: import.meta.env.VITE_FIREBASE_APP_ID,
-};
-
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
 
-const appId = 'stranger-app-v1';
-
-// ====================================
-// CRITICAL FIX: CONSISTENT ROOM ID
-// ====================================
-const createRoomId = (userId1, userId2) => {
-  const [id1, id2] = [userId1, userId2].sort();
-  return `room_${id1}_${id2}`;
-};
+/**
+ * ModerationConsole Component - Abuse reports, bans and live stats
+ * Opened from the Dashboard, or directly at #/moderation (see routes.js). Anyone
+ * who is not a moderator only gets their uid, which is what gets allow-listed.
+ * 
+ * @component
+ * @param {Object} props
+ * @param {Object} props.user - Current user object
+ * @param {boolean|null} props.isModerator - null while the backend is still checking
+ * @param {Function} props.onClose - Callback to go back to the Dashboard
+ * @returns {JSX.Element} Console with stats, the report queue and the ban list
+ * @state {Array} reports - Open reports, newest first
+ * @state {Array} bans - Bans in force, newest first
+ * @state {Object|null} stats - `{ poolSize, activeRooms, messagesPerMinute }`
+ * @state {string|null} actionError - Last ban or resolve that failed
+ */
+import React, { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { User, Shield, Ghost, ArrowRight, Search, Clock, X, Send, LogOut, ChevronRight, Globe, Calendar, ArrowLeft, Check, CheckCheck, Pin, PinOff, Pencil, Trash2, Lock, ShieldCheck, ShieldAlert, Flag, Ban, AlertTriangle, Timer, SkipForward, Reply, SmilePlus, Undo2, ImagePlus, ImageOff, Eye, Phone, PhoneOff, PhoneIncoming, Video, VideoOff, Mic, MicOff, Download, Upload, Shuffle, WifiOff, RotateCw, Bell, Volume2, Users, Activity, Gavel, UserPlus, UserMinus, Handshake, Unlink } from 'lucide-react';
+import { loadMemories, saveMemory, deleteMemory, wipeMemories, sortMemories } from './memoryBox';
+import { blockUid, recordReportedUid } from './blockList';
+import { createMessageFilter, createProfanityMasker, DEFAULT_PROFANITY_WORDS } from './messageFilter';
+import { generateKeyPair, exportPublicKey, deriveRoomKey, createCircleKey, openCircleKeyShare, encryptText, decryptText, encryptBytes, decryptBytes, computeSafetyNumber } from './e2ee';
+import { prepareImage, bytesToDataUrl } from './imageShare';
+import { CALLS_ARE_DIRECT } from './calls';
+import { EXPORT_FORMATS, buildExport, downloadExport, parseMemoryExport } from './memoryExport';
+import { loadNotificationSettings, saveNotificationSettings, NOTIFICATION_SOUNDS, playNotificationSound, alertUser, canUseDesktopNotifications, requestDesktopNotifications, setTabBadge } from './notifications';
+import { MAX_MESSAGE_LENGTH, createSendLimiter, findRepeatedMessageIds, getMatchLockout, recordSearchStart, recordAbuseStrike } from './rateLimit';
+import { getSharedInterests, CIRCLE_SIZES } from './matching';
+import { BAN_DURATIONS, getBanUntil } from './moderation';
+import { IDENTITY_ADJECTIVES, IDENTITY_NOUNS, IDENTITY_COLORS, AVATAR_STYLES, buildIdentity, generateIdentity, loadIdentity, saveIdentity, sanitizeIdentity, resolveNameClash, resolveCircleNames } from './identity';
+import { parseRoute, navigate, subscribeRoute, isSameRoute } from './routes';
+import { saveChatSession, loadChatSession, clearChatSession } from './chatSession';
+import { loadContacts, saveContact, deleteContact, sortContacts } from './contacts';
+import { backend } from './backend';
+import { toMillis } from './timestamps';
+import { useClock } from './hooks/useClock';
+import { usePresence, PRESENCE_HEARTBEAT_MS } from './hooks/usePresence';
+import { useVanishingMessages, isMessageExpired, VANISH_MODES } from './hooks/useVanishingMessages';
+import { useOutbox } from './hooks/useOutbox';
+import { useCall } from './hooks/useCall';
 
-const generateIdentity = () => {
-  const colors = ['text-emerald-400', 'text-blue-400', 'text-amber-400', 'text-rose-400', 'text-purple-400', 'text-cyan-400'];
-  const adjectives = ['Neon', 'Silent', 'Misty', 'Cosmic', 'Urban', 'Hollow', 'Electric', 'Solar', 'Lunar', 'Velvet'];
-  const nouns = ['Fox', 'Storm', 'Echo', 'Ghost', 'Signal', 'Shadow', 'Void', 'Walker', 'Falcon', 'Owl'];
-  
-  const adj = adjectives[Math.floor(Math.random() * adjectives.length)];
-  const noun = nouns[Math.floor(Math.random() * nouns.length)];
-  const color = colors[Math.floor(Math.random() * colors.length)];
-  
-  return { name: `${adj} ${noun}`, color: color, avatar: noun.charAt(0) };
-};
+// Interest tags and languages offered on the Dashboard before searching
+const INTEREST_TAGS = ['Music', 'Movies', 'Gaming', 'Books', 'Sports', 'Tech', 'Art', 'Travel', 'Food', 'Memes', 'Science', 'Late-night talks'];
+const LANGUAGES = [
+  { code: 'any', label: 'Any language' },
+  { code: 'en', label: 'English' },
+  { code: 'es', label: 'Español' },
+  { code: 'fr', label: 'Français' },
+  { code: 'de', label: 'Deutsch' },
+  { code: 'pt', label: 'Português' },
+  { code: 'hi', label: 'हिन्दी' },
+  { code: 'ur', label: 'اردو' },
+  { code: 'ar', label: 'العربية' },
+];
 
 // Login Screen (unchanged)
 const LoginScreen = () => {
@@ -182,11 +238,8 @@ const LoginScreen = () => {
   const handleEnterVoid = async () => {
     setIsLoading(true);
     try {
-      if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
-        await signInWithCustomToken(auth, __initial_auth_token);
-      } else {
-        await signInAnonymously(auth);
-      }
+      const customToken = typeof __initial_auth_token !== 'undefined' ? __initial_auth_token : null;
+      await backend.signIn({ customToken });
     } catch (err) {
       console.error("Login failed:", err);
       setError("Connection failed. Please try again.");
@@ -235,122 +288,499 @@ const LoginScreen = () => {
   );
 };
 
+// ====================================
+// ROOMS & PRESENCE
+// ====================================
+// Room status, heartbeats and the partner's status come from usePresence
+// (see hooks/usePresence.js); this is how each status is shown.
+const PRESENCE_BADGES = {
+  connecting: { label: 'Connecting', text: 'text-slate-400', dot: 'bg-slate-400 animate-pulse' },
+  connected: { label: 'Connected', text: 'text-emerald-500', dot: 'bg-emerald-500 animate-pulse' },
+  away: { label: 'Away', text: 'text-amber-400', dot: 'bg-amber-400' },
+  disconnected: { label: 'Disconnected', text: 'text-red-400', dot: 'bg-red-400' },
+  // A contact who is not around is only offline; the chat stays open for them
+  offline: { label: 'Offline', text: 'text-slate-400', dot: 'bg-slate-500' },
+};
+
+// ====================================
+// EPHEMERAL MESSAGES
+// ====================================
+// How a message vanishes is picked by its sender, see hooks/useVanishingMessages.js.
+// Timed messages count down on the bubble.
+const formatCountdown = (ms) => {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  return `${Math.floor(totalSeconds / 60)}:${String(totalSeconds % 60).padStart(2, '0')}`;
+};
+
+// ====================================
+// TYPING & READ RECEIPTS
+// ====================================
+// Typing is a throttled `typingAt` stamp on our presence record. The partner shows
+// the indicator until it goes stale (see hooks/usePresence.js).
+const TYPING_THROTTLE_MS = 2000;
+
+// The live listener covers the newest `messageLimit` messages; loading earlier
+// history grows the window one page at a time
+const MESSAGE_PAGE_SIZE = 30;
+
+// Receipts are written by the receiver: `deliveredAt` when the message reaches
+// their listener, `seenAt` once the bubble has scrolled into view
+const getReceiptState = (msg) => {
+  if (msg.sendState) return msg.sendState;
+  if (msg.seenAt) return 'seen';
+  if (msg.deliveredAt) return 'delivered';
+  return 'sent';
+};
+
+const ReceiptTicks = ({ msg }) => {
+  const state = getReceiptState(msg);
+  if (state === 'sending') return <Clock size={12} className="text-indigo-300" aria-label="Sending" />;
+  if (state === 'failed') return <AlertTriangle size={12} className="text-red-300" aria-label="Failed" />;
+  if (state === 'sent') return <Check size={12} className="text-indigo-300" aria-label="Sent" />;
+  if (state === 'delivered') return <CheckCheck size={12} className="text-indigo-300" aria-label="Delivered" />;
+  return <CheckCheck size={12} className="text-cyan-300" aria-label="Seen" />;
+};
+
+// ====================================
+// OUTGOING QUEUE & CONNECTION STATUS
+// ====================================
+// Unconfirmed sends wait in ChatRoom's outbox (see hooks/useOutbox.js) and show
+// as sending or failed; this banner says why they are not going out.
+const CONNECTION_BANNERS = {
+  offline: "You're offline. Messages will send when the connection is back.",
+  error: "Having trouble reaching the server. Retrying…",
+};
+
+const ConnectionBanner = ({ connection }) => {
+  if (!CONNECTION_BANNERS[connection]) return null;
+  return (
+    <div role="status" className="fixed top-2 left-1/2 -translate-x-1/2 z-50 px-4 py-2 rounded-full bg-amber-900/90 border border-amber-700/60 text-xs text-amber-100 shadow-lg flex items-center gap-2">
+      <WifiOff size={14} /> {CONNECTION_BANNERS[connection]}
+    </div>
+  );
+};
+
+// ====================================
+// SEND LIMITS
+// ====================================
+// The limiter in rateLimit.js runs before anything is sent. Each blocked send is
+// a strike, and enough strikes lock matchmaking for a while.
+const SEND_BLOCK_TEXT = {
+  rate: "Slow down a little, you can send again in a moment.",
+  duplicate: "You already sent that a few times. Try saying something new.",
+  length: `Messages can be up to ${MAX_MESSAGE_LENGTH} characters.`,
+};
+
+const formatClockTime = (millis) => new Date(millis).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+// ====================================
+// SAFETY FILTER
+// ====================================
+// PII is caught on the sender's side before a message leaves the device;
+// profanity is masked on the receiver's side at render time.
+// Extra words can be added with VITE_PROFANITY_WORDS="word1,word2".
+const messageFilter = createMessageFilter();
+const profanityMasker = createProfanityMasker([
+  ...DEFAULT_PROFANITY_WORDS,
+  ...(import.meta.env.VITE_PROFANITY_WORDS || '').split(',')
+]);
+const SHOW_FILTERED_KEY = 'stranger-show-filtered';
+const SAVE_ON_NEXT_KEY = 'stranger-save-on-next';
+
+const FilteredText = ({ text, showFiltered }) => {
+  const { text: shown, masked } = showFiltered ? { text, masked: false } : profanityMasker.mask(text);
+  return (
+    <>
+      {shown}
+      {masked && <span className="ml-1 text-[10px] text-slate-500 italic">(filtered)</span>}
+    </>
+  );
+};
+
+// ====================================
+// REPLIES, REACTIONS & EDITS
+// ====================================
+// A reply only stores the id of the message it quotes (`replyToId`); the quote
+// itself is looked up among the messages we already decrypted, so no plaintext
+// ends up outside the ciphertext. Reactions are one emoji per member, kept in a
+// `reactions` map. Senders can rewrite their text for EDIT_WINDOW_MS, which
+// stamps `editedAt`, and unsending deletes the message for both sides.
+const EDIT_WINDOW_MS = 15 * 60 * 1000;
+const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🔥'];
+const SWIPE_REPLY_PX = 60;
+
+const canEditMessage = (msg, uid, now) =>
+  msg.senderId === uid && !msg.decryptError && !msg.image && now - (toMillis(msg.timestamp) ?? now) < EDIT_WINDOW_MS;
+
+// Image-only messages have no text to quote
+const getQuoteText = (msg) => (msg.image && !msg.text ? "📷 Photo" : msg.text);
+
+const QuotedReply = ({ original, myUid, showFiltered }) => (
+  <div className="mb-1.5 pl-2 border-l-2 border-white/30 text-xs opacity-75">
+    {original ? (
+      <>
+        <span className="font-bold block">{original.senderId === myUid ? "You" : original.senderName}</span>
+        <span className="line-clamp-2">
+          {original.text == null
+            ? "Encrypted message"
+            : original.senderId === myUid ? getQuoteText(original) : <FilteredText text={getQuoteText(original)} showFiltered={showFiltered} />}
+        </span>
+      </>
+    ) : (
+      <span className="italic">Original message unavailable</span>
+    )}
+  </div>
+);
+
+// Groups `{ uid: emoji }` into chips; without `onToggle` they are read-only
+const ReactionChips = ({ reactions, myUid, onToggle }) => {
+  const counts = Object.values(reactions ?? {}).reduce((acc, emoji) => ({ ...acc, [emoji]: (acc[emoji] ?? 0) + 1 }), {});
+  const mine = reactions?.[myUid];
+  if (Object.keys(counts).length === 0) return null;
+
+  return (
+    <div className="flex gap-1 mt-1">
+      {Object.entries(counts).map(([emoji, count]) => (
+        <button
+          key={emoji}
+          type="button"
+          disabled={!onToggle}
+          onClick={() => onToggle?.(emoji)}
+          className={`text-xs px-1.5 py-0.5 rounded-full border disabled:cursor-default ${
+            emoji === mine ? 'bg-indigo-500/20 border-indigo-500/50' : 'bg-slate-900 border-slate-700'
+          }`}
+        >
+          {emoji}{count > 1 && <span className="ml-0.5 text-[10px] text-slate-400">{count}</span>}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+// ====================================
+// SHARED IMAGES
+// ====================================
+// Images are stripped and shrunk on the sender's device (see imageShare.js),
+// encrypted with the room key and uploaded as an opaque blob; the message only
+// carries `image: { ref, iv, type, width, height }`. Either stranger can turn
+// images off for the rest of the chat with the `imagesOff` flag on their
+// presence record. Saved memories either inline images as data URLs or drop
+// them, following the SAVE_IMAGES_KEY setting.
+const SAVE_IMAGES_KEY = 'stranger-save-images';
+const IMAGE_PREVIEW_MAX_PX = 240;
+
+// The stranger's pictures stay blurred until tapped, so nothing shows up unasked
+const SharedImage = ({ src, width, height, blurred }) => {
+  const [isRevealed, setIsRevealed] = useState(!blurred);
+
+  return (
+    <div
+      className="relative overflow-hidden rounded-lg bg-slate-700 max-w-full"
+      style={{ width: Math.min(width, IMAGE_PREVIEW_MAX_PX), aspectRatio: `${width} / ${height}` }}
+    >
+      {src ? (
+        <img src={src} alt="Shared by a stranger" className={`w-full h-full object-cover transition ${isRevealed ? '' : 'blur-2xl scale-110'}`} />
+      ) : (
+        <div className="w-full h-full animate-pulse" />
+      )}
+      {src && !isRevealed && (
+        <button
+          onClick={() => setIsRevealed(true)}
+          className="absolute inset-0 flex flex-col items-center justify-center gap-1 bg-slate-950/40 text-xs text-white"
+        >
+          <Eye size={18} /><span>Tap to reveal</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+// ====================================
+// CALLS
+// ====================================
+// Ringing, accepting and hanging up live in hooks/useCall.js, the WebRTC side in
+// calls.js; these draw the call.
+// srcObject cannot be set as a JSX attribute
+const StreamVideo = ({ stream, muted = false, className }) => {
+  const videoRef = useRef(null);
+  useEffect(() => {
+    if (videoRef.current) videoRef.current.srcObject = stream;
+  }, [stream]);
+  return <video ref={videoRef} autoPlay playsInline muted={muted} className={className} />;
+};
+
+const CallPanel = ({ call, strangerName, localStream, remoteStream, onAccept, onDecline, onHangUp, onToggleMute, onToggleCamera }) => {
+  if (call.phase === 'incoming') {
+    return (
+      <div className="px-4 py-3 bg-emerald-900/20 border-b border-emerald-900/40 text-xs text-emerald-100 space-y-2">
+        <p className="flex items-center gap-2 font-bold">
+          <PhoneIncoming size={14} /> {strangerName} wants to start a {call.video ? "video" : "voice"} call
+        </p>
+        {CALLS_ARE_DIRECT && (
+          <p className="text-emerald-200/70">Calls connect your devices directly, so the stranger can see your IP address.</p>
+        )}
+        <div className="flex space-x-2">
+          <button onClick={onAccept} className="flex-1 py-1.5 bg-emerald-600 hover:bg-emerald-500 text-white font-bold rounded-lg transition-colors">
+            Accept
+          </button>
+          <button onClick={onDecline} className="flex-1 py-1.5 border border-emerald-700/60 hover:bg-emerald-900/30 rounded-lg transition-colors">
+            Decline
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const statusText = {
+    ringing: `Calling ${strangerName}…`,
+    connecting: "Connecting…",
+    active: call.video ? "Video call" : "Voice call",
+  }[call.phase];
+
+  return (
+    <div className="px-4 py-3 bg-slate-900 border-b border-slate-800 text-xs text-slate-300 space-y-2">
+      {call.video ? (
+        <div className="relative bg-black rounded-xl overflow-hidden aspect-video max-h-64 mx-auto">
+          {remoteStream && <StreamVideo stream={remoteStream} className="w-full h-full object-contain" />}
+          {localStream && (
+            <StreamVideo stream={localStream} muted className="absolute bottom-2 right-2 w-1/4 rounded-lg border border-slate-700 object-cover" />
+          )}
+        </div>
+      ) : (
+        remoteStream && <StreamVideo stream={remoteStream} className="hidden" />
+      )}
+      <div className="flex items-center justify-between">
+        <span className="flex items-center gap-2">
+          <span className={`w-1.5 h-1.5 rounded-full ${call.phase === 'active' ? 'bg-emerald-500' : 'bg-amber-400 animate-pulse'}`}></span>
+          {statusText}
+        </span>
+        <div className="flex items-center space-x-1">
+          <button onClick={onToggleMute} title={call.isMuted ? "Unmute" : "Mute"} className="p-2 rounded-full text-slate-400 hover:text-white hover:bg-slate-800 transition-colors">
+            {call.isMuted ? <MicOff size={16} /> : <Mic size={16} />}
+          </button>
+          {call.video && (
+            <button onClick={onToggleCamera} title={call.isCameraOff ? "Turn camera on" : "Turn camera off"} className="p-2 rounded-full text-slate-400 hover:text-white hover:bg-slate-800 transition-colors">
+              {call.isCameraOff ? <VideoOff size={16} /> : <Video size={16} />}
+            </button>
+          )}
+          <button onClick={onHangUp} title="Hang up" className="p-2 rounded-full bg-red-600 hover:bg-red-500 text-white transition-colors">
+            <PhoneOff size={16} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ====================================
+// REPORTS
+// ====================================
+// Reports go to the backend's moderation queue with the last REPORT_CONTEXT_LIMIT
+// messages attached (decrypted by the reporter, who chooses to share them)
+const REPORT_CONTEXT_LIMIT = 20;
+const REPORT_REASONS = [
+  { id: 'harassment', label: 'Harassment or bullying' },
+  { id: 'sexual', label: 'Unwanted sexual content' },
+  { id: 'hate', label: 'Hate speech' },
+  { id: 'spam', label: 'Spam or scams' },
+  { id: 'minor', label: 'Appears to be a minor' },
+  { id: 'other', label: 'Something else' },
+];
+
+const ReportDialog = ({ strangerName, messageCount, onSubmit, onCancel }) => {
+  const [reason, setReason] = useState(null);
+  const [note, setNote] = useState('');
+  const [attachMessages, setAttachMessages] = useState(true);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const handleSubmit = async () => {
+    setIsSubmitting(true);
+    await onSubmit({ reason, note: note.trim(), attachMessages });
+  };
+
+  return (
+    <div className="fixed inset-0 z-[70] bg-slate-950/80 backdrop-blur-sm flex items-center justify-center p-4">
+      <div className="bg-slate-900 border border-slate-800 rounded-2xl p-6 max-w-sm w-full space-y-4 text-white">
+        <div>
+          <h3 className="font-bold text-lg flex items-center gap-2"><Flag size={18} className="text-red-400" /> Report {strangerName}</h3>
+          <p className="text-xs text-slate-400 mt-1">The chat ends for you as soon as the report is sent, and you won't be matched with them again.</p>
+        </div>
+        <div className="space-y-2">
+          {REPORT_REASONS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => setReason(id)}
+              className={`w-full text-left text-sm px-3 py-2 rounded-lg border transition-colors ${
+                reason === id ? 'bg-red-900/30 border-red-500/50 text-red-200' : 'bg-slate-950 border-slate-800 text-slate-300 hover:border-slate-600'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Anything else we should know? (optional)"
+          maxLength={500}
+          rows={2}
+          className="w-full bg-slate-950 border border-slate-800 rounded-lg px-3 py-2 text-sm focus:outline-none focus:border-indigo-500 resize-none"
+        />
+        <label className="flex items-center gap-2 text-xs text-slate-400">
+          <input type="checkbox" checked={attachMessages} onChange={(e) => setAttachMessages(e.target.checked)} />
+          Attach the last {Math.min(messageCount, REPORT_CONTEXT_LIMIT)} messages as evidence
+        </label>
+        <div className="flex space-x-2">
+          <button onClick={onCancel} className="flex-1 py-2 border border-slate-700 hover:bg-slate-800 text-slate-300 rounded-lg text-sm transition-colors">Cancel</button>
+          <button
+            onClick={handleSubmit}
+            disabled={!reason || isSubmitting}
+            className="flex-1 py-2 bg-red-600 hover:bg-red-500 text-white rounded-lg text-sm font-bold transition-colors disabled:opacity-50"
+          >
+            {isSubmitting ? "Sending..." : "Report & leave"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// ====================================
+// BANS
+// ====================================
+// A ban comes from the moderation console (see moderation.js). The backends
+// enforce it; these only tell the banned user what is going on.
+const formatDateTime = (millis) => new Date(millis).toLocaleString([], { dateStyle: 'short', timeStyle: 'short' });
+
+const formatBanEnd = (until) => (until === null ? "for good" : `until ${formatDateTime(until)}`);
+
+const BanNotice = ({ ban, className = '' }) => (
+  <p className={`text-xs text-red-300 flex items-start gap-1 ${className}`}>
+    <Gavel size={12} className="shrink-0 mt-0.5" />
+    <span>
+      A moderator suspended this session {formatBanEnd(ban.until)}{ban.reason && ` (${ban.reason})`}.
+      While it lasts, you can't find strangers or send messages.
+    </span>
+  </p>
+);
+
+// ====================================
+// RECENT PARTNERS
+// ====================================
+// Strangers we just talked to, remembered in memory for this tab only, so
+// "Next" means someone new while anybody else is waiting
+const RECENT_PARTNER_TTL_MS = 10 * 60 * 1000;
+const recentPartners = new Map(); // uid -> when the chat started
+
+const rememberRecentPartner = (uid) => {
+  if (uid) recentPartners.set(uid, Date.now());
+};
+
+const getRecentPartnerUids = () => {
+  const cutoff = Date.now() - RECENT_PARTNER_TTL_MS;
+  recentPartners.forEach((startedAt, uid) => {
+    if (startedAt < cutoff) recentPartners.delete(uid);
+  });
+  return [...recentPartners.keys()];
+};
+
+// ====================================
+// CIRCLES
+// ====================================
+// A circle is a room for CIRCLE_SIZES strangers (see matching.js). Everyone
+// resolves names from the same roster, so they agree on who got renamed; the
+// circle itself stands in for "the partner" in headers and memories.
+const getCircleIdentity = (size) => ({ name: `Circle of ${size}`, color: 'text-indigo-300', avatar: String(size) });
+
+// Roster identities end up in classNames, so they go through the same checks as a partner's
+const getCircleNames = (roster) => resolveCircleNames(
+  Object.entries(roster).map(([uid, { identity }]) => ({ uid, identity: sanitizeIdentity(identity) }))
+);
+
+// Join and leave notes come from the roster's stamps; with earlier pages still
+// unloaded, only the ones inside the loaded stretch are shown
+const mergeCircleEvents = (messages, events, hasEarlier) => {
+  const firstLoadedAt = toMillis(messages[0]?.timestamp);
+  const shown = hasEarlier && firstLoadedAt !== null ? events.filter(({ at }) => at >= firstLoadedAt) : events;
+  const sortKey = (item) => (item.isSystem ? item.at : toMillis(item.timestamp) ?? Infinity);
+  return [...messages, ...shown].sort((a, b) => sortKey(a) - sortKey(b));
+};
+
 // ====================================
 // FIXED: SEARCHING SCREEN
 // ====================================
-const SearchingScreen = ({ user, identity, onCancel, onMatchFound }) => {
+// The pool, invites and block-list checks live in the backend adapter; this
+// screen only owns the search's key pair and the status line.
+const SearchingScreen = ({ user, identity, preferences, onCancel, onMatchFound }) => {
   const [status, setStatus] = useState("Initializing...");
-  const poolDocIdRef = useRef(null);
-  const inviteListenerRef = useRef(null);
-  const isMountedRef = useRef(true);
-  const matchingAttemptedRef = useRef(false);
+  // One search per visit: its inputs are fixed when it starts, and the match
+  // handler is read through a ref, so a re-render of the parent never restarts it
+  const [search] = useState(() => ({ uid: user.uid, identity, preferences }));
+  const onMatchFoundRef = useRef(onMatchFound);
+  useEffect(() => {
+    onMatchFoundRef.current = onMatchFound;
+  });
 
   useEffect(() => {
-    isMountedRef.current = true;
-    
-    const findMatch = async () => {
-      if (matchingAttemptedRef.current) return;
-      matchingAttemptedRef.current = true;
-      
-      setStatus("Scanning for strangers...");
+    const { uid } = search;
+    let isCancelled = false;
+    let stopMatchmaking = null;
 
+    const startSearch = async () => {
       try {
-        const waitingPoolRef = collection(db, 'artifacts', appId, 'public', 'data', 'waiting_pool');
-        const q = query(waitingPoolRef, where('status', '==', 'waiting'));
-        const snapshot = await getDocs(q);
-        
-        const potentialMatches = snapshot.docs
-          .filter(doc => doc.data().userId !== user.uid)
-          .sort((a, b) => {
-            const tA = a.data().timestamp?.toMillis() || 0;
-            const tB = b.data().timestamp?.toMillis() || 0;
-            return tA - tB;
-          });
-
-        if (!isMountedRef.current) return;
-
-        if (potentialMatches.length > 0) {
-          const matchDoc = potentialMatches[0];
-          const matchData = matchDoc.data();
-          
-          setStatus("Found someone! Connecting...");
-          
-          await deleteDoc(matchDoc.ref);
-          
-          // USE FIXED ROOM ID FUNCTION
-          const roomId = createRoomId(user.uid, matchData.userId);
-          
-          console.log("🔵 Created room as host:", roomId);
-          
-          const inviteRef = doc(db, 'artifacts', appId, 'users', matchData.userId, 'invites', user.uid);
-          await setDoc(inviteRef, {
-            roomId: roomId,
-            hostIdentity: identity,
-            timestamp: serverTimestamp(),
-            status: 'active'
-          });
-          
-          onMatchFound(roomId, matchData.identity);
-        } else {
-          poolDocIdRef.current = null;
-          setStatus("Waiting for someone to join...");
-          
-          const poolDoc = await addDoc(waitingPoolRef, {
-            userId: user.uid,
-            identity: identity,
-            status: 'waiting',
-            timestamp: serverTimestamp()
-          });
-          
-          poolDocIdRef.current = poolDoc.id;
-          
-          const invitesRef = collection(db, 'artifacts', appId, 'users', user.uid, 'invites');
-          
-          inviteListenerRef.current = onSnapshot(invitesRef, (snapshot) => {
-            snapshot.docChanges().forEach((change) => {
-              if (change.type === 'added' && isMountedRef.current) {
-                const inviteData = change.doc.data();
-                if (inviteData.status === 'active' && inviteData.roomId) {
-                  setStatus("Match found! Joining...");
-                  
-                  console.log("🟢 Joining room as guest:", inviteData.roomId);
-                  
-                  if (poolDocIdRef.current) {
-                    deleteDoc(doc(db, 'artifacts', appId, 'public', 'data', 'waiting_pool', poolDocIdRef.current))
-                      .catch(() => {});
-                    poolDocIdRef.current = null;
-                  }
-                  
-                  onMatchFound(inviteData.roomId, inviteData.hostIdentity);
-                  deleteDoc(change.doc.ref).catch(() => {});
-                }
-              }
+        // A fresh key pair per search, so no two chats ever share a key
+        const keyPair = await generateKeyPair();
+        const publicKey = await exportPublicKey(keyPair);
+        if (isCancelled) return;
+
+        stopMatchmaking = backend.startMatchmaking({
+          uid,
+          profile: { identity: search.identity, publicKey, interests: search.preferences.interests, language: search.preferences.language },
+          recentPartnerUids: getRecentPartnerUids(),
+          circleSize: search.preferences.circleSize,
+          onStatus: (text) => !isCancelled && setStatus(text),
+          // `partner` carries what we learned about the stranger: identity, public key and interests
+          onMatch: ({ roomId, partner, circle }) => {
+            if (isCancelled) return;
+            if (circle) {
+              circle.members.forEach(({ uid }) => rememberRecentPartner(uid));
+              const names = getCircleNames(Object.fromEntries([[uid, { identity: search.identity }], ...circle.members.map((member) => [member.uid, member])]));
+              onMatchFoundRef.current({
+                roomId,
+                myIdentity: names[uid],
+                partnerIdentity: getCircleIdentity(circle.size),
+                e2ee: { keyPair, publicKey, partnerPublicKey: null },
+                sharedInterests: [],
+                circle: { size: circle.size, names }
+              });
+              return;
+            }
+            rememberRecentPartner(partner.uid);
+            // The partner's identity ends up in classNames, so only allow-listed parts get through
+            const names = resolveNameClash(search.identity, uid, sanitizeIdentity(partner.identity), partner.uid);
+            onMatchFoundRef.current({
+              roomId,
+              myIdentity: names.mine,
+              partnerIdentity: names.theirs,
+              e2ee: { keyPair, publicKey, partnerPublicKey: partner.publicKey },
+              sharedInterests: getSharedInterests(search.preferences.interests, partner.interests),
+              circle: null
             });
-          });
-        }
+          }
+        });
       } catch (error) {
         console.error("❌ Matching error:", error);
-        if (isMountedRef.current) {
-          setStatus("Error. Retrying...");
-          setTimeout(() => {
-            matchingAttemptedRef.current = false;
-            findMatch();
-          }, 2000);
-        }
+        if (!isCancelled) setStatus("Could not start the search. Please try again.");
       }
     };
 
-    findMatch();
+    startSearch();
 
     return () => {
-      isMountedRef.current = false;
-      if (inviteListenerRef.current) inviteListenerRef.current();
-      if (poolDocIdRef.current) {
-        deleteDoc(doc(db, 'artifacts', appId, 'public', 'data', 'waiting_pool', poolDocIdRef.current))
-          .catch(() => {});
-      }
+      isCancelled = true;
+      if (stopMatchmaking) stopMatchmaking();
     };
-  }, []);
+  }, [search]);
 
   return (
     <div className="min-h-screen bg-slate-950 flex flex-col items-center justify-center p-6 text-center relative overflow-hidden text-white">
@@ -376,143 +806,1130 @@ const SearchingScreen = ({ user, identity, onCancel, onMatchFound }) => {
 // FIXED: CHAT ROOM
 // ====================================
 
-const ChatRoom = ({ roomId, user, myIdentity, strangerIdentity, onLeave }) => {
+// "Next" from the keyboard is Esc twice; the first press only arms it
+const NEXT_CONFIRM_MS = 2000;
+
+// How far our clock may run ahead of the server's before a first message looks old
+const CLOCK_SLACK_MS = 30000;
+
+const ChatRoom = ({ roomId, user, myIdentity, strangerIdentity, e2ee, circle = null, isContact = false, sharedInterests = [], showFilteredContent, saveOnNext, saveImages, notificationSettings, connection, ban, onKeepInTouch, onLeave }) => {
+  const [rawMessages, setRawMessages] = useState([]);
   const [messages, setMessages] = useState([]);
+  const [roomKey, setRoomKey] = useState(null);
+  const [safetyNumber, setSafetyNumber] = useState(null);
+  const [cryptoError, setCryptoError] = useState(null);
+  const [showSafetyNumber, setShowSafetyNumber] = useState(false);
+  const [isReporting, setIsReporting] = useState(false);
+  const [piiWarning, setPiiWarning] = useState(null);
   const [inputText, setInputText] = useState('');
+  const [showMembers, setShowMembers] = useState(false);
+  const [reportUid, setReportUid] = useState(null);
+  const [joinedAt] = useState(() => Date.now());
+  const [nextArmedAt, setNextArmedAt] = useState(null);
+  const [replyingTo, setReplyingTo] = useState(null);
+  const [editingMessage, setEditingMessage] = useState(null);
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  const [imagesOff, setImagesOff] = useState(false);
+  const [imageUrls, setImageUrls] = useState({});
+  const [isSendingImage, setIsSendingImage] = useState(false);
+  const [imageError, setImageError] = useState(null);
+  const [contactState, setContactState] = useState(null);
+  const [sendLimiter] = useState(createSendLimiter);
+  const [sendBlock, setSendBlock] = useState(null);
+  const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const imageBytesRef = useRef(new Map());
+  const imageLoadsRef = useRef(new Set());
+  const objectUrlsRef = useRef([]);
+  const touchStartRef = useRef(null);
   const chatEndRef = useRef(null);
-  const unsubscribeRef = useRef(null);
+  const messageListRef = useRef(null);
+  const lastTypingSentRef = useRef(0);
+  const receiptsWrittenRef = useRef(new Set());
+  const decryptedCacheRef = useRef(new Map());
+  const circleKeyStartedRef = useRef(false);
+  const [messageLimit, setMessageLimit] = useState(MESSAGE_PAGE_SIZE);
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const isLoadingEarlierRef = useRef(false);
+  const scrollRestoreRef = useRef(null);
   
-  // Track previous message count to detect NEW messages for sound
-  const prevMessageCountRef = useRef(0);
+  // Track the previous last message to detect NEW messages for alerts and scrolling
+  const prevLastMessageIdRef = useRef(null);
+  const unreadCountRef = useRef(0);
+
+  const isCircle = !!circle;
+  // The clock ticks every second while a countdown is on screen
+  const now = useClock(messages.some((msg) => msg.ephemeral === 'timed') ? 1000 : PRESENCE_HEARTBEAT_MS / 2);
+  const {
+    room, partnerPresence, circlePresence, otherMembers, memberStatuses, partnerStatus, isRoomOver, isTabVisible, typingUid, isPartnerTyping
+  } = usePresence({ roomId, uid: user.uid, circle, isContact, joinedAt, now });
+  const { vanishMode, changeVanishMode, getVanishFields, deleteLeaveMessages } = useVanishingMessages({ roomId, uid: user.uid, messages, now, isContact });
+  const { outbox, failedEdits, enqueue, deliver, dropConfirmed, saveEdit } = useOutbox({
+    roomId,
+    isOnline: connection === 'online',
+    isRoomOver,
+    encrypt: (text) => encryptText(roomKey, text, `${roomId}|${user.uid}`)
+  });
+  const { call, callNotice, localStream, remoteStream, startCall, acceptCall, declineCall, endCall, toggleCallTrack } = useCall({
+    roomId,
+    uid: user.uid,
+    roomKey,
+    isCircle,
+    isRoomOver,
+    partnerName: strangerIdentity.name
+  });
 
   useEffect(() => {
-    console.log("📱 Setting up chat room:", roomId);
-    
-    const messagesRef = collection(db, 'artifacts', appId, 'public', 'data', 'messages');
-    const q = query(messagesRef, where('roomId', '==', roomId));
+    console.log("📱 Setting up chat room:", roomId, `(latest ${messageLimit})`);
 
-    unsubscribeRef.current = onSnapshot(q, (snapshot) => {
-      const msgs = [];
-      snapshot.forEach((doc) => {
-        msgs.push({ id: doc.id, ...doc.data() });
+    return backend.subscribeMessages(roomId, messageLimit, ({ messages: msgs, hasMore }) => {
+      // Reaching our listener is what "delivered" means; a circle has no receipts,
+      // since one stamp cannot say who of several got it
+      if (!isCircle) msgs.forEach((msg) => {
+        const receiptKey = `delivered_${msg.id}`;
+        if (msg.senderId !== user.uid && !msg.deliveredAt && !receiptsWrittenRef.current.has(receiptKey)) {
+          receiptsWrittenRef.current.add(receiptKey);
+          backend.markReceipt(roomId, msg.id, 'deliveredAt')
+            .catch((err) => console.error("❌ Delivery receipt failed:", err));
+        }
       });
-      
-      msgs.sort((a, b) => {
-        const tA = a.timestamp?.toMillis() || 0;
-        const tB = b.timestamp?.toMillis() || 0;
-        return tA - tB;
+
+      dropConfirmed(msgs);
+      isLoadingEarlierRef.current = false;
+      setHasMoreMessages(hasMore);
+      setRawMessages(msgs);
+    });
+  }, [roomId, user.uid, messageLimit, isCircle, dropConfirmed]);
+
+  // Remember the distance from the bottom so the view does not jump when older messages are prepended
+  const loadEarlierMessages = () => {
+    const list = messageListRef.current;
+    if (!hasMoreMessages || isLoadingEarlierRef.current || !list) return;
+    isLoadingEarlierRef.current = true;
+    scrollRestoreRef.current = list.scrollHeight - list.scrollTop;
+    setMessageLimit((current) => current + MESSAGE_PAGE_SIZE);
+  };
+
+  const handleMessageListScroll = (e) => {
+    if (e.currentTarget.scrollTop < 40) loadEarlierMessages();
+  };
+
+  // Derive the shared room key from the keys exchanged while matching
+  const hasPartnerKey = isCircle ? !!e2ee?.keyPair : !!(e2ee?.keyPair && e2ee?.partnerPublicKey);
+  useEffect(() => {
+    if (!hasPartnerKey || isCircle) return;
+    let cancelled = false;
+
+    Promise.all([
+      deriveRoomKey(e2ee.keyPair, e2ee.partnerPublicKey, roomId),
+      computeSafetyNumber(e2ee.publicKey, e2ee.partnerPublicKey)
+    ]).then(([key, number]) => {
+      if (cancelled) return;
+      setRoomKey(key);
+      setSafetyNumber(number);
+    }).catch((err) => {
+      console.error("❌ Key agreement failed:", err);
+      if (!cancelled) setCryptoError("Could not set up encryption with this stranger.");
+    });
+
+    return () => { cancelled = true; };
+  }, [e2ee, hasPartnerKey, isCircle, roomId]);
+
+  // A circle's key comes from its keyholder: they make it and share it out once
+  // the room doc is there, and everyone opens their own share. The keyholder
+  // keeps a share too, so the key survives a reload on their side as well
+  const roster = room?.roster;
+  const keyholder = room?.keyholder ?? null;
+  const hasKeyShares = !!room?.keyShares;
+  const myKeyShare = room?.keyShares?.[user.uid] ?? null;
+  const memberKeyList = room?.members?.filter((uid) => uid !== user.uid).join(',') ?? '';
+  useEffect(() => {
+    if (!isCircle || !e2ee?.keyPair || !roster || !keyholder || circleKeyStartedRef.current) return;
+    const makesKey = keyholder === user.uid && !hasKeyShares;
+    if (!makesKey && !myKeyShare) return;
+    circleKeyStartedRef.current = true;
+
+    const members = [user.uid, ...memberKeyList.split(',').filter(Boolean)].map((uid) => ({ uid, publicKey: roster[uid]?.publicKey }));
+    const keyReady = makesKey
+      ? createCircleKey(e2ee.keyPair, members, roomId).then(({ key, shares }) => backend.setCircleKey(roomId, shares).then(() => key))
+      : openCircleKeyShare(e2ee.keyPair, roster[keyholder].publicKey, myKeyShare, roomId, user.uid);
+    keyReady.then(setRoomKey).catch((err) => {
+      console.error("❌ Circle key setup failed:", err);
+      setCryptoError("Could not set up encryption with this circle.");
+    });
+  }, [isCircle, e2ee, roster, keyholder, hasKeyShares, myKeyShare, memberKeyList, roomId, user.uid]);
+
+  // Everyone who was in the circle when it opened, so the number never changes mid-chat
+  const rosterPublicKeys = roster ? Object.values(roster).map(({ publicKey }) => publicKey).sort().join(',') : null;
+  useEffect(() => {
+    if (!rosterPublicKeys) return;
+    let cancelled = false;
+    computeSafetyNumber(...rosterPublicKeys.split(','))
+      .then((number) => !cancelled && setSafetyNumber(number))
+      .catch((err) => console.error("❌ Safety number failed:", err));
+    return () => { cancelled = true; };
+  }, [rosterPublicKeys]);
+
+  // Decrypt incoming snapshots; results are cached per ciphertext so receipt updates stay cheap
+  useEffect(() => {
+    if (!roomKey) return;
+    let cancelled = false;
+    const cache = decryptedCacheRef.current;
+
+    Promise.all(rawMessages.map(async (msg) => {
+      if (!msg.ciphertext) return msg;
+
+      const cacheKey = `${msg.id}:${msg.ciphertext}`;
+      if (!cache.has(cacheKey)) {
+        cache.set(cacheKey, await decryptText(roomKey, msg, `${roomId}|${msg.senderId}`)
+          .then((text) => ({ text }))
+          .catch(() => ({ text: null, decryptError: true })));
+      }
+      const { ciphertext: _ciphertext, iv: _iv, ...rest } = msg;
+      return { ...rest, ...cache.get(cacheKey) };
+    })).then((decrypted) => {
+      if (!cancelled) setMessages(decrypted);
+    });
+
+    return () => { cancelled = true; };
+  }, [rawMessages, roomKey, roomId]);
+
+  const encryptionError = cryptoError || (!hasPartnerKey ? "This stranger did not share an encryption key." : null);
+
+  // Timed messages disappear the moment they expire (and are deleted by useVanishingMessages).
+  // The partner's repeats past DUPLICATE_LIMIT are hidden; only clients can compare texts
+  const repeatedIds = findRepeatedMessageIds(messages, user.uid);
+  const visibleMessages = messages.filter((msg) => !isMessageExpired(msg, now) && !repeatedIds.has(msg.id));
+
+  // Queued sends show up right away. Firestore already lists its own pending writes,
+  // so those copies only borrow the outbox status; the rest are appended as local bubbles.
+  const outboxById = new Map(outbox.map((entry) => [entry.id, entry]));
+  const listedIds = new Set(visibleMessages.map((msg) => msg.id));
+  const displayedMessages = [
+    ...visibleMessages.map((msg) => (msg.pending && outboxById.has(msg.id) ? { ...msg, sendState: outboxById.get(msg.id).status } : msg)),
+    ...outbox.filter(({ id }) => !listedIds.has(id)).map(({ id, text, status, message }) => ({
+      id,
+      text,
+      senderId: user.uid,
+      replyToId: message.replyToId,
+      image: message.image,
+      ephemeral: message.ephemeral,
+      expiresAt: message.expiresAt,
+      sendState: status
+    }))
+  ];
+  const partnerUid = isCircle ? null : room?.members?.find((uid) => uid !== user.uid) ?? null;
+
+  // In a circle, every name comes from the roster; before the room doc arrives, from matching
+  const memberNames = isCircle ? (roster ? getCircleNames(roster) : circle.names) : null;
+  const getSenderIdentity = (uid) => (isCircle ? memberNames[uid] ?? sanitizeIdentity(null) : strangerIdentity);
+  const presenceBadge = PRESENCE_BADGES[isContact && partnerStatus === 'disconnected' && !isRoomOver ? 'offline' : partnerStatus];
+
+  // Either side turning images off turns them off for both; in a circle, anyone does
+  const partnerImagesOff = isCircle ? otherMembers.some((uid) => circlePresence[uid]?.imagesOff) : !!partnerPresence?.imagesOff;
+  const imagesBlocked = imagesOff || partnerImagesOff;
+
+  // Keeping in touch takes both: each opt-in is a flag on the pair room, and once
+  // both are set, each side asks for the contact room and saves it on its device
+  const canKeepInTouch = !isCircle && !isContact;
+  const iKeepInTouch = canKeepInTouch && !!room?.keepInTouch?.[user.uid];
+  const partnerKeepsInTouch = canKeepInTouch && !!partnerUid && !!room?.keepInTouch?.[partnerUid];
+  const pairMembers = room?.members?.join(',') ?? '';
+  const contactStartedRef = useRef(false);
+  useEffect(() => {
+    if (!iKeepInTouch || !partnerKeepsInTouch || contactStartedRef.current) return;
+    contactStartedRef.current = true;
+    backend.createContact(roomId, pairMembers.split(','))
+      .then((contactRoomId) => {
+        onKeepInTouch({ roomId: contactRoomId, partnerUid, myIdentity, partnerIdentity: strangerIdentity, e2ee });
+        setContactState('saved');
+      })
+      .catch((err) => {
+        console.error("❌ Failed to open contact:", err);
+        contactStartedRef.current = false;
+        setContactState(err.message === 'contact-revoked' ? 'revoked' : 'failed');
       });
-      
-      setMessages(msgs);
-    }, (error) => {
-      console.error("❌ Message listener error:", error);
+  }, [iKeepInTouch, partnerKeepsInTouch, roomId, pairMembers, onKeepInTouch, partnerUid, myIdentity, strangerIdentity, e2ee]);
+
+  const toggleKeepInTouch = () => {
+    setContactState(null);
+    backend.setKeepInTouch(roomId, user.uid, !iKeepInTouch)
+      .catch((err) => console.error("❌ Keep in touch failed:", err));
+  };
+
+  const showImage = (ref, bytes, type) => {
+    const url = URL.createObjectURL(new Blob([bytes], { type }));
+    imageBytesRef.current.set(ref, { bytes, type });
+    objectUrlsRef.current.push(url);
+    setImageUrls((current) => ({ ...current, [ref]: url }));
+  };
+
+  // Runs after every render; each image is downloaded and decrypted at most once,
+  // and nothing is fetched while images are off
+  useEffect(() => {
+    if (!roomKey || imagesBlocked) return;
+    visibleMessages.forEach((msg) => {
+      if (!msg.image || imageLoadsRef.current.has(msg.image.ref)) return;
+      imageLoadsRef.current.add(msg.image.ref);
+      backend.downloadImage(roomId, msg.image.ref)
+        .then((data) => decryptBytes(roomKey, { data, iv: msg.image.iv }, `${roomId}|${msg.senderId}`))
+        .then((bytes) => showImage(msg.image.ref, bytes, msg.image.type))
+        .catch((err) => console.error("❌ Failed to load image:", err));
     });
+  });
 
-    return () => {
-      if (unsubscribeRef.current) unsubscribeRef.current();
-    };
-  }, [roomId]);
+  useEffect(() => {
+    const urls = objectUrlsRef.current;
+    return () => urls.forEach((url) => URL.revokeObjectURL(url));
+  }, []);
 
-  // Handle Scroll and Sound
+  // Mark the partner's messages as seen once their bubble is actually on screen
   useEffect(() => {
-    // 1. Scroll to bottom
-    chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-
-    // 2. Play Sound Logic
-    // We check if messages increased AND if we have history (prev > 0) to avoid playing on initial load
-    // Note: This logic skips sound if the stranger sends the very first message in a fresh room, 
-    // but prevents "dings" when loading old chat history.
-    if (messages.length > prevMessageCountRef.current && prevMessageCountRef.current > 0) {
-      const lastMessage = messages[messages.length - 1];
-      
-      // Only play if the message is NOT from me
-      if (lastMessage.senderId !== user.uid) {
-        NOTIFICATION_SOUND.currentTime = 0;
-        NOTIFICATION_SOUND.play().catch((e) => console.log("Sound blocked:", e));
+    if (!isTabVisible || !messageListRef.current) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach((entry) => {
+        if (!entry.isIntersecting) return;
+        const messageId = entry.target.dataset.messageId;
+        const receiptKey = `seen_${messageId}`;
+        observer.unobserve(entry.target);
+        if (receiptsWrittenRef.current.has(receiptKey)) return;
+        receiptsWrittenRef.current.add(receiptKey);
+        backend.markReceipt(roomId, messageId, 'seenAt')
+          .catch((err) => console.error("❌ Read receipt failed:", err));
+      });
+    }, { root: messageListRef.current, threshold: 0.6 });
+
+    messageListRef.current.querySelectorAll('[data-unseen="true"]').forEach((el) => observer.observe(el));
+    return () => observer.disconnect();
+  }, [messages, isTabVisible, roomId]);
+
+  // Handle Scroll and Sound
+  const lastSenderName = getSenderIdentity(messages[messages.length - 1]?.senderId).name;
+  useLayoutEffect(() => {
+    const lastMessage = messages[messages.length - 1];
+    const hasNewLastMessage = !!lastMessage && lastMessage.id !== prevLastMessageIdRef.current;
+
+    // 1. Scroll: keep our place after loading earlier pages, otherwise follow new messages
+    const list = messageListRef.current;
+    if (scrollRestoreRef.current !== null && list) {
+      list.scrollTop = list.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+    } else if (hasNewLastMessage) {
+      chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
+    }
+
+    // 2. Alerts
+    // Only a new *last* message counts, so loading earlier pages stays silent. The
+    // room's first message has no predecessor, so it counts if it was sent after we
+    // joined (with some slack for the server clock), while older history stays quiet.
+    const isLive = prevLastMessageIdRef.current !== null
+      || (toMillis(lastMessage?.timestamp) ?? 0) >= joinedAt - CLOCK_SLACK_MS;
+    const isRepeat = hasNewLastMessage && findRepeatedMessageIds(messages, user.uid).has(lastMessage.id);
+    if (hasNewLastMessage && isLive && !isRepeat && lastMessage.senderId !== user.uid) {
+      alertUser(notificationSettings, { title: lastSenderName, body: isCircle ? `In your ${strangerIdentity.name.toLowerCase()}` : "Sent you a message", tag: roomId });
+      if (document.hidden) {
+        unreadCountRef.current += 1;
+        setTabBadge(formatUnreadCount(unreadCountRef.current), strangerIdentity.name);
       }
     }
     
     // Update ref for next render
-    prevMessageCountRef.current = messages.length;
-  }, [messages, user.uid]);
+    if (lastMessage) prevLastMessageIdRef.current = lastMessage.id;
+  }, [messages, user.uid, joinedAt, notificationSettings, strangerIdentity.name, lastSenderName, isCircle, roomId]);
 
-  const handleSend = async () => {
-    if (!inputText.trim()) return;
-    
-    const text = inputText;
+  // The tab badge counts what arrived while the tab was hidden
+  useEffect(() => {
+    const clearBadge = () => {
+      if (document.hidden) return;
+      unreadCountRef.current = 0;
+      setTabBadge(null);
+    };
+    clearBadge();
+    document.addEventListener('visibilitychange', clearBadge);
+    return () => {
+      document.removeEventListener('visibilitychange', clearBadge);
+      setTabBadge(null);
+    };
+  }, []);
+
+  // Local bubbles are not in `messages` yet, so follow the outbox as well
+  const outboxSize = outbox.length;
+  useLayoutEffect(() => {
+    if (outboxSize > 0) chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [outboxSize]);
+
+  const blockSend = (block) => {
+    setSendBlock({ ...block, lockedUntil: recordAbuseStrike() });
+  };
+
+  // A rate block lifts by itself; the others wait for the next keystroke
+  useEffect(() => {
+    if (!sendBlock?.retryAt) return;
+    const timeout = setTimeout(() => setSendBlock(null), Math.max(0, sendBlock.retryAt - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [sendBlock]);
+
+  // Anything that looks like personal info is held back until the sender decides
+  const handleSend = () => {
+    if (!inputText.trim() || isRoomOver || !roomKey) return;
+
+    const text = inputText.trim();
+    const block = editingMessage ? null : sendLimiter.check(text);
+    if (block) {
+      blockSend(block);
+      return;
+    }
+    const findings = messageFilter.scan(text);
+    if (findings.length > 0) {
+      setPiiWarning({ text, findings });
+      return;
+    }
+    sendMessage(text);
+  };
+
+  // Sends a new message, or saves the edit when one is in progress
+  const sendMessage = async (text) => {
+    const editing = editingMessage;
+    const replyTo = replyingTo;
+    if (!editing) sendLimiter.record(text);
     setInputText(''); // Optimistic clear
+    setPiiWarning(null);
+    setEditingMessage(null);
+    setReplyingTo(null);
+    lastTypingSentRef.current = 0;
+    backend.setTyping(roomId, user.uid, false).catch(() => {});
 
+    if (editing) {
+      saveEdit(editing, text);
+      return;
+    }
     try {
-      await addDoc(collection(db, 'artifacts', appId, 'public', 'data', 'messages'), {
-        roomId: roomId,
-        text: text.trim(),
-        senderId: user.uid,
-        senderName: myIdentity.name,
-        timestamp: serverTimestamp()
+      const { ciphertext, iv } = await encryptText(roomKey, text, `${roomId}|${user.uid}`);
+      const id = crypto.randomUUID();
+      enqueue({
+        id,
+        text,
+        message: {
+          id,
+          ...getVanishFields(),
+          ciphertext: ciphertext,
+          iv: iv,
+          senderId: user.uid,
+          senderName: myIdentity.name,
+          replyToId: replyTo?.id ?? null
+        }
       });
     } catch (err) {
       console.error("❌ Failed to send:", err);
     }
   };
 
-  const handleLeaveChat = () => {
-    onLeave({
-      id: Date.now(),
-      partner: strangerIdentity,
-      messages: messages,
-      lastMessage: messages[messages.length - 1]?.text || "No messages",
-      date: new Date().toLocaleDateString(),
-      timestamp: new Date()
-    });
+  // The picture is stripped and encrypted before upload; the message itself only carries its ref
+  const handleImagePicked = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Lets the same file be picked again
+    if (!file || imagesBlocked || isRoomOver || !roomKey) return;
+    const block = sendLimiter.check(null);
+    if (block) {
+      blockSend(block);
+      return;
+    }
+    sendLimiter.record(null);
+
+    const replyTo = replyingTo;
+    const context = `${roomId}|${user.uid}`;
+    setImageError(null);
+    setIsSendingImage(true);
+    setReplyingTo(null);
+
+    try {
+      const { bytes, type, width, height } = await prepareImage(file);
+      const { data, iv: imageIv } = await encryptBytes(roomKey, bytes, context);
+      const ref = await backend.uploadImage(roomId, user.uid, data);
+      // We already hold the plaintext, so our own copy is never downloaded
+      imageLoadsRef.current.add(ref);
+      showImage(ref, bytes, type);
+
+      // Once uploaded, the message goes through the outbox like text, so a failed
+      // send shows up on the bubble and is retried without uploading again
+      const { ciphertext, iv } = await encryptText(roomKey, '', context);
+      const id = crypto.randomUUID();
+      enqueue({
+        id,
+        text: '',
+        message: {
+          id,
+          ...getVanishFields(),
+          ciphertext: ciphertext,
+          iv: iv,
+          senderId: user.uid,
+          senderName: myIdentity.name,
+          replyToId: replyTo?.id ?? null,
+          image: { ref, iv: imageIv, type, width, height }
+        }
+      });
+    } catch (err) {
+      console.error("❌ Failed to send image:", err);
+      setImageError(err.message?.startsWith("That ") ? err.message : "Could not send that image.");
+    } finally {
+      setIsSendingImage(false);
+    }
   };
 
+  const toggleImages = () => {
+    const next = !imagesOff;
+    setImagesOff(next);
+    backend.setImagesOff(roomId, user.uid, next)
+      .catch((err) => console.error("❌ Failed to update image setting:", err));
+  };
+
+  const startReply = (msg) => {
+    if (editingMessage) setInputText('');
+    setEditingMessage(null);
+    setReplyingTo(msg);
+    inputRef.current?.focus();
+  };
+
+  const startEdit = (msg) => {
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setInputText(msg.text);
+    inputRef.current?.focus();
+  };
+
+  const cancelCompose = () => {
+    if (editingMessage) setInputText('');
+    setEditingMessage(null);
+    setReplyingTo(null);
+  };
+
+  // Picking the emoji we already used takes the reaction back
+  const handleReact = (msg, emoji) => {
+    setReactionPickerFor(null);
+    const next = msg.reactions?.[user.uid] === emoji ? null : emoji;
+    backend.setReaction(roomId, msg.id, user.uid, next)
+      .catch((err) => console.error("❌ Reaction failed:", err));
+  };
+
+  const handleUnsend = (msg) => {
+    if (!window.confirm("Unsend this message? It will disappear for both of you.")) return;
+    if (editingMessage?.id === msg.id || replyingTo?.id === msg.id) cancelCompose();
+    backend.deleteMessage(roomId, msg.id)
+      .catch((err) => console.error("❌ Failed to unsend:", err));
+    if (msg.image) backend.deleteImage(roomId, msg.image.ref).catch(() => {});
+  };
+
+  // Swiping a bubble to the right starts a reply, like a hover on desktop
+  const handleTouchStart = (e) => {
+    touchStartRef.current = e.touches[0].clientX;
+  };
+
+  const handleTouchEnd = (msg, e) => {
+    const startX = touchStartRef.current;
+    touchStartRef.current = null;
+    if (startX !== null && e.changedTouches[0].clientX - startX > SWIPE_REPLY_PX && !msg.decryptError) startReply(msg);
+  };
+
+  const handleInputChange = (e) => {
+    setInputText(e.target.value);
+    setPiiWarning(null);
+    if (sendBlock && sendBlock.reason !== 'rate') setSendBlock(null);
+
+    const nowMs = Date.now();
+    if (!e.target.value.trim() || nowMs - lastTypingSentRef.current < TYPING_THROTTLE_MS) return;
+    lastTypingSentRef.current = nowMs;
+    backend.setTyping(roomId, user.uid, true)
+      .catch((err) => console.error("❌ Typing update failed:", err));
+  };
+
+  const handleVanishModeChange = (e) => {
+    changeVanishMode(e.target.value);
+  };
+
+  // A storage ref means nothing once the room is gone, so an image is either
+  // inlined into the memory or dropped (along with its message, if it had no text)
+  const toMemoryMessage = (msg) => {
+    if (!msg.image) return msg;
+    const loaded = saveImages ? imageBytesRef.current.get(msg.image.ref) : null;
+    if (!loaded) return msg.text ? { ...msg, image: null } : null;
+    return {
+      ...msg,
+      image: { width: msg.image.width, height: msg.image.height, dataUrl: bytesToDataUrl(loaded.bytes, loaded.type) }
+    };
+  };
+
+  // Whoever leaves last tears the room down; only "keep" messages reach the Memory Box.
+  // closeRoom and leaveCircle settle who is last in a transaction, so two of us leaving
+  // at once cannot both leave it to the other. A partner who merely looks gone may be a
+  // throttled background tab, so silence alone never deletes anything; a room nobody
+  // tears down is cleared by the backstop its messages get when it closes.
+  // A circle carries on without us until it closes, and then its last member tears it down.
+  // A contact stays open for next time, so only our "vanish on leave" messages go, and
+  // nothing is saved: the chat is still there when the contact is reopened.
+  const handleLeaveChat = (nextView = 'dashboard', { saveMemory = true } = {}) => {
+    endCall(true);
+    if (isContact) {
+      deleteLeaveMessages();
+    } else {
+      const leaving = isCircle ? backend.leaveCircle(roomId, user.uid) : backend.closeRoom(roomId, user.uid);
+      leaving
+        .then((isLastToLeave) => {
+          if (isLastToLeave) return backend.teardownRoom(roomId);
+        })
+        .catch((err) => console.error("❌ Room teardown failed:", err));
+    }
+
+    const keptMessages = saveMemory && !isContact
+      ? visibleMessages.filter((msg) => !msg.ephemeral).map(toMemoryMessage).filter(Boolean)
+      : [];
+    onLeave({
+      id: Date.now(),
+      myUid: user.uid,
+      partner: strangerIdentity,
+      circleSize: circle?.size ?? null,
+      messages: keptMessages,
+      lastMessage: keptMessages.filter((msg) => msg.text).at(-1)?.text || "No messages",
+      date: new Date().toLocaleDateString(),
+      timestamp: new Date()
+    }, nextView, { saveMemory: saveMemory && !isContact });
+  };
+
+  // Save (unless turned off), end the room and go straight back into the pool
+  const handleNext = () => handleLeaveChat('searching', { saveMemory: saveOnNext });
+
+  useEffect(() => {
+    if (!nextArmedAt) return;
+    const timeout = setTimeout(() => setNextArmedAt(null), NEXT_CONFIRM_MS);
+    return () => clearTimeout(timeout);
+  }, [nextArmedAt]);
+
+  // Re-attached every render so the handler always sees the current messages
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key !== 'Escape' || isReporting) return;
+      if (piiWarning) {
+        setPiiWarning(null);
+        return;
+      }
+      if (reactionPickerFor) {
+        setReactionPickerFor(null);
+        return;
+      }
+      if (editingMessage || replyingTo) {
+        cancelCompose();
+        return;
+      }
+      if (nextArmedAt) handleNext();
+      else setNextArmedAt(Date.now());
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  // Back (or any other way off this chat's URL) leaves the chat like the Leave button
+  useEffect(() => subscribeRoute((route) => {
+    if (route.name !== 'chat' || route.roomId !== roomId) handleLeaveChat();
+  }));
+
+  const reportedUid = isCircle ? reportUid : partnerUid;
+
+  const openReport = (uid = null) => {
+    setReportUid(uid);
+    setIsReporting(true);
+  };
+
+  const handleReport = async ({ reason, note, attachMessages }) => {
+    const context = attachMessages
+      ? messages.filter((msg) => msg.text).slice(-REPORT_CONTEXT_LIMIT).map((msg) => ({
+          senderId: msg.senderId,
+          senderName: msg.senderName,
+          text: msg.text,
+          timestamp: toMillis(msg.timestamp)
+        }))
+      : [];
+
+    try {
+      await backend.submitReport({
+        roomId: roomId,
+        reporterId: user.uid,
+        reportedUid: reportedUid,
+        reportedIdentity: getSenderIdentity(reportedUid),
+        reason: reason,
+        note: note,
+        messages: context
+      });
+    } catch (err) {
+      console.error("❌ Failed to send report:", err);
+    }
+    if (reportedUid) await recordReportedUid(reportedUid);
+    handleLeaveChat();
+  };
+
+  // Blocking a contact revokes it as well
+  const handleBlock = async (uid = partnerUid) => {
+    if (!window.confirm(`Block ${getSenderIdentity(uid).name}? You'll leave this chat and never be matched with them on this device again.`)) return;
+    if (uid) await blockUid(uid);
+    if (isContact) {
+      backend.closeRoom(roomId, user.uid)
+        .then(() => backend.teardownRoom(roomId))
+        .catch((err) => console.error("❌ Room teardown failed:", err));
+    }
+    handleLeaveChat();
+  };
+
+  const timeline = isCircle && roster
+    ? mergeCircleEvents(displayedMessages, [
+        ...Object.entries(roster).map(([uid, { joinedAt: at }]) => ({ id: `joined_${uid}`, uid, at, action: 'joined' })),
+        ...Object.entries(room.departedAt ?? {}).map(([uid, at]) => ({ id: `left_${uid}`, uid, at, action: 'left' })),
+      ].filter(({ at }) => typeof at === 'number').map((event) => ({ ...event, isSystem: true })), hasMoreMessages)
+    : displayedMessages;
+
   return (
     <div className="h-screen bg-slate-950 flex flex-col">
+      {isReporting && (
+        <ReportDialog
+          strangerName={getSenderIdentity(reportedUid).name}
+          messageCount={messages.filter((msg) => msg.text).length}
+          onSubmit={handleReport}
+          onCancel={() => setIsReporting(false)}
+        />
+      )}
       <header className="p-4 bg-slate-900 border-b border-slate-800 flex justify-between items-center shadow-md z-10">
         <div className="flex items-center space-x-3">
           <div className={`w-10 h-10 rounded-full bg-slate-800 flex items-center justify-center font-bold ${strangerIdentity.color} border border-slate-700`}>
-            {strangerIdentity.avatar}
+            {isCircle ? <Users size={18} /> : strangerIdentity.avatar}
           </div>
           <div>
             <h3 className={`font-bold ${strangerIdentity.color}`}>{strangerIdentity.name}</h3>
-            <span className="text-[10px] text-emerald-500 flex items-center gap-1">
-              <span className="w-1.5 h-1.5 bg-emerald-500 rounded-full animate-pulse"></span> Connected
-            </span>
+            {isPartnerTyping ? (
+              <span className="text-[10px] text-indigo-300 italic">{isCircle ? getSenderIdentity(typingUid).name : "Stranger"} is typing…</span>
+            ) : (
+              <span className={`text-[10px] ${presenceBadge.text} flex items-center gap-1`}>
+                <span className={`w-1.5 h-1.5 ${presenceBadge.dot} rounded-full`}></span>
+                {' '}{isCircle ? `${otherMembers.length + 1} of ${circle.size} here` : presenceBadge.label}
+              </span>
+            )}
           </div>
         </div>
-        <button onClick={handleLeaveChat} className="p-2 text-slate-400 hover:text-red-400 hover:bg-red-900/20 rounded-full transition-colors">
-          <LogOut size={20} />
-        </button>
+        <div className="flex items-center space-x-1">
+          {/* Calls are one-on-one; a circle gets its member list instead */}
+          {isCircle ? (
+            <button
+              onClick={() => setShowMembers((shown) => !shown)}
+              title="Members"
+              className={`p-2 rounded-full transition-colors ${showMembers ? 'text-white bg-slate-800' : 'text-slate-400 hover:text-white hover:bg-slate-800'}`}
+            >
+              <Users size={20} />
+            </button>
+          ) : (
+            <>
+              <button
+                onClick={() => startCall(false)}
+                disabled={!!call || isRoomOver || !!encryptionError || !roomKey}
+                title="Voice call"
+                className="p-2 text-slate-400 hover:text-emerald-400 hover:bg-emerald-900/20 rounded-full transition-colors disabled:opacity-40 disabled:hover:text-slate-400 disabled:hover:bg-transparent"
+              >
+                <Phone size={20} />
+              </button>
+              <button
+                onClick={() => startCall(true)}
+                disabled={!!call || isRoomOver || !!encryptionError || !roomKey}
+                title="Video call"
+                className="p-2 text-slate-400 hover:text-emerald-400 hover:bg-emerald-900/20 rounded-full transition-colors disabled:opacity-40 disabled:hover:text-slate-400 disabled:hover:bg-transparent"
+              >
+                <Video size={20} />
+              </button>
+            </>
+          )}
+          <button
+            onClick={() => setShowSafetyNumber((shown) => !shown)}
+            title="Verify encryption"
+            className={`p-2 rounded-full transition-colors ${encryptionError ? 'text-red-400 hover:bg-red-900/20' : 'text-emerald-400 hover:bg-emerald-900/20'}`}
+          >
+            {encryptionError ? <ShieldAlert size={20} /> : <ShieldCheck size={20} />}
+          </button>
+          {!isCircle && (
+            <>
+              {canKeepInTouch && (
+                <button
+                  onClick={toggleKeepInTouch}
+                  disabled={isRoomOver || contactState === 'saved'}
+                  title={iKeepInTouch ? "Don't keep in touch" : "Keep in touch"}
+                  className={`p-2 rounded-full transition-colors disabled:opacity-40 ${iKeepInTouch ? 'text-emerald-400 bg-emerald-900/20' : 'text-slate-400 hover:text-emerald-400 hover:bg-emerald-900/20'}`}
+                >
+                  <Handshake size={20} />
+                </button>
+              )}
+              <button onClick={() => openReport()} title="Report" className="p-2 text-slate-400 hover:text-amber-400 hover:bg-amber-900/20 rounded-full transition-colors">
+                <Flag size={20} />
+              </button>
+              <button onClick={() => handleBlock()} title="Block" className="p-2 text-slate-400 hover:text-red-400 hover:bg-red-900/20 rounded-full transition-colors">
+                <Ban size={20} />
+              </button>
+            </>
+          )}
+          <button onClick={() => handleLeaveChat()} title="Leave" className="p-2 text-slate-400 hover:text-red-400 hover:bg-red-900/20 rounded-full transition-colors">
+            <LogOut size={20} />
+          </button>
+          <button
+            onClick={handleNext}
+            title={isCircle ? "Next circle (Esc Esc)" : "Next stranger (Esc Esc)"}
+            className="ml-1 px-3 py-1.5 bg-indigo-600 hover:bg-indigo-500 text-white text-xs font-bold rounded-full transition-colors flex items-center gap-1"
+          >
+            <SkipForward size={14} /><span>Next</span>
+          </button>
+        </div>
       </header>
 
-      <div className="flex-1 overflow-y-auto p-4 space-y-4">
-        {messages.map((msg) => (
-          <div key={msg.id} className={`flex ${msg.senderId === user.uid ? 'justify-end' : 'justify-start'}`}>
-            <div className={`max-w-[85%] px-4 py-3 rounded-2xl text-sm leading-relaxed ${
-              msg.senderId === user.uid 
-                ? 'bg-indigo-600 text-white rounded-br-none' 
-                : 'bg-slate-800 text-slate-200 rounded-bl-none border border-slate-700'
-            }`}>
-              {msg.text}
+      {isCircle && showMembers && (
+        <div className="px-4 py-3 bg-slate-900 border-b border-slate-800 space-y-2">
+          {otherMembers.map((uid) => {
+            const member = getSenderIdentity(uid);
+            const badge = PRESENCE_BADGES[memberStatuses[uid]];
+            return (
+              <div key={uid} className="flex items-center gap-3">
+                <div className={`w-8 h-8 rounded-full bg-slate-800 flex items-center justify-center text-sm font-bold ${member.color} border border-slate-700`}>
+                  {member.avatar}
+                </div>
+                <div className="flex-1 min-w-0">
+                  <p className={`text-sm font-bold truncate ${member.color}`}>{member.name}</p>
+                  <span className={`text-[10px] ${badge.text} flex items-center gap-1`}>
+                    <span className={`w-1.5 h-1.5 ${badge.dot} rounded-full`}></span> {badge.label}
+                  </span>
+                </div>
+                <button onClick={() => openReport(uid)} title={`Report ${member.name}`} className="p-2 text-slate-400 hover:text-amber-400 hover:bg-amber-900/20 rounded-full transition-colors">
+                  <Flag size={16} />
+                </button>
+                <button onClick={() => handleBlock(uid)} title={`Block ${member.name}`} className="p-2 text-slate-400 hover:text-red-400 hover:bg-red-900/20 rounded-full transition-colors">
+                  <Ban size={16} />
+                </button>
+              </div>
+            );
+          })}
+          <p className="text-[10px] text-slate-500">Reporting or blocking someone takes you out of the circle; everyone else carries on.</p>
+        </div>
+      )}
+
+      {canKeepInTouch && !isRoomOver && (iKeepInTouch || partnerKeepsInTouch) && (
+        <div className="px-4 py-1.5 bg-emerald-900/20 border-b border-emerald-900/40 text-xs text-emerald-200 flex items-center justify-center gap-2">
+          <Handshake size={14} className="shrink-0" />
+          {contactState === 'saved' ? (
+            <span>You and {strangerIdentity.name} are contacts now. Reopen this chat any time from Contacts on the Dashboard.</span>
+          ) : contactState === 'revoked' ? (
+            <span>You were contacts before, and that contact was revoked. It cannot be opened again.</span>
+          ) : contactState === 'failed' ? (
+            <span>Could not save the contact. Turn keep in touch off and on again to retry.</span>
+          ) : iKeepInTouch && partnerKeepsInTouch ? (
+            <span>Saving the contact…</span>
+          ) : iKeepInTouch ? (
+            <>
+              <span>Waiting for {strangerIdentity.name} to keep in touch too.</span>
+              <button onClick={toggleKeepInTouch} className="font-bold hover:text-white transition-colors">Undo</button>
+            </>
+          ) : (
+            <>
+              <span>{strangerIdentity.name} would like to keep in touch. Only your personas are shared.</span>
+              <button onClick={toggleKeepInTouch} className="font-bold hover:text-white transition-colors">Keep in touch</button>
+            </>
+          )}
+        </div>
+      )}
+
+      {nextArmedAt && (
+        <div className="px-4 py-1.5 bg-indigo-900/30 border-b border-indigo-900/50 text-xs text-indigo-200 text-center">
+          Press Esc again for the next {isCircle ? "circle" : "stranger"}{saveOnNext ? "" : " (this chat won't be saved)"}
+        </div>
+      )}
+
+      {call && (
+        <CallPanel
+          call={call}
+          strangerName={strangerIdentity.name}
+          localStream={localStream}
+          remoteStream={remoteStream}
+          onAccept={acceptCall}
+          onDecline={declineCall}
+          onHangUp={() => endCall(true)}
+          onToggleMute={() => toggleCallTrack('audio', 'isMuted')}
+          onToggleCamera={() => toggleCallTrack('video', 'isCameraOff')}
+        />
+      )}
+      {callNotice && (
+        <div className="px-4 py-1.5 bg-slate-900 border-b border-slate-800 text-xs text-slate-400 text-center">{callNotice}</div>
+      )}
+
+      {encryptionError && (
+        <div className="px-4 py-2 bg-red-900/20 border-b border-red-900/40 text-xs text-red-300 flex items-center gap-2">
+          <ShieldAlert size={14} /><span>{encryptionError} Messages cannot be sent securely.</span>
+        </div>
+      )}
+      {showSafetyNumber && !encryptionError && (
+        <div className="px-4 py-3 bg-slate-900 border-b border-slate-800 text-xs text-slate-400 space-y-1">
+          <p className="flex items-center gap-1 text-emerald-400 font-bold"><Lock size={12} /> End-to-end encrypted</p>
+          <p className="font-mono text-sm text-white tracking-wider">{safetyNumber || "Computing…"}</p>
+          <p>
+            {isCircle
+              ? "Compare this safety number with everyone in the circle. If it matches on every screen, nobody else can read this chat."
+              : "Compare this safety number with your stranger. If it matches on both screens, nobody else can read this chat."}
+          </p>
+        </div>
+      )}
+
+      <div ref={messageListRef} onScroll={handleMessageListScroll} className="flex-1 overflow-y-auto p-4 space-y-4">
+        {hasMoreMessages && (
+          <div className="flex justify-center">
+            <button onClick={loadEarlierMessages} className="text-xs text-slate-500 hover:text-slate-300 transition-colors">
+              Load earlier messages
+            </button>
+          </div>
+        )}
+        {sharedInterests.length > 0 && (
+          <div className="bg-slate-900/60 border border-slate-800 rounded-xl p-3 text-center">
+            <p className="text-xs text-slate-400 mb-2">You both like</p>
+            <div className="flex flex-wrap justify-center gap-2">
+              {sharedInterests.map((tag) => (
+                <span key={tag} className="text-xs px-2 py-1 rounded-full bg-indigo-500/20 text-indigo-300 border border-indigo-500/30">{tag}</span>
+              ))}
             </div>
+            <p className="text-[10px] text-slate-500 mt-2">Start there — ask what got them into it.</p>
           </div>
-        ))}
+        )}
+        {timeline.map((msg) => {
+          if (msg.isSystem) {
+            const member = getSenderIdentity(msg.uid);
+            return (
+              <div key={msg.id} className="flex justify-center">
+                <span className="text-[11px] text-slate-500 flex items-center gap-1">
+                  {msg.action === 'joined' ? <UserPlus size={12} /> : <UserMinus size={12} />}
+                  {msg.uid === user.uid ? "You" : <span className={member.color}>{member.name}</span>} {msg.action}
+                </span>
+              </div>
+            );
+          }
+          const isMine = msg.senderId === user.uid;
+          const sender = isCircle && !isMine ? getSenderIdentity(msg.senderId) : null;
+          const showTicks = isMine && (!isCircle || !!msg.sendState);
+          // Replies, reactions and unsend need the server's copy
+          const actions = !msg.sendState && (
+            <div className={`relative flex items-center gap-0.5 text-slate-500 group-hover:opacity-100 focus-within:opacity-100 transition-opacity ${reactionPickerFor === msg.id ? 'opacity-100' : 'opacity-0'}`}>
+              {!msg.decryptError && (
+                <button onClick={() => startReply(msg)} title="Reply" className="p-1 hover:text-white rounded transition-colors"><Reply size={14} /></button>
+              )}
+              <button
+                onClick={() => setReactionPickerFor((current) => (current === msg.id ? null : msg.id))}
+                title="React"
+                className="p-1 hover:text-white rounded transition-colors"
+              >
+                <SmilePlus size={14} />
+              </button>
+              {canEditMessage(msg, user.uid, now) && (
+                <button onClick={() => startEdit(msg)} title="Edit" className="p-1 hover:text-white rounded transition-colors"><Pencil size={14} /></button>
+              )}
+              {isMine && (
+                <button onClick={() => handleUnsend(msg)} title="Unsend" className="p-1 hover:text-red-400 rounded transition-colors"><Undo2 size={14} /></button>
+              )}
+              {reactionPickerFor === msg.id && (
+                <div className={`absolute bottom-full mb-1 ${isMine ? 'right-0' : 'left-0'} flex gap-1 bg-slate-900 border border-slate-700 rounded-full px-2 py-1 shadow-lg z-10`}>
+                  {REACTION_EMOJIS.map((emoji) => (
+                    <button key={emoji} onClick={() => handleReact(msg, emoji)} className="text-base hover:scale-125 transition-transform">{emoji}</button>
+                  ))}
+                </div>
+              )}
+            </div>
+          );
+
+          return (
+            <div
+              key={msg.id}
+              data-message-id={msg.id}
+              data-unseen={!isMine && !msg.seenAt && !isCircle}
+              onTouchStart={handleTouchStart}
+              onTouchEnd={(e) => handleTouchEnd(msg, e)}
+              className={`group flex items-center gap-1 ${isMine ? 'justify-end' : 'justify-start'}`}
+            >
+              {isMine && actions}
+              <div className={`max-w-[85%] flex flex-col ${isMine ? 'items-end' : 'items-start'}`}>
+                {sender && (
+                  <span className={`mb-1 ml-1 text-[10px] font-bold flex items-center gap-1 ${sender.color}`}>
+                    <span className="w-4 h-4 rounded-full bg-slate-800 border border-slate-700 flex items-center justify-center text-[9px]">{sender.avatar}</span>
+                    {sender.name}
+                  </span>
+                )}
+                <div className={`px-4 py-3 rounded-2xl text-sm leading-relaxed ${
+                  isMine
+                    ? 'bg-indigo-600 text-white rounded-br-none'
+                    : 'bg-slate-800 text-slate-200 rounded-bl-none border border-slate-700'
+                }`}>
+                  {msg.replyToId && (
+                    <QuotedReply original={visibleMessages.find((m) => m.id === msg.replyToId)} myUid={user.uid} showFiltered={showFilteredContent} />
+                  )}
+                  {msg.image && (imagesBlocked ? (
+                    <span className="italic opacity-75 flex items-center gap-1"><ImageOff size={14} /> Image hidden, images are off</span>
+                  ) : (
+                    <SharedImage src={imageUrls[msg.image.ref]} width={msg.image.width} height={msg.image.height} blurred={!isMine} />
+                  ))}
+                  {msg.decryptError
+                    ? <span className="italic text-red-300 flex items-center gap-1"><ShieldAlert size={14} /> Message could not be decrypted</span>
+                    : isMine ? msg.text : <FilteredText text={msg.text} showFiltered={showFilteredContent} />}
+                  {(showTicks || msg.ephemeral || msg.editedAt) && (
+                    <span className="flex justify-end items-center gap-2 mt-1 -mb-1 text-[10px] opacity-80">
+                      {msg.editedAt && <span className="italic">edited</span>}
+                      {msg.ephemeral === 'timed' && (
+                        <span className="flex items-center gap-0.5"><Timer size={10} />{formatCountdown((toMillis(msg.expiresAt) ?? now) - now)}</span>
+                      )}
+                      {msg.ephemeral === 'leave' && <span className="flex items-center gap-0.5"><Timer size={10} />on leave</span>}
+                      {showTicks && <ReceiptTicks msg={msg} />}
+                    </span>
+                  )}
+                </div>
+                <ReactionChips reactions={msg.reactions} myUid={user.uid} onToggle={(emoji) => handleReact(msg, emoji)} />
+                {msg.sendState === 'failed' && (
+                  <button onClick={() => deliver(outboxById.get(msg.id))} className="mt-1 text-[10px] text-red-400 hover:text-red-300 flex items-center gap-1 transition-colors">
+                    <RotateCw size={10} /> Failed – tap to retry
+                  </button>
+                )}
+                {failedEdits[msg.id] !== undefined && (
+                  <button onClick={() => saveEdit(msg, failedEdits[msg.id])} className="mt-1 text-[10px] text-red-400 hover:text-red-300 flex items-center gap-1 transition-colors">
+                    <RotateCw size={10} /> Edit failed – tap to retry
+                  </button>
+                )}
+              </div>
+              {!isMine && actions}
+            </div>
+          );
+        })}
+        {isPartnerTyping && (
+          <div className="flex justify-start">
+            <div className="px-4 py-3 rounded-2xl rounded-bl-none bg-slate-800 border border-slate-700 flex space-x-1">
+              <span className="w-1.5 h-1.5 bg-slate-400 rounded-full animate-bounce"></span>
+              <span className="w-1.5 h-1.5 bg-slate-400 rounded-full animate-bounce [animation-delay:150ms]"></span>
+              <span className="w-1.5 h-1.5 bg-slate-400 rounded-full animate-bounce [animation-delay:300ms]"></span>
+            </div>
+          </div>
+        )}
+        {isRoomOver && (
+          <div className="flex justify-center">
+            <span className="text-xs text-slate-500 bg-slate-900 border border-slate-800 rounded-full px-3 py-1">
+              {isCircle ? "Everyone else has left the circle." : isContact ? "This contact has been revoked." : `${strangerIdentity.name} has left the chat.`}
+            </span>
+          </div>
+        )}
         <div ref={chatEndRef} />
       </div>
 
       <div className="p-4 bg-slate-900 border-t border-slate-800">
+        {isRoomOver && (
+          <button
+            onClick={handleNext}
+            className="w-full mb-3 py-2 bg-indigo-600 hover:bg-indigo-500 text-white text-sm font-bold rounded-full transition-colors flex items-center justify-center space-x-2"
+          >
+            <Search size={16} /><span>Find another</span>
+          </button>
+        )}
+        {piiWarning && (
+          <div className="mb-3 p-3 bg-amber-900/20 border border-amber-700/40 rounded-xl text-xs text-amber-200 space-y-2">
+            <p className="flex items-start gap-2">
+              <AlertTriangle size={14} className="shrink-0 mt-0.5" />
+              <span>
+                This message seems to include a {[...new Set(piiWarning.findings.map((f) => f.label))].join(', ')}.
+                Sharing it could reveal who you are.
+              </span>
+            </p>
+            <div className="flex space-x-2">
+              <button
+                onClick={() => sendMessage(messageFilter.redact(piiWarning.text, piiWarning.findings))}
+                className="flex-1 py-1.5 bg-amber-600 hover:bg-amber-500 text-white font-bold rounded-lg transition-colors"
+              >
+                Redact & send
+              </button>
+              <button
+                onClick={() => sendMessage(piiWarning.text)}
+                className="flex-1 py-1.5 border border-amber-700/60 hover:bg-amber-900/30 rounded-lg transition-colors"
+              >
+                Send anyway
+              </button>
+              <button onClick={() => setPiiWarning(null)} title="Keep editing" className="px-2 text-amber-300 hover:text-white transition-colors">
+                <X size={14} />
+              </button>
+            </div>
+          </div>
+        )}
+        {(replyingTo || editingMessage) && (
+          <div className="mb-2 px-3 py-2 bg-slate-950 border border-slate-800 rounded-xl text-xs text-slate-400 flex items-start gap-2">
+            {editingMessage ? <Pencil size={14} className="shrink-0 mt-0.5" /> : <Reply size={14} className="shrink-0 mt-0.5" />}
+            <div className="flex-1 min-w-0">
+              <p className="font-bold text-slate-300">
+                {editingMessage ? "Editing message" : `Replying to ${replyingTo.senderId === user.uid ? "yourself" : replyingTo.senderName}`}
+              </p>
+              {replyingTo && (
+                <p className="truncate">
+                  {replyingTo.senderId === user.uid ? getQuoteText(replyingTo) : <FilteredText text={getQuoteText(replyingTo)} showFiltered={showFilteredContent} />}
+                </p>
+              )}
+            </div>
+            <button onClick={cancelCompose} title="Cancel" className="text-slate-500 hover:text-white transition-colors"><X size={14} /></button>
+          </div>
+        )}
+        {imageError && <p className="mb-2 text-xs text-red-300">{imageError}</p>}
+        {ban && <BanNotice ban={ban} className="mb-2" />}
+        {sendBlock && (
+          <p className="mb-2 text-xs text-amber-300 flex items-start gap-1">
+            <Timer size={12} className="shrink-0 mt-0.5" />
+            <span>
+              {SEND_BLOCK_TEXT[sendBlock.reason]}
+              {sendBlock.lockedUntil && ` Too many blocked messages, so finding new strangers is paused until ${formatClockTime(sendBlock.lockedUntil)}.`}
+            </span>
+          </p>
+        )}
+        {inputText.length > MAX_MESSAGE_LENGTH * 0.9 && (
+          <p className="mb-2 text-right text-[11px] text-slate-500">{inputText.length}/{MAX_MESSAGE_LENGTH}</p>
+        )}
+        <div className="flex items-center justify-end mb-2 text-[11px] text-slate-500 gap-3">
+          <button
+            onClick={toggleImages}
+            title={imagesOff ? "Turn images back on" : "Turn images off for this chat"}
+            className="flex items-center gap-1 hover:text-slate-300 transition-colors"
+          >
+            {imagesBlocked ? <ImageOff size={12} /> : <ImagePlus size={12} />}
+            <span>{imagesOff ? "Images off" : partnerImagesOff ? `${isCircle ? "Someone" : "Stranger"} turned images off` : "Images on"}</span>
+          </button>
+          <span className="flex items-center gap-1">
+            <Timer size={12} />
+            <select
+              value={vanishMode}
+              onChange={handleVanishModeChange}
+              className="bg-transparent text-slate-400 focus:outline-none cursor-pointer"
+              title="How your messages vanish"
+            >
+              {VANISH_MODES.map(({ id, label }) => <option key={id} value={id} className="bg-slate-900">{label}</option>)}
+            </select>
+          </span>
+        </div>
         <div className="flex items-center space-x-2 bg-slate-950 border border-slate-700 rounded-full px-2 py-2">
+          <input ref={fileInputRef} type="file" accept="image/*" onChange={handleImagePicked} className="hidden" />
+          <button
+            onClick={() => fileInputRef.current?.click()}
+            disabled={imagesBlocked || isRoomOver || !roomKey || isSendingImage || !!ban}
+            title={imagesBlocked ? "Images are off for this chat" : "Send an image"}
+            className="p-2 text-slate-400 hover:text-white rounded-full disabled:opacity-40 disabled:hover:text-slate-400 transition-colors"
+          >
+            <ImagePlus size={18} className={isSendingImage ? 'animate-pulse' : ''} />
+          </button>
           <input 
+            ref={inputRef}
             type="text" 
             value={inputText} 
-            onChange={(e) => setInputText(e.target.value)}
+            onChange={handleInputChange}
             onKeyDown={(e) => e.key === 'Enter' && handleSend()}
-            placeholder="Type a message..." 
-            className="flex-1 bg-transparent text-white focus:outline-none text-sm h-10 px-2" 
+            maxLength={MAX_MESSAGE_LENGTH}
+            disabled={isRoomOver || !!encryptionError || !!ban}
+            placeholder={isRoomOver ? "This chat has ended" : encryptionError ? "Encryption unavailable" : ban ? "Sending is suspended" : "Type a message..."} 
+            className="flex-1 bg-transparent text-white focus:outline-none text-sm h-10 px-2 disabled:text-slate-600" 
           />
           <button 
             onClick={handleSend} 
-            disabled={!inputText.trim()} 
+            disabled={!inputText.trim() || isRoomOver || !roomKey || sendBlock?.reason === 'rate' || !!ban} 
             className="p-2 bg-indigo-600 text-white rounded-full disabled:opacity-50 disabled:bg-slate-700 hover:bg-indigo-500 transition-colors"
           >
             <Send size={18} />
@@ -523,8 +1940,185 @@ const ChatRoom = ({ roomId, user, myIdentity, strangerIdentity, onLeave }) => {
   );
 };
 
+// ====================================
+// NOTIFICATION SETTINGS
+// ====================================
+// Sounds, do not disturb and desktop notifications, see notifications.js.
+// Turning desktop notifications on is what asks the browser for permission.
+const formatUnreadCount = (count) => (count > 99 ? '99+' : String(count));
+
+const NotificationSettings = ({ settings, onChange }) => {
+  const [isBlocked, setIsBlocked] = useState(false);
+  const update = (changes) => onChange({ ...settings, ...changes });
+
+  const toggleDesktop = async (enable) => {
+    if (!enable) {
+      update({ desktop: false });
+      return;
+    }
+    const granted = await requestDesktopNotifications();
+    setIsBlocked(!granted);
+    if (granted) update({ desktop: true });
+  };
+
+  return (
+    <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800 space-y-4">
+      <p className="text-slate-500 text-xs uppercase tracking-wider font-bold flex items-center gap-2"><Bell size={12} /> Notifications</p>
+      <label className="flex items-center justify-between text-sm text-slate-400">
+        <span>Do not disturb</span>
+        <input type="checkbox" checked={settings.doNotDisturb} onChange={(e) => update({ doNotDisturb: e.target.checked })} className="accent-indigo-500" />
+      </label>
+      <label className="flex items-center justify-between text-sm text-slate-400">
+        <span>Mute sounds</span>
+        <input type="checkbox" checked={settings.muted} onChange={(e) => update({ muted: e.target.checked })} className="accent-indigo-500" />
+      </label>
+      <div className={`space-y-3 ${settings.muted || settings.doNotDisturb ? 'opacity-50' : ''}`}>
+        <div className="flex items-center gap-2">
+          <select
+            value={settings.sound}
+            onChange={(e) => update({ sound: e.target.value })}
+            className="flex-1 bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-indigo-500"
+          >
+            {NOTIFICATION_SOUNDS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+          </select>
+          <button onClick={() => playNotificationSound(settings)} title="Play sound" className="p-2 text-slate-400 hover:text-white border border-slate-700 rounded-lg transition-colors">
+            <Volume2 size={16} />
+          </button>
+        </div>
+        <label className="flex items-center gap-3 text-sm text-slate-400">
+          <span>Volume</span>
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={settings.volume}
+            onChange={(e) => update({ volume: Number(e.target.value) })}
+            className="flex-1 accent-indigo-500"
+          />
+        </label>
+      </div>
+      {canUseDesktopNotifications() && (
+        <label className="flex items-center justify-between text-sm text-slate-400">
+          <span>Desktop notifications when this tab is in the background</span>
+          <input type="checkbox" checked={settings.desktop} onChange={(e) => toggleDesktop(e.target.checked)} className="accent-indigo-500" />
+        </label>
+      )}
+      {isBlocked && <p className="text-xs text-amber-300">Notifications are blocked for this site. Allow them in your browser's site settings first.</p>}
+    </div>
+  );
+};
+
+// ====================================
+// CONTACTS
+// ====================================
+// Enough to show "9+" without keeping each contact's whole chat subscribed on the Dashboard
+const CONTACT_UNREAD_LIMIT = 10;
+
+// Unread is the partner's messages since we last left the chat. The room is
+// watched too, so a revoke from the other side shows up right away.
+const ContactRow = ({ contact, onOpen, onRevoke, onRemove }) => {
+  const [room, setRoom] = useState(undefined);
+  const [unread, setUnread] = useState({ count: 0, hasMore: false });
+
+  useEffect(() => backend.subscribeRoom(contact.roomId, setRoom), [contact.roomId]);
+
+  useEffect(() => backend.subscribeMessages(contact.roomId, CONTACT_UNREAD_LIMIT, ({ messages, hasMore }) => {
+    const fresh = messages.filter((msg) => msg.senderId === contact.partnerUid && (msg.timestamp ?? 0) > contact.lastReadAt);
+    setUnread({ count: fresh.length, hasMore: hasMore && fresh.length === messages.length });
+  }), [contact.roomId, contact.partnerUid, contact.lastReadAt]);
+
+  const isRevoked = room === null || room?.status === 'closed';
+  const { name, color, avatar } = contact.partnerIdentity;
+
+  const revoke = () => {
+    if (window.confirm(`Revoke ${name}? The chat is deleted and neither of you can reopen it.`)) onRevoke(contact);
+  };
+
+  return (
+    <div onClick={() => !isRevoked && onOpen(contact)} className={`bg-slate-900 border border-slate-800 p-4 rounded-xl flex items-center space-x-4 transition-colors group ${isRevoked ? 'opacity-60' : 'hover:border-emerald-500/50 cursor-pointer'}`}>
+      <div className={`w-10 h-10 rounded-full bg-slate-800 flex items-center justify-center font-bold ${color} border border-slate-700`}>
+        {avatar}
+      </div>
+      <div className="flex-1 min-w-0">
+        <h4 className={`font-bold text-sm ${color}`}>{name}</h4>
+        <p className="text-xs text-slate-400 truncate">
+          {isRevoked ? "This contact has been revoked" : `Contacts since ${formatDateTime(contact.createdAt)}`}
+        </p>
+      </div>
+      {!isRevoked && unread.count > 0 && (
+        <span className="min-w-[1.5rem] px-1.5 py-0.5 rounded-full bg-emerald-500 text-slate-950 text-xs font-bold text-center">
+          {unread.count}{unread.hasMore && '+'}
+        </span>
+      )}
+      <div className="flex items-center space-x-1 opacity-60 group-hover:opacity-100 transition-opacity" onClick={(e) => e.stopPropagation()}>
+        {isRevoked ? (
+          <button onClick={() => onRemove(contact.roomId)} title="Remove" className="p-1.5 text-slate-500 hover:text-red-400 rounded transition-colors">
+            <Trash2 size={14} />
+          </button>
+        ) : (
+          <button onClick={revoke} title="Revoke" className="p-1.5 text-slate-500 hover:text-red-400 rounded transition-colors">
+            <Unlink size={14} />
+          </button>
+        )}
+      </div>
+      {!isRevoked && <ChevronRight size={16} className="text-slate-600" />}
+    </div>
+  );
+};
+
+// ====================================
+// MEMORY EXPORT & IMPORT
+// ====================================
+// Files are built in the browser by memoryExport.js; only the JSON format can be
+// imported back. "Hide my name" swaps our uid and name for "me" / "Me".
+const exportMemories = (memories, format, { myUid, anonymize }) => {
+  try {
+    downloadExport(buildExport(memories, format, { myUid, anonymize }));
+  } catch (err) {
+    console.error("❌ Export failed:", err);
+  }
+};
+
+// `children` is the trigger's content, so the same menu serves one memory or the whole box
+const ExportMenu = ({ onExport, className, children }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [anonymize, setAnonymize] = useState(false);
+
+  return (
+    <div className="relative">
+      <button onClick={() => setIsOpen((open) => !open)} title="Export" className={className}>
+        {children}
+      </button>
+      {isOpen && (
+        <div className="absolute right-0 top-full mt-1 w-44 bg-slate-900 border border-slate-700 rounded-xl p-1.5 shadow-lg z-10">
+          {EXPORT_FORMATS.map(({ id, label }) => (
+            <button
+              key={id}
+              onClick={() => {
+                setIsOpen(false);
+                onExport(id, { anonymize });
+              }}
+              className="w-full text-left text-sm px-2 py-1.5 rounded-lg text-slate-300 hover:bg-slate-800 transition-colors"
+            >
+              {label}
+            </button>
+          ))}
+          <label className="flex items-center gap-2 px-2 pt-2 mt-1 border-t border-slate-800 text-xs text-slate-400">
+            <input type="checkbox" checked={anonymize} onChange={(e) => setAnonymize(e.target.checked)} className="accent-indigo-500" />
+            Hide my name
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
 // Memory Viewer and Dashboard (unchanged - keeping them short)
-const MemoryViewer = ({ chat, onClose, myUid }) => {
+const MemoryViewer = ({ chat, onClose, myUid: currentUid, showFilteredContent }) => {
+  // Memories outlive the anonymous uid they were recorded with
+  const myUid = chat.myUid ?? currentUid;
+
   return (
     <div className="fixed inset-0 z-[60] bg-slate-950 flex flex-col">
       <header className="p-4 bg-slate-900 border-b border-slate-800 flex items-center">
@@ -532,19 +2126,38 @@ const MemoryViewer = ({ chat, onClose, myUid }) => {
           <ArrowLeft size={24} />
         </button>
         <div className="ml-2 flex-1">
-          <h3 className="text-white font-bold"><span className={chat.partner.color}>{chat.partner.name}</span></h3>
+          <h3 className="text-white font-bold"><span className={chat.partner.color}>{chat.title || chat.partner.name}</span></h3>
           <div className="text-xs text-slate-500 flex items-center gap-1"><Calendar size={10} />{chat.date}</div>
         </div>
+        <ExportMenu
+          onExport={(format, { anonymize }) => exportMemories([chat], format, { myUid: currentUid, anonymize })}
+          className="p-2 text-slate-400 hover:text-white rounded-full transition-colors"
+        >
+          <Download size={20} />
+        </ExportMenu>
       </header>
       <div className="flex-1 overflow-y-auto p-4 space-y-4">
         {chat.messages?.map((msg) => (
           <div key={msg.id} className={`flex ${msg.senderId === myUid ? 'justify-end' : 'justify-start'}`}>
-            <div className={`max-w-[85%] px-4 py-3 rounded-2xl text-sm ${
-              msg.senderId === myUid 
-                ? 'bg-indigo-900/50 text-indigo-100 rounded-br-none border border-indigo-500/20' 
-                : 'bg-slate-900 text-slate-300 rounded-bl-none border border-slate-800'
-            }`}>
-              {msg.text}
+            <div className={`max-w-[85%] flex flex-col ${msg.senderId === myUid ? 'items-end' : 'items-start'}`}>
+              {chat.circleSize && msg.senderId !== myUid && msg.senderName && (
+                <span className="mb-1 ml-1 text-[10px] font-bold text-slate-500">{msg.senderName}</span>
+              )}
+              <div className={`px-4 py-3 rounded-2xl text-sm ${
+                msg.senderId === myUid 
+                  ? 'bg-indigo-900/50 text-indigo-100 rounded-br-none border border-indigo-500/20' 
+                  : 'bg-slate-900 text-slate-300 rounded-bl-none border border-slate-800'
+              }`}>
+                {msg.replyToId && (
+                  <QuotedReply original={chat.messages.find((m) => m.id === msg.replyToId)} myUid={myUid} showFiltered={showFilteredContent} />
+                )}
+                {msg.image?.dataUrl && (
+                  <SharedImage src={msg.image.dataUrl} width={msg.image.width} height={msg.image.height} blurred={msg.senderId !== myUid} />
+                )}
+                {msg.senderId === myUid ? msg.text : <FilteredText text={msg.text} showFiltered={showFilteredContent} />}
+                {msg.editedAt && <span className="block text-right mt-1 -mb-1 text-[10px] italic opacity-70">edited</span>}
+              </div>
+              <ReactionChips reactions={msg.reactions} myUid={myUid} />
             </div>
           </div>
         ))}
@@ -553,19 +2166,79 @@ const MemoryViewer = ({ chat, onClose, myUid }) => {
   );
 };
 
-const Dashboard = ({ user, identity, savedChats, onStartSearch }) => {
-  const [selectedChat, setSelectedChat] = useState(null);
+const Dashboard = ({ user, identity, onIdentityChange, savedChats, contacts, onOpenContact, onRevokeContact, onRemoveContact, preferences, onPreferencesChange, showFilteredContent, onShowFilteredContentChange, saveOnNext, onSaveOnNextChange, saveImages, onSaveImagesChange, notificationSettings, onNotificationSettingsChange, matchLockedUntil, ban, chatNotice, onDismissChatNotice, isModerator, onOpenModeration, onStartSearch, openMemoryId, onOpenMemory, onCloseMemory, onRenameMemory, onTogglePinMemory, onDeleteMemory, onWipeMemories, onImportMemories }) => {
+  const selectedChat = savedChats.find((chat) => String(chat.id) === openMemoryId) ?? null;
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState('');
+  const [importNotice, setImportNotice] = useState(null);
+  const [isEditingIdentity, setIsEditingIdentity] = useState(false);
+  const importInputRef = useRef(null);
+
+  const changeIdentity = (changes) => onIdentityChange(buildIdentity({ ...identity, ...changes }));
+
+  const startRename = (chat) => {
+    setRenamingId(chat.id);
+    setRenameText(chat.title || chat.partner.name);
+  };
+
+  const commitRename = () => {
+    if (renamingId !== null) onRenameMemory(renamingId, renameText.trim());
+    setRenamingId(null);
+  };
+
+  const toggleInterest = (tag) => {
+    const interests = preferences.interests.includes(tag)
+      ? preferences.interests.filter((t) => t !== tag)
+      : [...preferences.interests, tag];
+    onPreferencesChange({ ...preferences, interests });
+  };
+
+  const handleImportFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ''; // Lets the same file be picked again
+    if (!file) return;
+
+    let memories;
+    try {
+      memories = parseMemoryExport(await file.text());
+    } catch (err) {
+      setImportNotice({ isError: true, text: err.message });
+      return;
+    }
+    try {
+      const added = await onImportMemories(memories);
+      const skipped = memories.length - added;
+      setImportNotice({
+        isError: false,
+        text: `Imported ${added} chat${added === 1 ? '' : 's'}${skipped > 0 ? `, ${skipped} already in the Memory Box` : ''}.`
+      });
+    } catch (err) {
+      console.error("❌ Import failed:", err);
+      setImportNotice({ isError: true, text: "Could not save the imported chats." });
+    }
+  };
+
+  const handleWipe = () => {
+    if (window.confirm("Delete every memory on this device? This cannot be undone.")) onWipeMemories();
+  };
 
   return (
     <div className="min-h-screen bg-slate-950 text-white flex flex-col">
-      {selectedChat && <MemoryViewer chat={selectedChat} onClose={() => setSelectedChat(null)} myUid={user.uid} />}
+      {selectedChat && <MemoryViewer chat={selectedChat} onClose={onCloseMemory} myUid={user.uid} showFilteredContent={showFilteredContent} />}
       
       <header className="p-4 border-b border-slate-800 flex justify-between items-center bg-slate-900/50 backdrop-blur-sm sticky top-0 z-50">
         <div className="flex items-center space-x-2">
           <Ghost size={24} className="text-indigo-500" />
           <span className="font-bold text-lg">Stranger</span>
         </div>
-        <button onClick={() => signOut(auth)} className="text-xs text-slate-500 hover:text-white transition-colors">Disconnect</button>
+        <div className="flex items-center space-x-4">
+          {isModerator && (
+            <button onClick={onOpenModeration} className="text-xs text-slate-500 hover:text-white transition-colors flex items-center gap-1">
+              <Shield size={14} /> Moderation
+            </button>
+          )}
+          <button onClick={() => backend.signOut()} className="text-xs text-slate-500 hover:text-white transition-colors">Disconnect</button>
+        </div>
       </header>
 
       <div className="flex-1 flex flex-col max-w-md w-full mx-auto p-4 space-y-6">
@@ -575,22 +2248,207 @@ const Dashboard = ({ user, identity, savedChats, onStartSearch }) => {
             <div className={`w-16 h-16 rounded-full bg-slate-800 flex items-center justify-center text-2xl font-bold ${identity.color} border-2 border-slate-700`}>
               {identity.avatar}
             </div>
-            <div>
+            <div className="flex-1">
               <h2 className={`text-2xl font-bold ${identity.color}`}>{identity.name}</h2>
               <p className="text-xs text-slate-400 flex items-center mt-1">
                 <span className="w-2 h-2 bg-emerald-500 rounded-full mr-2 animate-pulse"></span>Online
               </p>
             </div>
+            <button onClick={() => onIdentityChange(generateIdentity(identity.avatarStyle))} className="text-slate-500 hover:text-white transition-colors" title="Reroll">
+              <Shuffle size={18} />
+            </button>
+            <button onClick={() => setIsEditingIdentity((editing) => !editing)} className={`transition-colors ${isEditingIdentity ? 'text-indigo-400' : 'text-slate-500 hover:text-white'}`} title="Edit identity">
+              <Pencil size={18} />
+            </button>
           </div>
+
+          {isEditingIdentity && (
+            <div className="mt-4 pt-4 border-t border-slate-800 space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                <select
+                  value={identity.adjective}
+                  onChange={(e) => changeIdentity({ adjective: e.target.value })}
+                  className="bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-indigo-500"
+                >
+                  {IDENTITY_ADJECTIVES.map((word) => <option key={word} value={word}>{word}</option>)}
+                </select>
+                <select
+                  value={identity.noun}
+                  onChange={(e) => changeIdentity({ noun: e.target.value })}
+                  className="bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-indigo-500"
+                >
+                  {IDENTITY_NOUNS.map((word) => <option key={word} value={word}>{word}</option>)}
+                </select>
+              </div>
+              <div className="flex items-center gap-2">
+                {IDENTITY_COLORS.map((color) => (
+                  <button
+                    key={color}
+                    onClick={() => changeIdentity({ color })}
+                    className={`w-7 h-7 rounded-full bg-current ${color} border-2 transition-colors ${color === identity.color ? 'border-white' : 'border-transparent'}`}
+                    aria-label={color}
+                  />
+                ))}
+              </div>
+              <div className="flex gap-2">
+                {AVATAR_STYLES.map(({ id, label }) => (
+                  <button
+                    key={id}
+                    onClick={() => changeIdentity({ avatarStyle: id })}
+                    className={`text-xs px-3 py-1.5 rounded-full border transition-colors ${
+                      id === identity.avatarStyle ? 'bg-indigo-600 border-indigo-500 text-white' : 'bg-slate-950 border-slate-700 text-slate-400 hover:border-slate-500'
+                    }`}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
 
-        <button onClick={onStartSearch} className="w-full py-6 bg-gradient-to-r from-indigo-600 to-purple-600 rounded-2xl shadow-lg hover:scale-[1.02] active:scale-[0.98] transition-all flex flex-col items-center">
+        <div className="bg-slate-900 rounded-2xl p-6 border border-slate-800 space-y-4">
+          <div>
+            <p className="text-slate-500 text-xs uppercase tracking-wider font-bold mb-3">Chat with</p>
+            <div className="flex flex-wrap gap-2">
+              {[null, ...CIRCLE_SIZES].map((size) => (
+                <button
+                  key={size ?? 'one'}
+                  onClick={() => onPreferencesChange({ ...preferences, circleSize: size })}
+                  className={`text-xs px-3 py-1.5 rounded-full border transition-colors flex items-center gap-1 ${
+                    size === preferences.circleSize ? 'bg-indigo-600 border-indigo-500 text-white' : 'bg-slate-950 border-slate-700 text-slate-400 hover:border-slate-500'
+                  }`}
+                >
+                  {size ? <><Users size={12} /><span>Circle of {size}</span></> : <><User size={12} /><span>One stranger</span></>}
+                </button>
+              ))}
+            </div>
+            {preferences.circleSize && (
+              <p className="text-[11px] text-slate-500 mt-2">
+                The circle opens once {preferences.circleSize} people are in, and stays open as long as two remain. Interests and language only apply to one-on-one chats.
+              </p>
+            )}
+          </div>
+          <div>
+            <p className="text-slate-500 text-xs uppercase tracking-wider font-bold mb-3">Interests</p>
+            <div className="flex flex-wrap gap-2">
+              {INTEREST_TAGS.map((tag) => {
+                const selected = preferences.interests.includes(tag);
+                return (
+                  <button
+                    key={tag}
+                    onClick={() => toggleInterest(tag)}
+                    className={`text-xs px-3 py-1.5 rounded-full border transition-colors ${
+                      selected ? 'bg-indigo-600 border-indigo-500 text-white' : 'bg-slate-950 border-slate-700 text-slate-400 hover:border-slate-500'
+                    }`}
+                  >
+                    {tag}
+                  </button>
+                );
+              })}
+            </div>
+          </div>
+          <div>
+            <p className="text-slate-500 text-xs uppercase tracking-wider font-bold mb-2">Language</p>
+            <select
+              value={preferences.language}
+              onChange={(e) => onPreferencesChange({ ...preferences, language: e.target.value })}
+              className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-2 text-sm text-white focus:outline-none focus:border-indigo-500"
+            >
+              {LANGUAGES.map(({ code, label }) => <option key={code} value={code}>{label}</option>)}
+            </select>
+          </div>
+          <label className="flex items-center justify-between text-sm text-slate-400">
+            <span>Show filtered content</span>
+            <input
+              type="checkbox"
+              checked={showFilteredContent}
+              onChange={(e) => onShowFilteredContentChange(e.target.checked)}
+              className="accent-indigo-500"
+            />
+          </label>
+          <label className="flex items-center justify-between text-sm text-slate-400">
+            <span>Save chats to the Memory Box when I hit Next</span>
+            <input
+              type="checkbox"
+              checked={saveOnNext}
+              onChange={(e) => onSaveOnNextChange(e.target.checked)}
+              className="accent-indigo-500"
+            />
+          </label>
+          <label className="flex items-center justify-between text-sm text-slate-400">
+            <span>Keep shared images in saved chats</span>
+            <input
+              type="checkbox"
+              checked={saveImages}
+              onChange={(e) => onSaveImagesChange(e.target.checked)}
+              className="accent-indigo-500"
+            />
+          </label>
+        </div>
+
+        <NotificationSettings settings={notificationSettings} onChange={onNotificationSettingsChange} />
+
+        {ban && <BanNotice ban={ban} className="-mb-3" />}
+        {chatNotice && (
+          <p className="-mb-3 text-xs text-amber-300 flex items-start gap-1">
+            <AlertTriangle size={12} className="shrink-0 mt-0.5" />
+            <span className="flex-1">{chatNotice}</span>
+            <button onClick={onDismissChatNotice} aria-label="Dismiss" className="text-slate-500 hover:text-white"><X size={12} /></button>
+          </p>
+        )}
+        <button
+          onClick={onStartSearch}
+          disabled={!!matchLockedUntil || !!ban}
+          className="w-full py-6 bg-gradient-to-r from-indigo-600 to-purple-600 rounded-2xl shadow-lg hover:scale-[1.02] active:scale-[0.98] transition-all flex flex-col items-center disabled:opacity-50 disabled:hover:scale-100"
+        >
           <Search className="mb-2 text-white" size={32} />
-          <span className="text-xl font-bold text-white">Find a Stranger</span>
+          <span className="text-xl font-bold text-white">{preferences.circleSize ? `Find a Circle of ${preferences.circleSize}` : "Find a Stranger"}</span>
+          {matchLockedUntil && (
+            <span className="text-xs text-indigo-100 mt-1">Paused after too many attempts. Try again at {formatClockTime(matchLockedUntil)}.</span>
+          )}
         </button>
 
         <div>
-          <h3 className="text-sm font-bold text-slate-400 uppercase mb-4">Memory Box ({savedChats.length})</h3>
+          <h3 className="text-sm font-bold text-slate-400 uppercase mb-4">Contacts ({contacts.length})</h3>
+          {contacts.length === 0 ? (
+            <div className="bg-slate-900/50 rounded-xl border border-slate-800/50 p-6 text-center">
+              <Handshake size={28} className="text-slate-700 mb-3 mx-auto" />
+              <p className="text-slate-500 text-sm">No contacts yet. If you and a stranger both press keep in touch, you can pick the chat up here later.</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {contacts.map((contact) => (
+                <ContactRow key={contact.roomId} contact={contact} onOpen={onOpenContact} onRevoke={onRevokeContact} onRemove={onRemoveContact} />
+              ))}
+            </div>
+          )}
+        </div>
+
+        <div>
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-sm font-bold text-slate-400 uppercase">Memory Box ({savedChats.length})</h3>
+            <div className="flex items-center space-x-3">
+              <input ref={importInputRef} type="file" accept=".json,application/json" onChange={handleImportFile} className="hidden" />
+              <button onClick={() => importInputRef.current?.click()} className="text-xs text-slate-500 hover:text-white transition-colors flex items-center gap-1">
+                <Upload size={12} /> Import
+              </button>
+              {savedChats.length > 0 && (
+                <>
+                  <ExportMenu
+                    onExport={(format, { anonymize }) => exportMemories(savedChats, format, { myUid: user.uid, anonymize })}
+                    className="text-xs text-slate-500 hover:text-white transition-colors flex items-center gap-1"
+                  >
+                    <Download size={12} /> Export all
+                  </ExportMenu>
+                  <button onClick={handleWipe} className="text-xs text-slate-500 hover:text-red-400 transition-colors">Wipe all</button>
+                </>
+              )}
+            </div>
+          </div>
+          {importNotice && (
+            <p className={`mb-3 text-xs ${importNotice.isError ? 'text-red-300' : 'text-emerald-300'}`}>{importNotice.text}</p>
+          )}
           {savedChats.length === 0 ? (
             <div className="bg-slate-900/50 rounded-xl border border-slate-800/50 p-8 text-center">
               <Clock size={32} className="text-slate-700 mb-3 mx-auto" />
@@ -599,14 +2457,44 @@ const Dashboard = ({ user, identity, savedChats, onStartSearch }) => {
           ) : (
             <div className="space-y-3">
               {savedChats.map((chat) => (
-                <div key={chat.id} onClick={() => setSelectedChat(chat)} className="bg-slate-900 border border-slate-800 p-4 rounded-xl flex items-center space-x-4 hover:border-indigo-500/50 transition-colors cursor-pointer group">
+                <div key={chat.id} onClick={() => renamingId !== chat.id && onOpenMemory(chat.id)} className={`bg-slate-900 border ${chat.pinned ? 'border-indigo-500/30' : 'border-slate-800'} p-4 rounded-xl flex items-center space-x-4 hover:border-indigo-500/50 transition-colors cursor-pointer group`}>
                   <div className={`w-10 h-10 rounded-full bg-slate-800 flex items-center justify-center font-bold ${chat.partner.color} border border-slate-700`}>
                     {chat.partner.avatar}
                   </div>
                   <div className="flex-1 min-w-0">
-                    <h4 className={`font-bold text-sm ${chat.partner.color}`}>{chat.partner.name}</h4>
+                    {renamingId === chat.id ? (
+                      <input
+                        autoFocus
+                        value={renameText}
+                        onClick={(e) => e.stopPropagation()}
+                        onChange={(e) => setRenameText(e.target.value)}
+                        onKeyDown={(e) => {
+                          if (e.key === 'Enter') commitRename();
+                          if (e.key === 'Escape') setRenamingId(null);
+                        }}
+                        onBlur={commitRename}
+                        maxLength={40}
+                        className="w-full bg-slate-950 border border-slate-700 rounded px-2 py-1 text-sm text-white focus:outline-none focus:border-indigo-500"
+                      />
+                    ) : (
+                      <h4 className={`font-bold text-sm ${chat.partner.color} flex items-center gap-1`}>
+                        {chat.pinned && <Pin size={12} className="text-indigo-400" />}
+                        {chat.title || chat.partner.name}
+                      </h4>
+                    )}
                     <p className="text-xs text-slate-400 truncate">{chat.lastMessage}</p>
                   </div>
+                  <div className="flex items-center space-x-1 opacity-60 group-hover:opacity-100 transition-opacity" onClick={(e) => e.stopPropagation()}>
+                    <button onClick={() => onTogglePinMemory(chat.id)} title={chat.pinned ? "Unpin" : "Pin"} className="p-1.5 text-slate-500 hover:text-indigo-400 rounded transition-colors">
+                      {chat.pinned ? <PinOff size={14} /> : <Pin size={14} />}
+                    </button>
+                    <button onClick={() => startRename(chat)} title="Rename" className="p-1.5 text-slate-500 hover:text-white rounded transition-colors">
+                      <Pencil size={14} />
+                    </button>
+                    <button onClick={() => onDeleteMemory(chat.id)} title="Delete" className="p-1.5 text-slate-500 hover:text-red-400 rounded transition-colors">
+                      <Trash2 size={14} />
+                    </button>
+                  </div>
                   <ChevronRight size={16} className="text-slate-600" />
                 </div>
               ))}
@@ -618,42 +2506,554 @@ const Dashboard = ({ user, identity, savedChats, onStartSearch }) => {
   );
 };
 
+// ====================================
+// MODERATION CONSOLE
+// ====================================
+// Reports carry the messages the reporter chose to attach, decrypted on their
+// device; the backends themselves only ever hold ciphertext. Banning from a
+// report also resolves it.
+const getReportReasonLabel = (reasonId) => REPORT_REASONS.find(({ id }) => id === reasonId)?.label ?? reasonId;
+
+const BanDurationSelect = ({ value, onChange }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className="bg-slate-950 border border-slate-700 rounded-lg px-2 py-1.5 text-xs text-slate-300 focus:outline-none focus:border-indigo-500"
+  >
+    {BAN_DURATIONS.map(({ id, label }) => <option key={id} value={id}>{label}</option>)}
+  </select>
+);
+
+const ReportCard = ({ report, onBan, onResolve }) => {
+  const [durationId, setDurationId] = useState(BAN_DURATIONS[0].id);
+  const reportedName = sanitizeIdentity(report.reportedIdentity).name;
+
+  return (
+    <div className="bg-slate-900 border border-slate-800 rounded-xl p-4 space-y-3">
+      <div className="flex items-start justify-between gap-2">
+        <div className="min-w-0">
+          <p className="text-sm font-bold text-red-300 flex items-center gap-1"><Flag size={14} /> {getReportReasonLabel(report.reason)}</p>
+          <p className="text-xs text-slate-400 mt-1 truncate">
+            {reportedName} <span className="font-mono text-slate-500">{report.reportedUid ?? "unknown uid"}</span>
+          </p>
+          <p className="text-[11px] text-slate-500 truncate">Reported by <span className="font-mono">{report.reporterId}</span></p>
+        </div>
+        {report.timestamp && <span className="text-[11px] text-slate-500 shrink-0">{formatDateTime(report.timestamp)}</span>}
+      </div>
+
+      {report.note && <p className="text-sm text-slate-300 bg-slate-950 rounded-lg px-3 py-2">“{report.note}”</p>}
+
+      {report.messages?.length > 0 ? (
+        <div className="bg-slate-950 rounded-lg p-3 space-y-1 max-h-48 overflow-y-auto">
+          {report.messages.map((msg, index) => (
+            <p key={index} className={`text-xs ${msg.senderId === report.reportedUid ? 'text-red-200' : 'text-slate-400'}`}>
+              <span className="font-bold">{msg.senderName ?? (msg.senderId === report.reportedUid ? reportedName : "Reporter")}:</span> {msg.text}
+            </p>
+          ))}
+        </div>
+      ) : (
+        <p className="text-xs text-slate-500 italic">No messages attached.</p>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <BanDurationSelect value={durationId} onChange={setDurationId} />
+        <button
+          onClick={() => onBan(report, durationId)}
+          disabled={!report.reportedUid}
+          className="px-3 py-1.5 bg-red-600 hover:bg-red-500 text-white rounded-lg text-xs font-bold transition-colors disabled:opacity-50 flex items-center gap-1"
+        >
+          <Gavel size={12} /> Ban
+        </button>
+        <button onClick={() => onResolve(report, 'resolved')} className="px-3 py-1.5 border border-slate-700 hover:bg-slate-800 text-slate-300 rounded-lg text-xs transition-colors">Resolve</button>
+        <button onClick={() => onResolve(report, 'dismissed')} className="px-3 py-1.5 text-slate-500 hover:text-white text-xs transition-colors">Dismiss</button>
+      </div>
+    </div>
+  );
+};
+
+const ModerationConsole = ({ user, isModerator, onClose }) => {
+  const [reports, setReports] = useState([]);
+  const [bans, setBans] = useState([]);
+  const [stats, setStats] = useState(null);
+  const [actionError, setActionError] = useState(null);
+  const [banUid, setBanUid] = useState('');
+  const [banDurationId, setBanDurationId] = useState(BAN_DURATIONS[0].id);
+  const [banReason, setBanReason] = useState('');
+
+  useEffect(() => {
+    if (!isModerator) return;
+    const unsubscribers = [
+      backend.subscribeReports(setReports),
+      backend.subscribeBans(setBans),
+      backend.subscribeModerationStats(setStats),
+    ];
+    return () => unsubscribers.forEach((unsubscribe) => unsubscribe());
+  }, [isModerator]);
+
+  const runAction = async (action, failureText) => {
+    setActionError(null);
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      console.error(`❌ ${failureText}:`, err);
+      setActionError(failureText);
+      return false;
+    }
+  };
+
+  const confirmAndBan = async (uid, durationId, reason) => {
+    if (durationId === 'permanent' && !window.confirm(`Ban ${uid} for good?`)) return false;
+    return runAction(() => backend.banUser(uid, { until: getBanUntil(durationId), reason }), "Could not ban this uid");
+  };
+
+  const handleReportBan = async (report, durationId) => {
+    if (await confirmAndBan(report.reportedUid, durationId, getReportReasonLabel(report.reason))) {
+      await runAction(() => backend.resolveReport(report.id, 'resolved'), "Banned, but could not resolve the report");
+    }
+  };
+
+  const handleResolve = (report, status) => runAction(() => backend.resolveReport(report.id, status), "Could not update the report");
+
+  const handleManualBan = async (e) => {
+    e.preventDefault();
+    if (await confirmAndBan(banUid.trim(), banDurationId, banReason)) {
+      setBanUid('');
+      setBanReason('');
+    }
+  };
+
+  const handleLift = (uid) => runAction(() => backend.liftBan(uid), "Could not lift the ban");
+
+  let content;
+  if (isModerator === null) {
+    content = <div className="flex justify-center py-12"><div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div></div>;
+  } else if (!isModerator) {
+    content = (
+      <div className="bg-slate-900 border border-slate-800 rounded-2xl p-6 space-y-2 text-center">
+        <ShieldAlert size={32} className="mx-auto text-amber-400" />
+        <p className="font-bold">This session is not a moderator</p>
+        <p className="text-xs text-slate-400">Ask an admin to add this uid to the moderator allow-list, then reload this page:</p>
+        <p className="font-mono text-xs text-slate-300 bg-slate-950 rounded-lg px-3 py-2 break-all select-all">{user.uid}</p>
+      </div>
+    );
+  } else {
+    content = (
+      <>
+        <div className="grid grid-cols-3 gap-3">
+          {[
+            { label: "Waiting", value: stats?.poolSize, icon: <Users size={12} /> },
+            { label: "Open rooms", value: stats?.activeRooms, icon: <Ghost size={12} /> },
+            { label: "Messages / min", value: stats?.messagesPerMinute, icon: <Activity size={12} /> },
+          ].map(({ label, value, icon }) => (
+            <div key={label} className="bg-slate-900 border border-slate-800 rounded-xl p-3">
+              <p className="text-[11px] text-slate-500 uppercase font-bold flex items-center gap-1">{icon} {label}</p>
+              <p className="text-2xl font-bold mt-1">{value ?? "–"}</p>
+            </div>
+          ))}
+        </div>
+
+        {actionError && <p className="text-xs text-red-300 flex items-center gap-1"><AlertTriangle size={12} /> {actionError}</p>}
+
+        <div className="space-y-3">
+          <h3 className="text-sm font-bold text-slate-400 uppercase">Open reports ({reports.length})</h3>
+          {reports.length === 0 && <p className="text-sm text-slate-500">Nothing to review.</p>}
+          {reports.map((report) => (
+            <ReportCard key={report.id} report={report} onBan={handleReportBan} onResolve={handleResolve} />
+          ))}
+        </div>
+
+        <div className="space-y-3">
+          <h3 className="text-sm font-bold text-slate-400 uppercase">Bans ({bans.length})</h3>
+          <form onSubmit={handleManualBan} className="bg-slate-900 border border-slate-800 rounded-xl p-3 space-y-2">
+            <input
+              value={banUid}
+              onChange={(e) => setBanUid(e.target.value)}
+              placeholder="uid to ban"
+              className="w-full bg-slate-950 border border-slate-700 rounded-lg px-3 py-1.5 text-xs font-mono focus:outline-none focus:border-indigo-500"
+            />
+            <div className="flex items-center gap-2">
+              <input
+                value={banReason}
+                onChange={(e) => setBanReason(e.target.value)}
+                placeholder="Reason (shown to them)"
+                maxLength={200}
+                className="flex-1 min-w-0 bg-slate-950 border border-slate-700 rounded-lg px-3 py-1.5 text-xs focus:outline-none focus:border-indigo-500"
+              />
+              <BanDurationSelect value={banDurationId} onChange={setBanDurationId} />
+              <button
+                type="submit"
+                disabled={!banUid.trim()}
+                className="px-3 py-1.5 bg-red-600 hover:bg-red-500 text-white rounded-lg text-xs font-bold transition-colors disabled:opacity-50"
+              >
+                Ban
+              </button>
+            </div>
+          </form>
+          {bans.map((ban) => (
+            <div key={ban.uid} className="bg-slate-900 border border-slate-800 rounded-xl px-3 py-2 flex items-center justify-between gap-2">
+              <div className="min-w-0">
+                <p className="font-mono text-xs text-slate-300 truncate">{ban.uid}</p>
+                <p className="text-[11px] text-slate-500 truncate">{ban.reason || "No reason given"} · {formatBanEnd(ban.until)}</p>
+              </div>
+              <button onClick={() => handleLift(ban.uid)} className="text-xs text-slate-400 hover:text-white transition-colors shrink-0">Lift</button>
+            </div>
+          ))}
+        </div>
+      </>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-slate-950 text-white flex flex-col">
+      <header className="p-4 border-b border-slate-800 flex items-center space-x-3 bg-slate-900/50 backdrop-blur-sm sticky top-0 z-50">
+        <button onClick={onClose} className="text-slate-400 hover:text-white transition-colors" title="Back"><ArrowLeft size={20} /></button>
+        <Shield size={20} className="text-indigo-500" />
+        <span className="font-bold text-lg">Moderation</span>
+      </header>
+      <div className="flex-1 max-w-2xl w-full mx-auto p-4 space-y-6">{content}</div>
+    </div>
+  );
+};
+
 // Main App
 export default function App() {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [view, setView] = useState('dashboard');
-  const [identity, setIdentity] = useState(null);
+  const [route, setRoute] = useState(parseRoute);
+  const [identity, setIdentity] = useState(loadIdentity);
   const [savedChats, setSavedChats] = useState([]);
-  const [activeRoomId, setActiveRoomId] = useState(null);
-  const [activePartnerIdentity, setActivePartnerIdentity] = useState(null);
+  const [contacts, setContacts] = useState([]);
+  const [activeChat, setActiveChat] = useState(null);
+  const [chatNotice, setChatNotice] = useState(null);
+  const [preferences, setPreferences] = useState({ interests: [], language: 'any', circleSize: null });
+  const [showFilteredContent, setShowFilteredContent] = useState(() => localStorage.getItem(SHOW_FILTERED_KEY) === 'true');
+  const [saveOnNext, setSaveOnNext] = useState(() => localStorage.getItem(SAVE_ON_NEXT_KEY) !== 'false');
+  const [saveImages, setSaveImages] = useState(() => localStorage.getItem(SAVE_IMAGES_KEY) === 'true');
+  const [connection, setConnection] = useState('online');
+  const [notificationSettings, setNotificationSettings] = useState(loadNotificationSettings);
+  const [matchLockedUntil, setMatchLockedUntil] = useState(getMatchLockout);
+  const [ban, setBan] = useState(null);
+  const [isModerator, setIsModerator] = useState(null);
 
   useEffect(() => {
-    const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
+    const unsubscribe = backend.onAuthChange((currentUser) => {
       setUser(currentUser);
-      if (currentUser && !identity) setIdentity(generateIdentity());
       setLoading(false);
     });
     return () => unsubscribe();
   }, []);
 
-  const handleMatchFound = (roomId, partnerIdentity) => {
-    setActiveRoomId(roomId);
-    setActivePartnerIdentity(partnerIdentity);
-    setView('chat');
+  useEffect(() => backend.subscribeConnection(setConnection), []);
+
+  // Tidies the address bar, e.g. the older ?moderation link becomes #/moderation
+  useEffect(() => navigate(parseRoute(), { replace: true }), []);
+
+  const view = route.name;
+  const goTo = (next, options) => {
+    navigate(next, options);
+    setRoute(next);
+  };
+
+  const uid = user?.uid;
+
+  // Live, so a ban or its lifting shows up without a reload
+  useEffect(() => {
+    if (!uid) return;
+    return backend.subscribeBan(uid, setBan);
+  }, [uid]);
+
+  useEffect(() => {
+    if (!ban?.until) return;
+    const timeout = setTimeout(() => setBan(null), Math.max(0, ban.until - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [ban]);
+
+  useEffect(() => {
+    if (!uid) return;
+    let isCurrent = true;
+    backend.isModerator()
+      .then((result) => {
+        if (isCurrent) setIsModerator(result);
+      })
+      .catch((err) => {
+        console.error("❌ Failed to check moderator access:", err);
+        if (isCurrent) setIsModerator(false);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [uid]);
+
+  // The Memory Box is device-local, so it loads regardless of which anonymous uid is signed in
+  useEffect(() => {
+    loadMemories()
+      .then((memories) => {
+        setSavedChats(memories);
+        // A link to a memory that is not on this device falls back to the Dashboard
+        const current = parseRoute();
+        if (current.name === 'memory' && !memories.some((chat) => String(chat.id) === current.memoryId)) {
+          navigate({ name: 'dashboard' }, { replace: true });
+          setRoute({ name: 'dashboard' });
+        }
+      })
+      .catch((err) => console.error("❌ Failed to load memories:", err));
+  }, []);
+
+  // Unlike the Memory Box, contacts belong to the uid that made them (see contacts.js)
+  useEffect(() => {
+    if (!uid) return;
+    loadContacts(uid)
+      .then(setContacts)
+      .catch((err) => console.error("❌ Failed to load contacts:", err));
+  }, [uid]);
+
+  // A reload (or forward) onto a chat's URL rejoins the chat, if this tab was in it
+  // and the room is still there; a closed room opens too, so the chat can still be read and saved
+  const resumeRoomId = view === 'chat' && route.roomId !== activeChat?.roomId ? route.roomId : null;
+  useEffect(() => {
+    if (!uid || !resumeRoomId) return;
+    let isCurrent = true;
+    const resume = async () => {
+      const session = await loadChatSession(resumeRoomId);
+      if (!session || session.uid !== uid) return null;
+      const room = await backend.getRoom(resumeRoomId);
+      if (room) return session;
+      await clearChatSession(resumeRoomId);
+      return null;
+    };
+    const leaveRoute = (notice) => {
+      setChatNotice(notice);
+      navigate({ name: 'dashboard' }, { replace: true });
+      setRoute({ name: 'dashboard' });
+    };
+
+    resume()
+      .then((session) => {
+        if (!isCurrent) return;
+        if (session) setActiveChat(session);
+        else leaveRoute("That chat has ended, or was open in another tab, so it could not be reopened.");
+      })
+      .catch((err) => {
+        console.error("❌ Failed to resume chat:", err);
+        if (isCurrent) leaveRoute("Could not reopen that chat. Check your connection and try the link again.");
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [uid, resumeRoomId]);
+
+  // The chat takes over the search's history entry, so back from a chat goes to the Dashboard
+  const handleMatchFound = ({ roomId, myIdentity, partnerIdentity, e2ee, sharedInterests, circle }) => {
+    // A search left running in a background tab would otherwise finish unnoticed
+    if (document.hidden) {
+      alertUser(notificationSettings, { title: "Match found", body: `${partnerIdentity.name} is waiting to chat.`, tag: 'match' });
+      setTabBadge('!', "Match found");
+    }
+    const session = { roomId, uid, myIdentity, partnerIdentity, e2ee, sharedInterests, circle };
+    saveChatSession(session).catch((err) => console.error("❌ Failed to save chat session:", err));
+    setActiveChat(session);
+    setChatNotice(null);
+    goTo({ name: 'chat', roomId }, { replace: true });
+  };
+
+  const handleChatEnd = (chatData, nextView = 'dashboard', { saveMemory: shouldSave = true } = {}) => {
+    if (shouldSave) {
+      setSavedChats(prev => sortMemories([chatData, ...prev]));
+      saveMemory(chatData).catch((err) => console.error("❌ Failed to save memory:", err));
+    }
+    // Everything said up to leaving counts as read
+    if (activeChat.isContact) updateContact(activeChat.roomId, { lastReadAt: chatData.timestamp.getTime() });
+    clearChatSession(activeChat.roomId).catch((err) => console.error("❌ Failed to clear chat session:", err));
+    setActiveChat(null);
+    setMatchLockedUntil(getMatchLockout());
+
+    // Leaving with the back button has already moved the URL on; otherwise the next screen replaces the chat's entry
+    const current = parseRoute();
+    if (!isSameRoute(current, { name: 'chat', roomId: activeChat.roomId })) {
+      followRoute(current);
+      return;
+    }
+    if (nextView === 'searching') {
+      startSearch({ replace: true });
+      return;
+    }
+    goTo({ name: nextView }, { replace: true });
+  };
+
+  // Every search start counts toward the lockout, including "Next" from a chat
+  const startSearch = ({ replace = false } = {}) => {
+    if (ban) {
+      goTo({ name: 'dashboard' }, { replace });
+      return;
+    }
+    const lockedUntil = recordSearchStart();
+    setMatchLockedUntil(lockedUntil);
+    goTo({ name: lockedUntil ? 'dashboard' : 'searching' }, { replace });
+  };
+
+  // Going forward onto a search starts a new one, with the same checks as the button
+  const followRoute = (next) => {
+    if (next.name === 'searching') startSearch({ replace: true });
+    else setRoute(next);
+  };
+
+  // Re-attached every render so it sees the current chat; an open chat hears
+  // back and forward itself and leaves first (see handleChatEnd)
+  useEffect(() => subscribeRoute((next) => {
+    if (!activeChat) followRoute(next);
+  }));
+
+  useEffect(() => {
+    if (!matchLockedUntil) return;
+    const timeout = setTimeout(() => setMatchLockedUntil(null), Math.max(0, matchLockedUntil - Date.now()));
+    return () => clearTimeout(timeout);
+  }, [matchLockedUntil]);
+
+  const closeModeration = () => goTo({ name: 'dashboard' }, { replace: true });
+
+  const handleIdentityChange = (updated) => {
+    setIdentity(updated);
+    saveIdentity(updated);
+  };
+
+  const handleNotificationSettingsChange = (settings) => {
+    setNotificationSettings(settings);
+    saveNotificationSettings(settings);
+  };
+
+  const handleShowFilteredContentChange = (show) => {
+    setShowFilteredContent(show);
+    localStorage.setItem(SHOW_FILTERED_KEY, String(show));
+  };
+
+  const handleSaveOnNextChange = (save) => {
+    setSaveOnNext(save);
+    localStorage.setItem(SAVE_ON_NEXT_KEY, String(save));
+  };
+
+  const handleSaveImagesChange = (save) => {
+    setSaveImages(save);
+    localStorage.setItem(SAVE_IMAGES_KEY, String(save));
+  };
+
+  const updateMemory = (id, changes) => {
+    const memory = savedChats.find((chat) => chat.id === id);
+    if (!memory) return;
+    const updated = { ...memory, ...changes };
+    setSavedChats(prev => sortMemories(prev.map((chat) => (chat.id === id ? updated : chat))));
+    saveMemory(updated).catch((err) => console.error("❌ Failed to update memory:", err));
+  };
+
+  const handleDeleteMemory = (id) => {
+    setSavedChats(prev => prev.filter((chat) => chat.id !== id));
+    deleteMemory(id).catch((err) => console.error("❌ Failed to delete memory:", err));
+  };
+
+  // Chats already in the Memory Box (same id) are skipped, so importing a file twice changes nothing
+  const handleImportMemories = async (memories) => {
+    const existingIds = new Set(savedChats.map((chat) => chat.id));
+    const fresh = memories.filter((memory) => !existingIds.has(memory.id));
+    await Promise.all(fresh.map(saveMemory));
+    setSavedChats(prev => sortMemories([...fresh, ...prev]));
+    return fresh.length;
+  };
+
+  const updateContact = (roomId, changes) => {
+    const contact = contacts.find((item) => item.roomId === roomId);
+    if (!contact) return;
+    const updated = { ...contact, ...changes };
+    setContacts(prev => prev.map((item) => (item.roomId === roomId ? updated : item)));
+    saveContact(updated).catch((err) => console.error("❌ Failed to update contact:", err));
   };
 
-  const handleChatEnd = (chatData) => {
-    setSavedChats(prev => [chatData, ...prev]);
-    setActiveRoomId(null);
-    setActivePartnerIdentity(null);
-    setView('dashboard');
+  const handleKeepInTouch = ({ roomId, partnerUid, myIdentity, partnerIdentity, e2ee }) => {
+    const now = Date.now();
+    const contact = { roomId, uid, partnerUid, myIdentity, partnerIdentity, e2ee, createdAt: now, lastReadAt: now };
+    setContacts(prev => sortContacts([contact, ...prev.filter((item) => item.roomId !== roomId)]));
+    saveContact(contact).catch((err) => console.error("❌ Failed to save contact:", err));
+  };
+
+  // Reopens the chat with the keys from the one where both opted in; the contact
+  // room's id salts them into a key of its own
+  const openContact = (contact) => {
+    const session = { roomId: contact.roomId, uid, myIdentity: contact.myIdentity, partnerIdentity: contact.partnerIdentity, e2ee: contact.e2ee, sharedInterests: [], circle: null, isContact: true };
+    saveChatSession(session).catch((err) => console.error("❌ Failed to save chat session:", err));
+    setActiveChat(session);
+    setChatNotice(null);
+    goTo({ name: 'chat', roomId: contact.roomId });
+  };
+
+  const handleRemoveContact = (roomId) => {
+    setContacts(prev => prev.filter((item) => item.roomId !== roomId));
+    deleteContact(roomId).catch((err) => console.error("❌ Failed to delete contact:", err));
+  };
+
+  // Revoking closes the room for both sides and deletes what was said in it
+  const handleRevokeContact = (contact) => {
+    backend.closeRoom(contact.roomId, uid)
+      .then(() => backend.teardownRoom(contact.roomId))
+      .catch((err) => console.error("❌ Failed to revoke contact:", err));
+    handleRemoveContact(contact.roomId);
+  };
+
+  const handleWipeMemories = () => {
+    setSavedChats([]);
+    wipeMemories().catch((err) => console.error("❌ Failed to wipe memories:", err));
   };
 
   if (loading) return <div className="min-h-screen bg-slate-950 flex items-center justify-center"><div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div></div>;
   if (!user) return <LoginScreen />;
-  if (view === 'searching') return <SearchingScreen user={user} identity={identity} onCancel={() => setView('dashboard')} onMatchFound={handleMatchFound} />;
-  if (view === 'chat' && activeRoomId) return <ChatRoom roomId={activeRoomId} user={user} myIdentity={identity} strangerIdentity={activePartnerIdentity} onLeave={handleChatEnd} />;
+  if (resumeRoomId) return <div className="min-h-screen bg-slate-950 flex items-center justify-center"><div className="animate-spin rounded-full h-8 w-8 border-b-2 border-indigo-500"></div></div>;
+  let screen;
+  if (view === 'searching') {
+    screen = <SearchingScreen user={user} identity={identity} preferences={preferences} onCancel={() => goTo({ name: 'dashboard' }, { replace: true })} onMatchFound={handleMatchFound} />;
+  } else if (view === 'chat' && activeChat) {
+    screen = <ChatRoom roomId={activeChat.roomId} user={user} myIdentity={activeChat.myIdentity} strangerIdentity={activeChat.partnerIdentity} e2ee={activeChat.e2ee} circle={activeChat.circle} isContact={!!activeChat.isContact} sharedInterests={activeChat.sharedInterests} showFilteredContent={showFilteredContent} saveOnNext={saveOnNext} saveImages={saveImages} notificationSettings={notificationSettings} connection={connection} ban={ban} onKeepInTouch={handleKeepInTouch} onLeave={handleChatEnd} />;
+  } else if (view === 'moderation') {
+    screen = <ModerationConsole user={user} isModerator={isModerator} onClose={closeModeration} />;
+  } else {
+    screen = <Dashboard
+        user={user}
+        identity={identity}
+        onIdentityChange={handleIdentityChange}
+        savedChats={savedChats}
+        contacts={contacts}
+        onOpenContact={openContact}
+        onRevokeContact={handleRevokeContact}
+        onRemoveContact={handleRemoveContact}
+        preferences={preferences}
+        onPreferencesChange={setPreferences}
+        showFilteredContent={showFilteredContent}
+        onShowFilteredContentChange={handleShowFilteredContentChange}
+        saveOnNext={saveOnNext}
+        onSaveOnNextChange={handleSaveOnNextChange}
+        saveImages={saveImages}
+        onSaveImagesChange={handleSaveImagesChange}
+        notificationSettings={notificationSettings}
+        onNotificationSettingsChange={handleNotificationSettingsChange}
+        matchLockedUntil={matchLockedUntil}
+        ban={ban}
+        chatNotice={chatNotice}
+        onDismissChatNotice={() => setChatNotice(null)}
+        isModerator={isModerator}
+        onOpenModeration={() => goTo({ name: 'moderation' })}
+        onStartSearch={() => startSearch()}
+        openMemoryId={view === 'memory' ? route.memoryId : null}
+        onOpenMemory={(id) => goTo({ name: 'memory', memoryId: String(id) })}
+        onCloseMemory={() => goTo({ name: 'dashboard' }, { replace: true })}
+        onRenameMemory={(id, title) => updateMemory(id, { title: title || null })}
+        onTogglePinMemory={(id) => updateMemory(id, { pinned: !savedChats.find((chat) => chat.id === id)?.pinned })}
+        onDeleteMemory={handleDeleteMemory}
+        onWipeMemories={handleWipeMemories}
+        onImportMemories={handleImportMemories}
+      />;
+  }
 
-  return <Dashboard user={user} identity={identity || {name: 'Stranger', color: 'text-white', avatar: '?'}} savedChats={savedChats} onStartSearch={() => setView('searching')} />;
+  return (
+    <>
+      <ConnectionBanner connection={connection} />
+      {screen}
+    </>
+  );
 }
@@ -0,0 +1,1075 @@
+/**
+ * Firebase Backend - Firebase Auth, Firestore and Storage adapter
+ *
+ * Data lives under artifacts/{appId} as described in firestore.rules. Matching
+ * uses the waiting_pool with transactional claims and per-user invite docs;
+ * circles gather in their own room doc instead (see MATCHMAKING: CIRCLES).
+ * Rooms, presence and messages are plain docs watched with onSnapshot. Shared
+ * images are encrypted blobs in Storage under artifacts/{appId}/rooms/{roomId}/{uid},
+ * guarded by storage.rules. The moderator console's live stats are aggregation
+ * queries, polled rather than watched.
+ * Firestore Timestamps are converted to epoch millis before they reach the UI.
+ *
+ * @module backend/firebase
+ */
+import { initializeApp } from 'firebase/app';
+import {
+  getAuth,
+  signInAnonymously,
+  signInWithCustomToken,
+  onAuthStateChanged,
+  signOut,
+  connectAuthEmulator
+} from 'firebase/auth';
+import {
+  getFirestore,
+  collection,
+  addDoc,
+  query,
+  where,
+  getDoc,
+  getDocs,
+  getCountFromServer,
+  collectionGroup,
+  orderBy,
+  limit,
+  deleteDoc,
+  doc,
+  onSnapshot,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  deleteField,
+  runTransaction,
+  writeBatch,
+  Timestamp,
+  connectFirestoreEmulator
+} from 'firebase/firestore';
+import {
+  getStorage,
+  ref as storageRef,
+  uploadBytes,
+  getBytes,
+  deleteObject,
+  listAll,
+  connectStorageEmulator
+} from 'firebase/storage';
+import { isAvoided, isAnyAvoided, filterAvoided } from '../blockList';
+import { createRoomId, createCircleId, createContactId, rankCandidates, preferNewPartners } from '../matching';
+import { isBanActive, cleanBanReason, MODERATION_STATS_INTERVAL_MS, MESSAGE_RATE_WINDOW_MS } from '../moderation';
+
+const appId = 'stranger-app-v1';
+
+// Waiting entries send a heartbeat; anything silent for longer than
+// POOL_STALE_MS by the server's clock belongs to a closed tab and is never
+// handed out. The rules refuse claims on such entries too.
+const POOL_HEARTBEAT_MS = 10000;
+const POOL_STALE_MS = 30000;
+
+// Keep and vanish-on-leave messages carry no expiry while the chat is open; whoever
+// closes the room gives them this one, in case nobody is left to tear it down
+const MESSAGE_BACKSTOP_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How long a search holds out for overlapping interests before widening to anyone
+const MATCH_WIDEN_AFTER_MS = Number(import.meta.env.VITE_MATCH_WIDEN_AFTER_MS) || 15000;
+
+const toMillis = (timestamp) => timestamp?.toMillis?.() ?? null;
+
+// Top-level Timestamps become epoch millis; a pending server timestamp stays null
+const toPlain = (data) => Object.fromEntries(
+  Object.entries(data).map(([key, value]) => [key, value?.toMillis ? value.toMillis() : value])
+);
+
+// Circle rooms keep their join and leave stamps one level down
+const toRoom = (data) => {
+  const room = toPlain(data);
+  if (room.roster) room.roster = Object.fromEntries(Object.entries(room.roster).map(([uid, entry]) => [uid, toPlain(entry)]));
+  if (room.departedAt) room.departedAt = toPlain(room.departedAt);
+  return room;
+};
+
+/**
+ * Initializes the Firebase app on first use, so other backends never need a Firebase config
+ *
+ * @param {Object} options
+ * @param {string} options.appName - Each name gets its own app and sign-in; the emulator tests
+ *   use this to run several strangers in one process
+ * @returns {Object} Backend, see backend/index.js
+ */
+export const createFirebaseBackend = ({ appName } = {}) => {
+  const app = initializeApp({
+    apiKey: import.meta.env.VITE_FIREBASE_API_KEY,
+    authDomain: import.meta.env.VITE_FIREBASE_AUTH_DOMAIN,
+    projectId: import.meta.env.VITE_FIREBASE_PROJECT_ID,
+    storageBucket: import.meta.env.VITE_FIREBASE_STORAGE_BUCKET,
+    messagingSenderId: import.meta.env.VITE_FIREBASE_MESSAGING_SENDER_ID,
+    appId: import.meta.env.VITE_FIREBASE_APP_ID,
+  }, appName);
+  const auth = getAuth(app);
+  const db = getFirestore(app);
+  const storage = getStorage(app);
+
+  // Point at the local Firebase emulators (`firebase emulators:start`) instead of a real project
+  if (import.meta.env.VITE_USE_FIREBASE_EMULATORS === 'true') {
+    connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+    connectFirestoreEmulator(db, '127.0.0.1', 8080);
+    connectStorageEmulator(storage, '127.0.0.1', 9199);
+  }
+
+  const getRoomsRef = () => collection(db, 'artifacts', appId, 'public', 'data', 'rooms');
+  const getRoomRef = (roomId) => doc(getRoomsRef(), roomId);
+  const getPresenceRef = (roomId, uid) => doc(getRoomRef(roomId), 'presence', uid);
+  // Messages live under their room; the flat public/data/messages collection is legacy
+  // data only, moved over by scripts/migrate-flat-messages.js
+  const getMessagesRef = (roomId) => collection(getRoomRef(roomId), 'messages');
+  const getSignalsRef = (roomId) => collection(getRoomRef(roomId), 'signals');
+  const getReportsRef = () => collection(db, 'artifacts', appId, 'public', 'data', 'reports');
+  const getWaitingPoolRef = () => collection(db, 'artifacts', appId, 'public', 'data', 'waiting_pool');
+  const getInviteRef = (recipientUid, senderUid) => doc(db, 'artifacts', appId, 'users', recipientUid, 'invites', senderUid);
+  const getBansRef = () => collection(db, 'artifacts', appId, 'public', 'data', 'bans');
+  const getBanRef = (uid) => doc(getBansRef(), uid);
+  // The allow-list sits outside artifacts/{appId}, so the rules can check it for collection group queries too
+  const getModeratorRef = (uid) => doc(db, 'moderators', uid);
+  const getImagesPath = (roomId) => `artifacts/${appId}/rooms/${roomId}`;
+
+  // ====================================
+  // CONNECTION STATUS
+  // ====================================
+  // Firestore has no connection event of its own. The room listener reports whether
+  // its snapshots come from the server, the browser reports losing the network, and
+  // matchmaking reports listener errors.
+  let connection = navigator.onLine ? 'online' : 'offline';
+  const connectionListeners = new Set();
+
+  const setConnection = (next) => {
+    if (next === connection) return;
+    connection = next;
+    connectionListeners.forEach((callback) => callback(next));
+  };
+
+  window.addEventListener('online', () => setConnection('online'));
+  window.addEventListener('offline', () => setConnection('offline'));
+
+  const subscribeConnection = (callback) => {
+    connectionListeners.add(callback);
+    callback(connection);
+    return () => connectionListeners.delete(callback);
+  };
+
+  const getUnexpiringMessages = async (roomId) =>
+    (await getDocs(query(getMessagesRef(roomId), where('expiresAt', '==', null)))).docs;
+
+  // Batches are capped at 500 writes
+  const setMessageBackstops = async (messageDocs) => {
+    const expiresAt = Timestamp.fromMillis(Date.now() + MESSAGE_BACKSTOP_TTL_MS);
+    for (let i = 0; i < messageDocs.length; i += 500) {
+      const batch = writeBatch(db);
+      messageDocs.slice(i, i + 500).forEach((d) => batch.update(d.ref, { expiresAt }));
+      await batch.commit();
+    }
+  };
+
+  /**
+   * Closing the room is what tells the partner we are gone. It runs as a
+   * transaction, so of two members leaving at once exactly one finds the room
+   * already closed and knows it is the last one in.
+   *
+   * @returns {Promise<boolean>} Whether the partner closed it first, leaving the teardown to us
+   */
+  const closeRoom = async (roomId, uid) => {
+    try {
+      const isLast = await runTransaction(db, async (transaction) => {
+        const snap = await transaction.get(getRoomRef(roomId));
+        if (!snap.exists()) return false;
+        if (snap.data().status === 'closed') return snap.data().closedBy !== uid;
+        transaction.update(getRoomRef(roomId), { status: 'closed', closedBy: uid, closedAt: serverTimestamp() });
+        return false;
+      });
+      if (!isLast) {
+        await setMessageBackstops(await getUnexpiringMessages(roomId))
+          .catch((err) => console.error("❌ Failed to set message backstops:", err));
+      }
+      return isLast;
+    } catch (err) {
+      console.error("❌ Failed to close room:", err);
+      return false;
+    }
+  };
+
+  // The rules would turn a banned uid away anyway; checking first lets the search say why
+  const isOwnBanActive = async (uid) => {
+    const banSnap = await getDoc(getBanRef(uid));
+    return banSnap.exists() && isBanActive(toPlain(banSnap.data()));
+  };
+
+  // ====================================
+  // SERVER CLOCK
+  // ====================================
+  // Heartbeats carry the server's time, and a client clock can be off by minutes.
+  // Reading back a server timestamp we just wrote tells us by how much.
+  let serverClockOffset = 0;
+
+  const serverNow = () => Date.now() + serverClockOffset;
+
+  const syncServerClock = (serverTime, sentAt, ackedAt) => {
+    const millis = toMillis(serverTime);
+    if (millis !== null) serverClockOffset = millis - (sentAt + ackedAt) / 2;
+  };
+
+  // Stamps the heartbeat at `path` (a list of field names) and returns the doc as it stands afterwards
+  const beat = async (ref, path = ['heartbeatAt']) => {
+    const sentAt = Date.now();
+    await updateDoc(ref, { [path.join('.')]: serverTimestamp() });
+    const ackedAt = Date.now();
+    const snap = await getDoc(ref);
+    if (snap.exists()) syncServerClock(path.reduce((value, key) => value?.[key], snap.data()), sentAt, ackedAt);
+    return snap;
+  };
+
+  // A pending server timestamp has no value yet, which means it was just written
+  const isBeatFresh = (heartbeatAt, now = serverNow()) => now - (toMillis(heartbeatAt) ?? now) < POOL_STALE_MS;
+
+  // ====================================
+  // MATCHMAKING: ATOMIC POOL CLAIMS
+  // ====================================
+  const isPoolEntryFresh = (data, now = serverNow()) => data.status === 'waiting' && isBeatFresh(data.heartbeatAt, now);
+
+  // Only entries that beat recently; our clock may still be off, so the claim checks again
+  const freshPoolQuery = () => query(
+    getWaitingPoolRef(),
+    where('status', '==', 'waiting'),
+    where('heartbeatAt', '>', Timestamp.fromMillis(serverNow() - POOL_STALE_MS))
+  );
+
+  const comparePoolEntries = (a, b) => {
+    const diff = (toMillis(a.data().timestamp) ?? Infinity) - (toMillis(b.data().timestamp) ?? Infinity);
+    return diff !== 0 ? diff : a.id.localeCompare(b.id);
+  };
+
+  /**
+   * Atomically moves a pool entry from `waiting` to `matched` and sends the invite.
+   * When the claimer is itself waiting, its own entry is read in the same
+   * transaction so two waiters can never claim each other at once.
+   *
+   * @param {Object} host - What the invite tells the partner about us: `{ identity, publicKey, interests }`
+   * @returns {Promise<Object>} `{ outcome: 'claimed', roomId, partner }` with the claimed entry as `partner`,
+   * `{ outcome: 'taken' }` when someone else won or the entry went stale, or
+   * `{ outcome: 'self-claimed' }` when our own entry was claimed first (the invite listener takes over).
+   */
+  const claimPoolEntry = (entryRef, uid, host, ownEntryRef = null) =>
+    runTransaction(db, async (transaction) => {
+      const entrySnap = await transaction.get(entryRef);
+      const ownSnap = ownEntryRef ? await transaction.get(ownEntryRef) : null;
+
+      if (ownSnap && (!ownSnap.exists() || ownSnap.data().status !== 'waiting')) {
+        return { outcome: 'self-claimed' };
+      }
+      if (!entrySnap.exists() || !isPoolEntryFresh(entrySnap.data())) {
+        return { outcome: 'taken' };
+      }
+
+      const entry = entrySnap.data();
+      const roomId = createRoomId(uid, entry.userId);
+
+      transaction.update(entryRef, {
+        status: 'matched',
+        claimedBy: uid,
+        roomId: roomId,
+        claimedAt: serverTimestamp()
+      });
+      if (ownSnap) transaction.delete(ownEntryRef);
+      // The same pair always shares a room id, so reopen it for this chat
+      transaction.set(getRoomRef(roomId), {
+        status: 'open',
+        members: [uid, entry.userId].sort(),
+        openedAt: serverTimestamp()
+      });
+      transaction.set(getInviteRef(entry.userId, uid), {
+        roomId: roomId,
+        hostIdentity: host.identity,
+        hostPublicKey: host.publicKey,
+        hostInterests: host.interests,
+        poolEntryId: entryRef.id,
+        searchId: entry.searchId,
+        timestamp: serverTimestamp(),
+        status: 'active'
+      });
+
+      return { outcome: 'claimed', roomId, partner: entry };
+    }).catch((error) => {
+      // The rules judge staleness by the server's clock, which may disagree with ours
+      if (error.code === 'permission-denied') return { outcome: 'taken' };
+      throw error;
+    });
+
+  const startMatchmaking = ({ uid, profile, recentPartnerUids = [], circleSize = null, onStatus, onMatch }) => {
+    if (circleSize) return gatherCircle({ uid, profile, circleSize, onStatus, onMatch });
+
+    const preferences = { interests: profile.interests, language: profile.language };
+    const host = { identity: profile.identity, publicKey: profile.publicKey, interests: profile.interests };
+    const searchStartedAt = Date.now();
+    // Pool entries are keyed by uid, so this is what tells our invites from ones left by an earlier search
+    const searchId = crypto.randomUUID();
+    let poolDocId = null;
+    let inviteListener = null;
+    let heartbeatTimer = null;
+    let isSearching = false;
+    let isStopped = false;
+    let isMatched = false;
+
+    const isWidened = () => Date.now() - searchStartedAt >= MATCH_WIDEN_AFTER_MS;
+
+    // A closed tab has no cleanup of its own, so take our entry out while the page still can
+    const handlePageHide = () => releasePoolEntry();
+    window.addEventListener('pagehide', handlePageHide);
+
+    const rankPoolEntries = (docs, widened) => preferNewPartners(
+      rankCandidates(docs, preferences, widened, (d) => d.data(), comparePoolEntries),
+      (d) => recentPartnerUids.includes(d.data().userId),
+      widened
+    );
+
+    const releasePoolEntry = () => {
+      if (heartbeatTimer) clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+      if (inviteListener) inviteListener();
+      inviteListener = null;
+      if (poolDocId) {
+        deleteDoc(doc(getWaitingPoolRef(), poolDocId)).catch(() => {});
+        poolDocId = null;
+      }
+    };
+
+    // `partner` carries what we learned about the stranger: identity, public key and interests
+    const completeMatch = (roomId, partner) => {
+      if (isMatched || isStopped) return;
+      isMatched = true;
+      window.removeEventListener('pagehide', handlePageHide);
+      releasePoolEntry();
+      onMatch({ roomId, partner });
+    };
+
+    // Walks the ranked candidates in order; a lost race just moves on to the next one.
+    // Resolves true once the search is settled (matched, or our own entry got claimed).
+    const claimFirstAvailable = async (candidates) => {
+      const ownEntryRef = poolDocId ? doc(getWaitingPoolRef(), poolDocId) : null;
+
+      for (const candidate of candidates) {
+        if (isMatched || isStopped) return true;
+
+        const result = await claimPoolEntry(candidate.ref, uid, host, ownEntryRef);
+        if (result.outcome === 'claimed') {
+          console.log("🔵 Claimed pool entry, created room as host:", result.roomId);
+          completeMatch(result.roomId, {
+            uid: result.partner.userId,
+            identity: result.partner.identity,
+            publicKey: result.partner.publicKey,
+            interests: result.partner.interests
+          });
+          return true;
+        }
+        if (result.outcome === 'self-claimed') return true;
+      }
+      return false;
+    };
+
+    // Someone we blocked claimed us; they cannot see our block list, so close the
+    // room they opened and go back into the pool with a fresh entry
+    const declineInvite = (inviteDoc, inviteData) => {
+      console.log("🚫 Declined invite from a blocked stranger");
+      deleteDoc(inviteDoc.ref).catch(() => {});
+      closeRoom(inviteData.roomId, uid);
+      releasePoolEntry();
+      isSearching = false;
+      findMatch();
+    };
+
+    // While waiting, keep our entry alive and look for anyone who queued before us.
+    // Only claiming older entries means two waiters never race for each other.
+    const heartbeat = async () => {
+      if (!poolDocId || isMatched) return;
+      const ownId = poolDocId;
+
+      try {
+        const ownDoc = await beat(doc(getWaitingPoolRef(), ownId));
+        if (!ownDoc.exists() || ownDoc.data().status !== 'waiting') return;
+
+        const snapshot = await getDocs(freshPoolQuery());
+        const now = serverNow();
+        const widened = isWidened();
+        if (widened && !isStopped) onStatus("Widening the search to everyone...");
+
+        const olderCandidates = await filterAvoided(
+          snapshot.docs
+            .filter((d) => d.data().userId !== uid && isPoolEntryFresh(d.data(), now))
+            .filter((d) => comparePoolEntries(d, ownDoc) < 0),
+          (d) => d.data().userId
+        );
+
+        await claimFirstAvailable(rankPoolEntries(olderCandidates, widened));
+      } catch (error) {
+        console.error("❌ Pool heartbeat error:", error);
+      }
+    };
+
+    const findMatch = async () => {
+      if (isSearching) return;
+      isSearching = true;
+
+      onStatus("Scanning for strangers...");
+
+      try {
+        if (await isOwnBanActive(uid)) {
+          onStatus("This session is suspended from matchmaking.");
+          return;
+        }
+
+        const waitingPoolRef = getWaitingPoolRef();
+        const snapshot = await getDocs(freshPoolQuery());
+
+        const now = serverNow();
+        const eligible = await filterAvoided(
+          snapshot.docs.filter((d) => d.data().userId !== uid && isPoolEntryFresh(d.data(), now)),
+          (d) => d.data().userId
+        );
+        const potentialMatches = rankPoolEntries(eligible, isWidened());
+
+        if (isStopped) return;
+
+        if (potentialMatches.length > 0) {
+          onStatus("Found someone! Connecting...");
+          if (await claimFirstAvailable(potentialMatches)) return;
+        }
+
+        if (isStopped) return;
+
+        poolDocId = null;
+        onStatus("Waiting for someone to join...");
+
+        // One entry per uid: whatever an earlier tab or search left behind is replaced
+        const poolDoc = doc(waitingPoolRef, uid);
+        await deleteDoc(poolDoc).catch(() => {});
+        const sentAt = Date.now();
+        await setDoc(poolDoc, {
+          userId: uid,
+          searchId,
+          identity: profile.identity,
+          publicKey: profile.publicKey,
+          interests: profile.interests,
+          language: profile.language,
+          status: 'waiting',
+          timestamp: serverTimestamp(),
+          heartbeatAt: serverTimestamp()
+        });
+        const ackedAt = Date.now();
+
+        poolDocId = poolDoc.id;
+        // Our first scan may have missed fresh entries if our clock is ahead; the heartbeat scans find them
+        syncServerClock((await getDoc(poolDoc)).data()?.heartbeatAt, sentAt, ackedAt);
+
+        if (isStopped) {
+          releasePoolEntry();
+          return;
+        }
+
+        const invitesRef = collection(db, 'artifacts', appId, 'users', uid, 'invites');
+
+        inviteListener = onSnapshot(invitesRef, (invites) => {
+          setConnection('online');
+          invites.docChanges().forEach(async (change) => {
+            if (change.type !== 'added' || isStopped) return;
+            const inviteData = change.doc.data();
+            // Invites left over from an earlier search point at rooms nobody is in
+            if (inviteData.searchId !== searchId) {
+              deleteDoc(change.doc.ref).catch(() => {});
+              return;
+            }
+            // Invite docs are keyed by the sender's uid
+            if (await isAvoided(change.doc.id)) {
+              declineInvite(change.doc, inviteData);
+              return;
+            }
+            if (inviteData.status === 'active' && inviteData.roomId && !isStopped) {
+              onStatus("Match found! Joining...");
+              console.log("🟢 Joining room as guest:", inviteData.roomId);
+
+              completeMatch(inviteData.roomId, {
+                uid: change.doc.id,
+                identity: inviteData.hostIdentity,
+                publicKey: inviteData.hostPublicKey,
+                interests: inviteData.hostInterests
+              });
+              deleteDoc(change.doc.ref).catch(() => {});
+            }
+          });
+        }, (error) => {
+          // A dead invite listener would leave us waiting forever, so start the search over
+          console.error("❌ Invite listener error:", error);
+          retryAfterError();
+        });
+
+        heartbeatTimer = setInterval(heartbeat, POOL_HEARTBEAT_MS);
+      } catch (error) {
+        console.error("❌ Matching error:", error);
+        retryAfterError();
+      }
+    };
+
+    const retryAfterError = () => {
+      if (isStopped) return;
+      setConnection('error');
+      releasePoolEntry();
+      onStatus("Error. Retrying...");
+      setTimeout(() => {
+        isSearching = false;
+        if (!isStopped) findMatch();
+      }, 2000);
+    };
+
+    findMatch();
+
+    return () => {
+      isStopped = true;
+      window.removeEventListener('pagehide', handlePageHide);
+      releasePoolEntry();
+    };
+  };
+
+  // ====================================
+  // MATCHMAKING: CIRCLES
+  // ====================================
+  // A circle is a room doc that starts out `gathering`. Searchers join the oldest
+  // circle of their size that has space, or start a new one; whoever fills it
+  // opens it and becomes the keyholder, who hands out the room key (see e2ee.js).
+  // While gathering, `members` is simply who is waiting, so cancelling steps back out.
+  // Members beat like pool entries do, and take out whoever has gone quiet.
+
+  const circleEntry = (profile) => ({
+    identity: profile.identity,
+    publicKey: profile.publicKey,
+    joinedAt: serverTimestamp(),
+    heartbeatAt: serverTimestamp()
+  });
+
+  const staleCircleMembers = (circle, now = serverNow()) =>
+    circle.members.filter((member) => !isBeatFresh(circle.roster[member]?.heartbeatAt, now));
+
+  /**
+   * @returns {Promise<boolean>} Whether we got in; false when the circle filled up or closed first
+   */
+  const joinCircle = (roomRef, uid, entry) => runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(roomRef);
+    if (!snap.exists()) return false;
+    const circle = snap.data();
+    if (circle.status !== 'gathering' || circle.members.includes(uid) || circle.members.length >= circle.circleSize) return false;
+
+    const members = [...circle.members, uid];
+    const isFull = members.length === circle.circleSize;
+    transaction.update(roomRef, {
+      members,
+      [`roster.${uid}`]: entry,
+      ...(isFull ? { status: 'open', keyholder: uid, openedAt: serverTimestamp() } : {})
+    });
+    return true;
+  });
+
+  /**
+   * Before the circle opens we just step back out, and the last one out deletes it.
+   * Once open, the roster keeps us so the others can still name our messages,
+   * `departedAt` says when we left, and the circle closes when fewer than two remain.
+   * Whoever is left then is the last one in: they stay a member, so they can tear it down.
+   *
+   * @returns {Promise<boolean>} Whether we are the last one in
+   */
+  const leaveCircle = async (roomId, uid) => {
+    const roomRef = getRoomRef(roomId);
+    // Read while we can; once we are out, the messages are no longer ours to read
+    const unexpiring = await getUnexpiringMessages(roomId).catch(() => []);
+
+    const outcome = await runTransaction(db, async (transaction) => {
+      const snap = await transaction.get(roomRef);
+      if (!snap.exists() || !snap.data().members.includes(uid)) return 'gone';
+
+      const circle = snap.data();
+      if (circle.status === 'closed') return 'last';
+      const members = circle.members.filter((member) => member !== uid);
+      if (circle.status === 'gathering') {
+        if (members.length === 0) transaction.delete(roomRef);
+        else transaction.update(roomRef, { members, [`roster.${uid}`]: deleteField() });
+        return 'left';
+      }
+      const closes = members.length < 2;
+      transaction.update(roomRef, {
+        members,
+        [`departedAt.${uid}`]: serverTimestamp(),
+        ...(closes ? { status: 'closed', closedBy: uid, closedAt: serverTimestamp() } : {})
+      });
+      return closes ? 'closed' : 'left';
+    });
+
+    if (outcome === 'closed') {
+      await setMessageBackstops(unexpiring).catch((err) => console.error("❌ Failed to set message backstops:", err));
+    }
+    return outcome === 'last';
+  };
+
+  // Takes a member who stopped beating off a gathering circle, if nobody beat us to it
+  const removeStaleCircleMember = (roomRef, member) => runTransaction(db, async (transaction) => {
+    const snap = await transaction.get(roomRef);
+    if (!snap.exists()) return;
+    const circle = snap.data();
+    if (circle.status !== 'gathering' || !staleCircleMembers(circle).includes(member)) return;
+    transaction.update(roomRef, {
+      members: circle.members.filter((other) => other !== member),
+      [`roster.${member}`]: deleteField()
+    });
+  });
+
+  const gatherCircle = ({ uid, profile, circleSize, onStatus, onMatch }) => {
+    let roomId = null;
+    let roomListener = null;
+    let heartbeatTimer = null;
+    let isStopped = false;
+    let isSettling = false;
+
+    const stopHeartbeat = () => {
+      if (heartbeatTimer) clearInterval(heartbeatTimer);
+      heartbeatTimer = null;
+    };
+
+    const leave = () => {
+      stopHeartbeat();
+      if (roomListener) roomListener();
+      roomListener = null;
+      if (roomId) leaveCircle(roomId, uid).catch((err) => console.error("❌ Failed to leave circle:", err));
+      roomId = null;
+    };
+
+    // A closed tab has no cleanup of its own, so leave while the page still can
+    const handlePageHide = () => leave();
+    window.addEventListener('pagehide', handlePageHide);
+
+    const retryAfterError = () => {
+      if (isStopped) return;
+      setConnection('error');
+      leave();
+      onStatus("Error. Retrying...");
+      setTimeout(() => {
+        if (!isStopped) gather();
+      }, 2000);
+    };
+
+    // Only each member can check its own block list, so everyone checks the
+    // full circle once it opens and walks out if someone on it is blocked
+    const settle = async (id, circle) => {
+      isSettling = true;
+      const others = circle.members.filter((member) => member !== uid);
+      if (await isAnyAvoided(others)) {
+        console.log("🚫 Left a circle with a blocked stranger");
+        isSettling = false;
+        leave();
+        if (!isStopped) gather();
+        return;
+      }
+      if (isStopped || roomId !== id) return;
+
+      stopHeartbeat();
+      roomListener();
+      roomListener = null;
+      window.removeEventListener('pagehide', handlePageHide);
+      console.log("🟢 Circle opened:", id);
+      onMatch({
+        roomId: id,
+        circle: { size: circleSize, members: others.map((member) => ({ uid: member, ...circle.roster[member] })) }
+      });
+    };
+
+    const heartbeat = async (id) => {
+      if (isStopped || isSettling || roomId !== id) return;
+      const roomRef = getRoomRef(id);
+      try {
+        const snap = await beat(roomRef, ['roster', uid, 'heartbeatAt']);
+        if (!snap.exists() || snap.data().status !== 'gathering') return;
+        const stale = staleCircleMembers(snap.data()).filter((member) => member !== uid);
+        for (const member of stale) await removeStaleCircleMember(roomRef, member);
+      } catch (error) {
+        console.error("❌ Circle heartbeat error:", error);
+      }
+    };
+
+    const watch = (id) => {
+      roomId = id;
+      heartbeatTimer = setInterval(() => heartbeat(id), POOL_HEARTBEAT_MS);
+      roomListener = onSnapshot(getRoomRef(id), (snapshot) => {
+        setConnection('online');
+        if (isStopped || isSettling || roomId !== id) return;
+        const circle = snapshot.exists() ? toRoom(snapshot.data()) : null;
+        if (!circle?.members.includes(uid)) return;
+
+        if (circle.status === 'gathering') {
+          onStatus(`Gathering your circle: ${circle.members.length} of ${circleSize} here...`);
+        } else if (circle.status === 'open') {
+          settle(id, circle);
+        }
+      }, (error) => {
+        console.error("❌ Circle listener error:", error);
+        retryAfterError();
+      });
+    };
+
+    const gather = async () => {
+      onStatus("Looking for a circle...");
+
+      try {
+        if (await isOwnBanActive(uid)) {
+          onStatus("This session is suspended from matchmaking.");
+          return;
+        }
+
+        const snapshot = await getDocs(query(
+          getRoomsRef(),
+          where('kind', '==', 'circle'),
+          where('status', '==', 'gathering'),
+          where('circleSize', '==', circleSize)
+        ));
+        const now = serverNow();
+        // A circle waiting on a closed tab would never fill, so skip it until its members take that one out
+        const candidates = snapshot.docs
+          .filter((d) => !d.data().members.includes(uid) && d.data().members.length < circleSize)
+          .filter((d) => staleCircleMembers(d.data(), now).length === 0)
+          .sort((a, b) => (toMillis(a.data().createdAt) ?? Infinity) - (toMillis(b.data().createdAt) ?? Infinity));
+
+        for (const candidate of candidates) {
+          if (isStopped) return;
+          if (await isAnyAvoided(candidate.data().members)) continue;
+          // Losing the race (it filled up, or opened and stopped being readable) just means trying the next one
+          if (await joinCircle(candidate.ref, uid, circleEntry(profile)).catch(() => false)) {
+            if (isStopped) {
+              roomId = candidate.id;
+              leave();
+              return;
+            }
+            watch(candidate.id);
+            return;
+          }
+        }
+        if (isStopped) return;
+
+        const id = createCircleId();
+        await setDoc(getRoomRef(id), {
+          kind: 'circle',
+          circleSize,
+          status: 'gathering',
+          members: [uid],
+          roster: { [uid]: circleEntry(profile) },
+          createdAt: serverTimestamp()
+        });
+        roomId = id;
+        if (isStopped) {
+          leave();
+          return;
+        }
+        watch(id);
+      } catch (error) {
+        console.error("❌ Circle matching error:", error);
+        retryAfterError();
+      }
+    };
+
+    gather();
+
+    return () => {
+      isStopped = true;
+      window.removeEventListener('pagehide', handlePageHide);
+      leave();
+    };
+  };
+
+  // ====================================
+  // ROOMS, PRESENCE & MESSAGES
+  // ====================================
+  const subscribeRoom = (roomId, onChange) => onSnapshot(getRoomRef(roomId), { includeMetadataChanges: true }, (snapshot) => {
+    setConnection(snapshot.metadata.fromCache ? 'offline' : 'online');
+    onChange(snapshot.exists() ? toRoom(snapshot.data()) : null);
+  }, (error) => {
+    console.error("❌ Room listener error:", error);
+  });
+
+  // A room we are no longer in is unreadable, which for us is the same as gone
+  const getRoom = async (roomId) => {
+    try {
+      const snapshot = await getDoc(getRoomRef(roomId));
+      return snapshot.exists() ? toRoom(snapshot.data()) : null;
+    } catch (err) {
+      if (err.code === 'permission-denied') return null;
+      throw err;
+    }
+  };
+
+  const subscribePresence = (roomId, uid, onChange) => onSnapshot(collection(getRoomRef(roomId), 'presence'), (snapshot) => {
+    const partnerDoc = snapshot.docs.find((d) => d.id !== uid);
+    onChange(partnerDoc ? toPlain(partnerDoc.data()) : null);
+  }, (error) => {
+    console.error("❌ Presence listener error:", error);
+  });
+
+  const subscribeCirclePresence = (roomId, uid, onChange) => onSnapshot(collection(getRoomRef(roomId), 'presence'), (snapshot) => {
+    onChange(Object.fromEntries(snapshot.docs.filter((d) => d.id !== uid).map((d) => [d.id, toPlain(d.data())])));
+  }, (error) => {
+    console.error("❌ Presence listener error:", error);
+  });
+
+  const subscribeMessages = (roomId, messageLimit, onChange) => {
+    const q = query(getMessagesRef(roomId), orderBy('timestamp', 'desc'), limit(messageLimit));
+    // Metadata changes are how a pending send learns that the server has it
+    return onSnapshot(q, { includeMetadataChanges: true }, (snapshot) => {
+      // Newest first from the server; estimated timestamps keep our pending sends in place
+      const messages = snapshot.docs.slice().reverse().map((d) => ({
+        id: d.id,
+        ...toPlain(d.data({ serverTimestamps: 'estimate' })),
+        pending: d.metadata.hasPendingWrites
+      }));
+      onChange({ messages, hasMore: snapshot.size >= messageLimit });
+    }, (error) => {
+      console.error("❌ Message listener error:", error);
+    });
+  };
+
+  // Signals are consumed: the receiver deletes each one as it arrives. Whatever is
+  // already there when we start listening belongs to an earlier call and is only cleared.
+  const subscribeSignals = (roomId, uid, onSignal) => {
+    let isFirstSnapshot = true;
+    return onSnapshot(query(getSignalsRef(roomId), orderBy('timestamp')), (snapshot) => {
+      const isStale = isFirstSnapshot;
+      isFirstSnapshot = false;
+      snapshot.docChanges().forEach((change) => {
+        const signal = change.doc.data();
+        if (change.type !== 'added' || signal.from === uid) return;
+        deleteDoc(change.doc.ref).catch(() => {});
+        if (!isStale) onSignal({ from: signal.from, ciphertext: signal.ciphertext, iv: signal.iv });
+      });
+    }, (error) => {
+      console.error("❌ Signal listener error:", error);
+    });
+  };
+
+  /**
+   * Deletes everything a finished room left on the server. Run by whichever
+   * member leaves last; the rules only allow it once the room is closed.
+   */
+  const teardownRoom = async (roomId) => {
+    const [messagesSnap, presenceSnap, signalsSnap] = await Promise.all([
+      getDocs(getMessagesRef(roomId)),
+      getDocs(collection(getRoomRef(roomId), 'presence')),
+      getDocs(getSignalsRef(roomId))
+    ]);
+
+    // Batches are capped at 500 writes
+    const refs = [...messagesSnap.docs, ...presenceSnap.docs, ...signalsSnap.docs].map((d) => d.ref);
+    for (let i = 0; i < refs.length; i += 500) {
+      const batch = writeBatch(db);
+      refs.slice(i, i + 500).forEach((ref) => batch.delete(ref));
+      await batch.commit();
+    }
+    console.log("🧹 Tore down room:", roomId, `(${refs.length} docs)`);
+
+    // Images sit in one folder per sender
+    const { prefixes } = await listAll(storageRef(storage, getImagesPath(roomId)));
+    const folders = await Promise.all(prefixes.map((folder) => listAll(folder)));
+    const images = folders.flatMap(({ items }) => items);
+    await Promise.all(images.map((image) => deleteObject(image)));
+    if (images.length > 0) console.log("🧹 Deleted room images:", roomId, `(${images.length})`);
+  };
+
+  // The id comes from the sender, so a retried send writes the same doc; if the first
+  // attempt already landed, the rules reject the second as an update. The presence
+  // stamp in the same batch is what the rules use to space messages out.
+  const sendMessage = (roomId, { id, ...message }) => {
+    const batch = writeBatch(db);
+    batch.set(doc(getMessagesRef(roomId), id), {
+      ...message,
+      expiresAt: message.expiresAt ? Timestamp.fromMillis(message.expiresAt) : null,
+      timestamp: serverTimestamp()
+    });
+    batch.set(getPresenceRef(roomId, message.senderId), { lastSentAt: serverTimestamp() }, { merge: true });
+    return batch.commit();
+  };
+
+  // The ref handed out is the object path; the bytes are ciphertext, so Storage never sees the picture
+  const uploadImage = async (roomId, uid, data) => {
+    const path = `${getImagesPath(roomId)}/${uid}/${crypto.randomUUID()}`;
+    await uploadBytes(storageRef(storage, path), data, { contentType: 'application/octet-stream' });
+    return path;
+  };
+
+  // ====================================
+  // CONTACTS
+  // ====================================
+  const setKeepInTouch = (roomId, uid, keep) => updateDoc(getRoomRef(roomId), {
+    [`keepInTouch.${uid}`]: keep ? true : deleteField()
+  });
+
+  // Both sides may get here at once; the transaction lets only the first one open it,
+  // and a contact revoked earlier is opened again
+  const createContact = async (roomId, members) => {
+    const contactId = createContactId(roomId);
+    await runTransaction(db, async (transaction) => {
+      const contactRef = getRoomRef(contactId);
+      const snap = await transaction.get(contactRef);
+      if (snap.exists()) {
+        // A revoked contact stays revoked (firestore.rules refuses to reopen it too)
+        if (snap.data().status !== 'open') throw new Error('contact-revoked');
+        return;
+      }
+      transaction.set(contactRef, {
+        kind: 'contact',
+        status: 'open',
+        members,
+        fromRoomId: roomId,
+        openedAt: serverTimestamp()
+      });
+    });
+    return contactId;
+  };
+
+  // ====================================
+  // MODERATION
+  // ====================================
+  const toBan = (data) => {
+    const ban = toPlain(data);
+    return isBanActive(ban) ? ban : null;
+  };
+
+  // A freshly set claim only shows up in a refreshed token
+  const isModerator = async () => {
+    const { currentUser } = auth;
+    if (!currentUser) return false;
+    const { claims } = await currentUser.getIdTokenResult(true);
+    if (claims.moderator === true) return true;
+    return (await getDoc(getModeratorRef(currentUser.uid))).exists();
+  };
+
+  const subscribeBan = (uid, onChange) => onSnapshot(getBanRef(uid), (snapshot) => {
+    const ban = snapshot.exists() ? toBan(snapshot.data()) : null;
+    onChange(ban && { until: ban.until, reason: ban.reason });
+  }, (error) => {
+    console.error("❌ Ban listener error:", error);
+  });
+
+  // Sorted here rather than in the query, which would need a composite index
+  const subscribeReports = (onChange) => onSnapshot(query(getReportsRef(), where('status', '==', 'open')), (snapshot) => {
+    const reports = snapshot.docs.map((d) => ({ id: d.id, ...toPlain(d.data()) }));
+    onChange(reports.sort((a, b) => (b.timestamp ?? 0) - (a.timestamp ?? 0)));
+  }, (error) => {
+    console.error("❌ Report listener error:", error);
+  });
+
+  const subscribeBans = (onChange) => onSnapshot(getBansRef(), (snapshot) => {
+    const bans = snapshot.docs.flatMap((d) => {
+      const ban = toBan(d.data());
+      return ban ? [{ uid: d.id, ...ban }] : [];
+    });
+    onChange(bans.sort((a, b) => (b.createdAt ?? 0) - (a.createdAt ?? 0)));
+  }, (error) => {
+    console.error("❌ Ban list listener error:", error);
+  });
+
+  // The pool entry goes too, so nobody claims a banned stranger in the meantime
+  const banUser = async (uid, { until, reason }) => {
+    await setDoc(getBanRef(uid), {
+      until: until === null ? null : Timestamp.fromMillis(until),
+      reason: cleanBanReason(reason),
+      bannedBy: auth.currentUser.uid,
+      createdAt: serverTimestamp()
+    });
+    await deleteDoc(doc(getWaitingPoolRef(), uid));
+  };
+
+  // Aggregation queries count on the server, so only the three numbers are downloaded
+  const subscribeModerationStats = (onChange) => {
+    const refresh = async () => {
+      try {
+        const since = Timestamp.fromMillis(Date.now() - MESSAGE_RATE_WINDOW_MS);
+        const [pool, rooms, messages] = await Promise.all([
+          // Entries left by closed tabs linger until someone deletes them, so only count live ones
+          getCountFromServer(freshPoolQuery()),
+          getCountFromServer(query(getRoomsRef(), where('status', '==', 'open'))),
+          getCountFromServer(query(collectionGroup(db, 'messages'), where('timestamp', '>=', since)))
+        ]);
+        onChange({
+          poolSize: pool.data().count,
+          activeRooms: rooms.data().count,
+          messagesPerMinute: messages.data().count
+        });
+      } catch (error) {
+        console.error("❌ Moderation stats error:", error);
+      }
+    };
+
+    refresh();
+    const timer = setInterval(refresh, MODERATION_STATS_INTERVAL_MS);
+    return () => clearInterval(timer);
+  };
+
+  return {
+    name: 'firebase',
+
+    subscribeConnection,
+
+    onAuthChange: (callback) => onAuthStateChanged(auth, callback),
+    signIn: ({ customToken } = {}) => (customToken ? signInWithCustomToken(auth, customToken) : signInAnonymously(auth)),
+    signOut: () => signOut(auth),
+
+    startMatchmaking,
+
+    getRoom,
+    subscribeRoom,
+    closeRoom,
+    teardownRoom,
+    leaveCircle,
+    setCircleKey: (roomId, shares) => updateDoc(getRoomRef(roomId), { keyShares: shares }),
+    setKeepInTouch,
+    createContact,
+
+    subscribePresence,
+    subscribeCirclePresence,
+    setPresence: (roomId, uid, state) => setDoc(getPresenceRef(roomId, uid), { state, lastSeen: serverTimestamp() }, { merge: true }),
+    setTyping: (roomId, uid, isTyping) => setDoc(getPresenceRef(roomId, uid), { typingAt: isTyping ? serverTimestamp() : null }, { merge: true }),
+    setImagesOff: (roomId, uid, imagesOff) => setDoc(getPresenceRef(roomId, uid), { imagesOff }, { merge: true }),
+
+    subscribeMessages,
+    sendMessage,
+    markReceipt: (roomId, messageId, field) => updateDoc(doc(getMessagesRef(roomId), messageId), { [field]: serverTimestamp() }),
+    editMessage: (roomId, messageId, { ciphertext, iv }) => updateDoc(doc(getMessagesRef(roomId), messageId), {
+      ciphertext,
+      iv,
+      editedAt: serverTimestamp()
+    }),
+    setReaction: (roomId, messageId, uid, emoji) => updateDoc(doc(getMessagesRef(roomId), messageId), {
+      [`reactions.${uid}`]: emoji ?? deleteField()
+    }),
+    deleteMessage: (roomId, messageId) => deleteDoc(doc(getMessagesRef(roomId), messageId)),
+
+    uploadImage,
+    downloadImage: async (roomId, path) => new Uint8Array(await getBytes(storageRef(storage, path))),
+    deleteImage: (roomId, path) => deleteObject(storageRef(storage, path)),
+
+    subscribeSignals,
+    sendSignal: (roomId, signal) => addDoc(getSignalsRef(roomId), { ...signal, timestamp: serverTimestamp() }),
+
+    submitReport: (report) => addDoc(getReportsRef(), { ...report, status: 'open', timestamp: serverTimestamp() }),
+    subscribeBan,
+
+    isModerator,
+    subscribeReports,
+    resolveReport: (reportId, status) => updateDoc(doc(getReportsRef(), reportId), {
+      status,
+      resolvedBy: auth.currentUser.uid,
+      resolvedAt: serverTimestamp()
+    }),
+    subscribeBans,
+    banUser,
+    liftBan: (uid) => deleteDoc(getBanRef(uid)),
+    subscribeModerationStats,
+  };
+};
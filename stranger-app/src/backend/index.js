@@ -0,0 +1,107 @@
+/**
+ * Chat Backend - Picks the adapter every component talks to
+ *
+ * VITE_CHAT_BACKEND selects it:
+ *   firebase  (default) Firebase Auth + Firestore, see backend/firebase.js
+ *   websocket the self-hosted server in server/index.js, at VITE_CHAT_SERVER_URL
+ *             (default ws://localhost:8787), see backend/websocket.js
+ *
+ * Both adapters expose the same shape. Every timestamp handed to callbacks is
+ * epoch millis (or null while the server has not stamped it yet), and every
+ * `subscribe*` returns an unsubscribe function.
+ *
+ *   onAuthChange(callback)                     callback receives `{ uid }` or null
+ *   signIn({ customToken })                    Promise; customToken is Firebase only
+ *   signOut()                                  Promise
+ *   subscribeConnection(callback)              'online' | 'offline' | 'error', now and on every change;
+ *                                              'error' means matchmaking hit a listener error and is retrying
+ *
+ *   startMatchmaking({ uid, profile, recentPartnerUids, circleSize, onStatus, onMatch })
+ *     profile is `{ identity, publicKey, interests, language }`; onStatus receives
+ *     display text; onMatch fires once with `{ roomId, partner }`, where partner is
+ *     `{ uid, identity, publicKey, interests }`. Strangers on this device's block list
+ *     are never matched; recentPartnerUids are only matched once the search has
+ *     widened and nobody else is available. Returns a function that cancels the search.
+ *     With circleSize (one of CIRCLE_SIZES in matching.js) it gathers that many
+ *     strangers instead, ignoring interests, and onMatch gets `{ roomId, circle }`:
+ *     circle is `{ size, members }`, members being `{ uid, identity, publicKey }` for
+ *     everyone but us. A circle that opens with someone on the block list is left
+ *     and the search carries on.
+ *
+ *   getRoom(roomId)                            Promise; the room as subscribeRoom sees it, or null once it is gone
+ *                                              or we are no longer in it
+ *   subscribeRoom(roomId, callback)            `{ status, members, openedAt, closedBy }` or null; a circle also has
+ *                                              `{ kind: 'circle', circleSize, roster, departedAt, keyholder, keyShares }`,
+ *                                              roster being `{ [uid]: { identity, publicKey, joinedAt } }` for everyone who
+ *                                              was ever in it and departedAt `{ [uid]: millis }`. Its status starts at
+ *                                              'gathering'; members are who is in it right now. A pair room has
+ *                                              `keepInTouch: { [uid]: true }` for whoever opted in, and a contact
+ *                                              room `{ kind: 'contact', fromRoomId }`
+ *   closeRoom(roomId, uid)                     Promise<boolean>, never rejects; pairs and contacts (revoking one).
+ *                                              True when the partner closed it first, so we are the one to tear it
+ *                                              down; exactly one of two members closing at once gets true. Messages
+ *                                              without an expiry get a MESSAGE_BACKSTOP_TTL_MS one as the room closes
+ *   teardownRoom(roomId)                       Promise; deletes messages, presence, signals and images of a closed room
+ *   leaveCircle(roomId, uid)                   Promise<boolean>; the circle stays open until fewer than two members are
+ *                                              left. True for that last one, who stays a member to tear it down
+ *   setCircleKey(roomId, shares)               Promise; the keyholder hands out the room key once, `{ [uid]: share }`
+ *                                              (see createCircleKey in e2ee.js)
+ *   setKeepInTouch(roomId, uid, keep)          Promise; opts in to (or back out of) keeping in touch, open pair rooms only
+ *   createContact(roomId, members)             Promise<contactRoomId>; once both members of the pair room opted in,
+ *                                              opens their contact room (see createContactId in matching.js), or
+ *                                              hands back the one they already have. Either side may call it.
+ *                                              Rejects with 'contact-revoked' once either of them revoked it
+ *
+ *   subscribePresence(roomId, uid, callback)   partner's `{ state, lastSeen, typingAt, imagesOff }` or null
+ *   subscribeCirclePresence(roomId, uid, callback)   everyone else's presence in a circle, keyed by uid
+ *   setPresence(roomId, uid, state)            Promise; 'active' | 'away' | 'left', stamps lastSeen
+ *   setTyping(roomId, uid, isTyping)           Promise; stamps or clears typingAt
+ *   setImagesOff(roomId, uid, imagesOff)       Promise; turns images off (or back on) for this chat
+ *
+ *   subscribeMessages(roomId, limit, callback) `{ messages, hasMore }`, the newest `limit` messages oldest first
+ *   sendMessage(roomId, message)               Promise; message carries its own `id` (a UUID) and `expiresAt`
+ *                                              in millis (or null for none yet), the server stamps `timestamp`. Sending the same id
+ *                                              twice never creates a second message. A send that has not
+ *                                              reached the server yet shows up with `pending: true`
+ *   markReceipt(roomId, messageId, field)      Promise; field is 'deliveredAt' | 'seenAt'
+ *   editMessage(roomId, messageId, { ciphertext, iv })   Promise; sender only, within the edit window, stamps editedAt
+ *   setReaction(roomId, messageId, uid, emoji) Promise; emoji null takes our reaction back
+ *   deleteMessage(roomId, messageId)           Promise
+ *
+ *   uploadImage(roomId, uid, data)             Promise<ref>; data is already-encrypted bytes (Uint8Array)
+ *   downloadImage(roomId, ref)                 Promise<Uint8Array>
+ *   deleteImage(roomId, ref)                   Promise; the uploader's own, or any once the room is closed
+ *
+ *   subscribeSignals(roomId, uid, callback)    each call signal `{ from, ciphertext, iv }` the partner sends
+ *                                              from now on, delivered once; earlier ones are dropped
+ *   sendSignal(roomId, signal)                 Promise; signal is `{ from, ciphertext, iv }`
+ *
+ *   submitReport(report)                       Promise
+ *   subscribeBan(uid, callback)                our own ban `{ until, reason }` while it is in force, else null
+ *                                              (see moderation.js); a banned uid cannot search or send
+ *
+ * Moderation, for moderators only; anyone else gets permission-denied:
+ *
+ *   isModerator()                              Promise<boolean>
+ *   subscribeReports(callback)                 open reports, newest first, each `{ id, roomId, reporterId, reportedUid,
+ *                                              reportedIdentity, reason, note, messages, timestamp }`
+ *   resolveReport(reportId, status)            Promise; status is 'resolved' | 'dismissed'
+ *   subscribeBans(callback)                    bans in force, newest first, each `{ uid, until, reason, bannedBy, createdAt }`
+ *   banUser(uid, { until, reason })            Promise; until in millis, or null for good. Also drops the uid from the pool
+ *   liftBan(uid)                               Promise
+ *   subscribeModerationStats(callback)         `{ poolSize, activeRooms, messagesPerMinute }`, every MODERATION_STATS_INTERVAL_MS;
+ *                                              poolSize counts only searchers that are still there
+ *
+ * @module backend
+ */
+import { createFirebaseBackend } from './firebase';
+import { createWebSocketBackend } from './websocket';
+
+const createBackend = () => {
+  if (import.meta.env.VITE_CHAT_BACKEND === 'websocket') {
+    return createWebSocketBackend(import.meta.env.VITE_CHAT_SERVER_URL || 'ws://localhost:8787');
+  }
+  return createFirebaseBackend();
+};
+
+export const backend = createBackend();
@@ -0,0 +1,317 @@
+/**
+ * WebSocket Backend - Adapter for the self-hosted server in server/index.js
+ *
+ * One socket carries everything: requests are answered by a `result` frame with
+ * the same `requestId`, subscriptions receive `event` frames, and a running
+ * search receives `match` frames. The socket reconnects by itself; after every
+ * reconnect the session token is presented again and live subscriptions and
+ * searches are re-sent, so a drop only shows up as a short pause. Writes made
+ * while disconnected wait in an outbox, and subscribeConnection reports the
+ * drop so the UI can say so.
+ *
+ * The session token is kept in localStorage, so a reload resumes the same uid
+ * for as long as the server keeps running.
+ *
+ * @module backend/websocket
+ */
+import { isAvoided, isAnyAvoided } from '../blockList';
+import { bytesToBase64, base64ToBytes } from '../imageShare';
+
+const TOKEN_KEY = 'stranger-ws-token';
+const RECONNECT_MIN_MS = 500;
+const RECONNECT_MAX_MS = 10000;
+
+const MATCH_STATUS_TEXT = {
+  waiting: "Waiting for someone to join...",
+  widened: "Widening the search to everyone...",
+  proposed: "Found someone! Connecting...",
+  locked: "Too many searches in a row. Take a short break and try again.",
+  banned: "This session is suspended from matchmaking.",
+};
+
+/**
+ * @param {string} url - Server address, e.g. ws://localhost:8787
+ * @returns {Object} Backend, see backend/index.js
+ */
+export const createWebSocketBackend = (url) => {
+  let socket = null;
+  let isAuthed = false;
+  let reconnectTimer = null;
+  let reconnectDelay = RECONNECT_MIN_MS;
+  let nextId = 1;
+  // undefined until the server has answered once, then `{ uid }` or null
+  let session = undefined;
+  let pendingSignIn = null;
+  let search = null;
+  const authListeners = new Set();
+  const connectionListeners = new Set();
+  let connection = 'online';
+  const requests = new Map();
+  const outbox = [];
+  const subscriptions = new Map();
+
+  const send = (frame) => socket.send(JSON.stringify(frame));
+
+  const setSession = (next) => {
+    session = next;
+    authListeners.forEach((callback) => callback(next));
+  };
+
+  const setConnection = (next) => {
+    if (next === connection) return;
+    connection = next;
+    connectionListeners.forEach((callback) => callback(next));
+  };
+
+  const dispatch = (entry) => {
+    requests.set(entry.frame.requestId, entry);
+    send(entry.frame);
+  };
+
+  // Anything still queued belongs to the old session and must not run under a new uid
+  const dropSession = () => {
+    outbox.splice(0).forEach(({ reject }) => reject(new Error('Signed out')));
+    subscriptions.clear();
+    search = null;
+    setSession(null);
+  };
+
+  const connect = () => {
+    if (reconnectTimer) clearTimeout(reconnectTimer);
+    reconnectTimer = null;
+    if (socket) return;
+
+    socket = new WebSocket(url);
+    socket.onopen = () => {
+      reconnectDelay = RECONNECT_MIN_MS;
+      send({ type: 'auth', token: localStorage.getItem(TOKEN_KEY) });
+    };
+    // A malformed frame is ignored rather than stopping every later one
+    socket.onmessage = (event) => {
+      let frame;
+      try {
+        frame = JSON.parse(event.data);
+      } catch {
+        return;
+      }
+      if (frame && typeof frame === 'object') handleFrame(frame);
+    };
+    socket.onclose = () => {
+      socket = null;
+      isAuthed = false;
+      requests.forEach(({ reject }) => reject(new Error('Connection lost')));
+      requests.clear();
+
+      if (pendingSignIn) {
+        pendingSignIn.reject(new Error('Could not reach the chat server'));
+        pendingSignIn = null;
+      }
+      if (session === undefined) setSession(null);
+      // Keep trying while there is a session to resume
+      if (!localStorage.getItem(TOKEN_KEY)) return;
+      setConnection('offline');
+      reconnectTimer = setTimeout(connect, reconnectDelay);
+      reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX_MS);
+    };
+  };
+
+  const handleAuth = (frame) => {
+    if (frame.error) {
+      // The server forgot our token (e.g. it restarted); a pending sign-in just starts over
+      localStorage.removeItem(TOKEN_KEY);
+      if (pendingSignIn) {
+        send({ type: 'auth', token: null });
+        return;
+      }
+      dropSession();
+      socket.close();
+      return;
+    }
+
+    localStorage.setItem(TOKEN_KEY, frame.token);
+    isAuthed = true;
+    setConnection('online');
+    subscriptions.forEach(({ frame: subscribeFrame }) => send(subscribeFrame));
+    if (search) send(search.frame);
+    outbox.splice(0).forEach(dispatch);
+
+    if (pendingSignIn) pendingSignIn.resolve();
+    pendingSignIn = null;
+    if (session?.uid !== frame.uid) setSession({ uid: frame.uid });
+  };
+
+  const handleMatch = async (frame) => {
+    const current = search;
+    if (!current) return;
+
+    if (frame.event === 'status' && frame.status === 'gathering') {
+      current.onStatus(`Gathering your circle: ${frame.count} of ${frame.size} here...`);
+    } else if (frame.event === 'status') {
+      current.onStatus(MATCH_STATUS_TEXT[frame.status] ?? frame.status);
+    } else if (frame.event === 'proposal') {
+      // The server cannot see this device's block list, so every pairing is confirmed here
+      const accept = !(await isAvoided(frame.partnerUid));
+      if (!accept) console.log("🚫 Declined a blocked stranger");
+      if (search === current && isAuthed) send({ type: 'match:respond', proposalId: frame.proposalId, accept });
+    } else if (frame.event === 'found' && frame.circle) {
+      // A circle opens without asking anyone, so it is checked here and left if need be
+      const isBlocked = await isAnyAvoided(frame.circle.members.map(({ uid }) => uid));
+      if (isBlocked || search !== current) {
+        if (isBlocked) console.log("🚫 Left a circle with a blocked stranger");
+        request('circle:leave', { roomId: frame.roomId }).catch(() => {});
+        if (search === current && isAuthed) send(current.frame);
+        return;
+      }
+      search = null;
+      console.log("🟢 Circle opened:", frame.roomId);
+      current.onMatch({ roomId: frame.roomId, circle: frame.circle });
+    } else if (frame.event === 'found') {
+      search = null;
+      console.log("🟢 Matched into room:", frame.roomId);
+      current.onMatch({ roomId: frame.roomId, partner: frame.partner });
+    }
+  };
+
+  const handleFrame = (frame) => {
+    if (frame.type === 'auth') {
+      handleAuth(frame);
+    } else if (frame.type === 'result') {
+      const entry = requests.get(frame.requestId);
+      if (!entry) return;
+      requests.delete(frame.requestId);
+      if (frame.error) entry.reject(new Error(frame.error));
+      else entry.resolve(frame.data);
+    } else if (frame.type === 'event') {
+      const subscription = subscriptions.get(frame.subId);
+      if (!subscription) return;
+      if (frame.error) console.error(`❌ ${subscription.label} listener error:`, frame.error);
+      else subscription.callback(frame.data);
+    } else if (frame.type === 'match') {
+      handleMatch(frame);
+    }
+  };
+
+  const request = (type, payload = {}) => new Promise((resolve, reject) => {
+    const entry = { frame: { type, requestId: nextId++, ...payload }, resolve, reject };
+    if (isAuthed) {
+      dispatch(entry);
+    } else {
+      outbox.push(entry);
+      connect();
+    }
+  });
+
+  const subscribe = (label, topic, params, callback) => {
+    const subId = nextId++;
+    const frame = { type: 'subscribe', subId, topic, ...params };
+    subscriptions.set(subId, { label, frame, callback });
+    if (isAuthed) send(frame);
+
+    return () => {
+      subscriptions.delete(subId);
+      if (isAuthed) send({ type: 'unsubscribe', subId });
+    };
+  };
+
+  const startMatchmaking = ({ profile, recentPartnerUids = [], circleSize = null, onStatus, onMatch }) => {
+    const current = { frame: { type: 'match:join', profile, recentPartnerUids, circleSize }, onStatus, onMatch };
+    search = current;
+    onStatus("Scanning for strangers...");
+    if (isAuthed) send(current.frame);
+    else connect();
+
+    return () => {
+      if (search !== current) return;
+      search = null;
+      if (isAuthed) send({ type: 'match:leave' });
+    };
+  };
+
+  return {
+    name: 'websocket',
+
+    subscribeConnection: (callback) => {
+      connectionListeners.add(callback);
+      callback(connection);
+      return () => connectionListeners.delete(callback);
+    },
+
+    onAuthChange: (callback) => {
+      authListeners.add(callback);
+      if (session !== undefined) callback(session);
+      else if (!localStorage.getItem(TOKEN_KEY)) setSession(null);
+      else connect();
+      return () => authListeners.delete(callback);
+    },
+    signIn: () => new Promise((resolve, reject) => {
+      if (isAuthed) {
+        resolve();
+        return;
+      }
+      pendingSignIn = { resolve, reject };
+      if (socket?.readyState === WebSocket.OPEN) send({ type: 'auth', token: localStorage.getItem(TOKEN_KEY) });
+      else connect();
+    }),
+    signOut: async () => {
+      if (isAuthed) await request('signOut').catch(() => {});
+      localStorage.removeItem(TOKEN_KEY);
+      dropSession();
+      if (socket) socket.close();
+    },
+
+    startMatchmaking,
+
+    getRoom: (roomId) => request('room:get', { roomId }),
+    subscribeRoom: (roomId, callback) => subscribe('Room', 'room', { roomId }, callback),
+    closeRoom: (roomId) => request('room:close', { roomId })
+      .catch((err) => {
+        console.error("❌ Failed to close room:", err);
+        return false;
+      }),
+    teardownRoom: (roomId) => request('room:teardown', { roomId }),
+    leaveCircle: (roomId) => request('circle:leave', { roomId }),
+    setCircleKey: (roomId, shares) => request('circle:key', { roomId, shares }),
+    setKeepInTouch: (roomId, _uid, keep) => request('room:keep', { roomId, keep }),
+    createContact: (roomId) => request('contact:create', { roomId }),
+
+    // The server knows who we are, so the uid arguments are only there to match the interface
+    subscribePresence: (roomId, _uid, callback) => subscribe('Presence', 'presence', { roomId }, callback),
+    subscribeCirclePresence: (roomId, _uid, callback) => subscribe('Presence', 'circlePresence', { roomId }, callback),
+    setPresence: (roomId, _uid, state) => request('presence:set', { roomId, state }),
+    setTyping: (roomId, _uid, isTyping) => request('presence:typing', { roomId, isTyping }),
+    setImagesOff: (roomId, _uid, imagesOff) => request('presence:images', { roomId, imagesOff }),
+
+    subscribeMessages: (roomId, limit, callback) => subscribe('Message', 'messages', { roomId, limit }, callback),
+    // The server ignores a message id it already has, so retrying a send is safe
+    sendMessage: (roomId, message) => request('message:send', { roomId, message }),
+    markReceipt: (roomId, messageId, field) => request('message:receipt', { roomId, messageId, field }),
+    editMessage: (roomId, messageId, { ciphertext, iv }) => request('message:edit', { roomId, messageId, ciphertext, iv }),
+    setReaction: (roomId, messageId, _uid, emoji) => request('message:react', { roomId, messageId, emoji }),
+    deleteMessage: (roomId, messageId) => request('message:delete', { roomId, messageId }),
+
+    // Frames are JSON, so image bytes travel as base64
+    uploadImage: (roomId, _uid, data) => request('image:upload', { roomId, data: bytesToBase64(data) })
+      .then(({ ref }) => ref),
+    downloadImage: (roomId, ref) => request('image:download', { roomId, ref })
+      .then(({ data }) => base64ToBytes(data)),
+    deleteImage: (roomId, ref) => request('image:delete', { roomId, ref }),
+
+    // The server relays signals without storing them, so the first event is an empty snapshot
+    subscribeSignals: (roomId, _uid, callback) => subscribe('Signal', 'signals', { roomId }, (signal) => {
+      if (signal) callback(signal);
+    }),
+    sendSignal: (roomId, signal) => request('signal:send', { roomId, signal }),
+
+    submitReport: (report) => request('report:submit', { report }),
+    subscribeBan: (_uid, callback) => subscribe('Ban', 'ban', {}, callback),
+
+    // The server checks its moderator list on every moderation request
+    isModerator: () => request('moderation:check').then(({ isModerator }) => isModerator),
+    subscribeReports: (callback) => subscribe('Report', 'reports', {}, callback),
+    resolveReport: (reportId, status) => request('report:resolve', { reportId, status }),
+    subscribeBans: (callback) => subscribe('Ban list', 'bans', {}, callback),
+    banUser: (uid, { until, reason }) => request('ban:set', { uid, until, reason }),
+    liftBan: (uid) => request('ban:lift', { uid }),
+    subscribeModerationStats: (callback) => subscribe('Moderation stats', 'stats', {}, callback),
+  };
+};
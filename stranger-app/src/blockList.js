@@ -0,0 +1,99 @@
+/**
+ * Block List - Device-local record of strangers to avoid
+ *
+ * Only salted SHA-256 hashes of uids are stored, using a random salt that never
+ * leaves this device, so the list cannot be read back into uids or matched
+ * against another device's list. Blocks are permanent; reported strangers are
+ * avoided for REPORT_AVOID_MS.
+ *
+ * @module blockList
+ */
+
+const STORAGE_KEY = 'stranger-block-list';
+const SALT_KEY = 'stranger-block-salt';
+const REPORT_AVOID_MS = 24 * 60 * 60 * 1000;
+
+const getDeviceSalt = () => {
+  let salt = localStorage.getItem(SALT_KEY);
+  if (!salt) {
+    salt = Array.from(crypto.getRandomValues(new Uint8Array(16)), (b) => b.toString(16).padStart(2, '0')).join('');
+    localStorage.setItem(SALT_KEY, salt);
+  }
+  return salt;
+};
+
+const hashUid = async (uid) => {
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(`${getDeviceSalt()}:${uid}`));
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+};
+
+// Expired report entries are dropped whenever the list is read
+const readEntries = () => {
+  try {
+    const entries = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    const now = Date.now();
+    return entries.filter((entry) => !entry.expiresAt || entry.expiresAt > now);
+  } catch {
+    return [];
+  }
+};
+
+const addEntry = async (uid, expiresAt) => {
+  const hash = await hashUid(uid);
+  const entries = readEntries();
+  // A permanent block is never downgraded to a timed one
+  if (entries.some((entry) => entry.hash === hash && !entry.expiresAt)) return;
+
+  const next = entries.filter((entry) => entry.hash !== hash);
+  next.push({ hash, expiresAt });
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+};
+
+/**
+ * Never match with this uid again on this device
+ *
+ * @param {string} uid
+ * @returns {Promise<void>}
+ */
+export const blockUid = (uid) => addEntry(uid, null);
+
+/**
+ * Avoid a reported uid for a while; does not shorten an existing block
+ *
+ * @param {string} uid
+ * @returns {Promise<void>}
+ */
+export const recordReportedUid = (uid) => addEntry(uid, Date.now() + REPORT_AVOID_MS);
+
+/**
+ * @param {string} uid
+ * @returns {Promise<boolean>} Whether matchmaking should skip this uid
+ */
+export const isAvoided = async (uid) => {
+  const entries = readEntries();
+  if (entries.length === 0) return false;
+  const hash = await hashUid(uid);
+  return entries.some((entry) => entry.hash === hash);
+};
+
+/**
+ * Removes candidates whose uid is blocked or recently reported
+ *
+ * @param {Array} items - Candidates, e.g. pool entry snapshots
+ * @param {Function} getUid - Reads the uid from a candidate
+ * @returns {Promise<Array>} The remaining candidates, in their original order
+ */
+export const filterAvoided = async (items, getUid) => {
+  if (readEntries().length === 0) return items;
+  const avoided = await Promise.all(items.map((item) => isAvoided(getUid(item))));
+  return items.filter((_, i) => !avoided[i]);
+};
+
+/**
+ * @param {Array<string>} uids - Everyone in a circle but us
+ * @returns {Promise<boolean>} Whether any of them should be avoided
+ */
+export const isAnyAvoided = async (uids) => {
+  if (readEntries().length === 0) return false;
+  return (await Promise.all(uids.map(isAvoided))).some(Boolean);
+};
@@ -0,0 +1,100 @@
+/**
+ * Calls - WebRTC plumbing for voice and video calls between two strangers
+ *
+ * Only media setup and the peer connection live here; ringing, accepting and
+ * hanging up are in hooks/useCall.js. Offer, answer and ICE candidates are handed to
+ * `onSignal` and travel through the chat backend (backend.sendSignal), encrypted
+ * with the room key like messages, so the relay cannot swap the DTLS
+ * fingerprints that protect the call itself.
+ *
+ * Without a TURN server the two browsers connect directly, which is enough for
+ * two tabs on one machine or most home networks. VITE_ICE_SERVERS takes a JSON
+ * list of RTCIceServer entries to add STUN/TURN; with VITE_ICE_RELAY_ONLY=true
+ * every call goes through TURN, so strangers never learn each other's IP address.
+ *
+ * @module calls
+ */
+
+const DEFAULT_ICE_SERVERS = [{ urls: 'stun:stun.l.google.com:19302' }];
+
+const readIceServers = () => {
+  if (!import.meta.env.VITE_ICE_SERVERS) return DEFAULT_ICE_SERVERS;
+  try {
+    return JSON.parse(import.meta.env.VITE_ICE_SERVERS);
+  } catch (err) {
+    console.error("❌ VITE_ICE_SERVERS is not valid JSON, using the default STUN server:", err);
+    return DEFAULT_ICE_SERVERS;
+  }
+};
+
+const RTC_CONFIG = {
+  iceServers: readIceServers(),
+  iceTransportPolicy: import.meta.env.VITE_ICE_RELAY_ONLY === 'true' ? 'relay' : 'all',
+};
+
+// Whether the partner can see our IP address, shown before anyone accepts a call
+export const CALLS_ARE_DIRECT = RTC_CONFIG.iceTransportPolicy !== 'relay';
+
+/**
+ * @param {boolean} withVideo
+ * @returns {Promise<MediaStream>} Rejects when the user blocks the microphone or camera
+ */
+export const getCallMedia = (withVideo) => navigator.mediaDevices.getUserMedia({ audio: true, video: withVideo });
+
+export const stopMedia = (stream) => stream?.getTracks().forEach((track) => track.stop());
+
+/**
+ * Wraps one RTCPeerConnection. The caller runs `offer()` once the partner has
+ * accepted; everything the partner sends back goes into `handleSignal`.
+ *
+ * @param {Object} options
+ * @param {MediaStream} options.localStream - Our microphone (and camera)
+ * @param {Function} options.onSignal - Called with (type, payload) for 'offer' | 'answer' | 'candidate'
+ * @param {Function} options.onRemoteStream - Receives the partner's MediaStream
+ * @param {Function} options.onConnectionChange - Receives RTCPeerConnection.connectionState
+ * @returns {{offer: Function, handleSignal: Function, close: Function}}
+ */
+export const createCallPeer = ({ localStream, onSignal, onRemoteStream, onConnectionChange }) => {
+  const peer = new RTCPeerConnection(RTC_CONFIG);
+  // Candidates can overtake the offer or answer they belong to
+  const pendingCandidates = [];
+
+  localStream.getTracks().forEach((track) => peer.addTrack(track, localStream));
+  peer.onicecandidate = ({ candidate }) => {
+    if (candidate) onSignal('candidate', { candidate: candidate.toJSON() });
+  };
+  peer.ontrack = ({ streams }) => onRemoteStream(streams[0]);
+  peer.onconnectionstatechange = () => onConnectionChange(peer.connectionState);
+
+  const applyRemoteDescription = async (sdp) => {
+    await peer.setRemoteDescription(sdp);
+    for (const candidate of pendingCandidates.splice(0)) await peer.addIceCandidate(candidate);
+  };
+
+  return {
+    offer: async () => {
+      await peer.setLocalDescription(await peer.createOffer());
+      onSignal('offer', { sdp: peer.localDescription.toJSON() });
+    },
+
+    handleSignal: async (type, payload) => {
+      if (type === 'offer') {
+        await applyRemoteDescription(payload.sdp);
+        await peer.setLocalDescription(await peer.createAnswer());
+        onSignal('answer', { sdp: peer.localDescription.toJSON() });
+      } else if (type === 'answer') {
+        await applyRemoteDescription(payload.sdp);
+      } else if (type === 'candidate') {
+        if (peer.remoteDescription) await peer.addIceCandidate(payload.candidate);
+        else pendingCandidates.push(payload.candidate);
+      }
+    },
+
+    close: () => {
+      peer.onicecandidate = null;
+      peer.ontrack = null;
+      peer.onconnectionstatechange = null;
+      peer.close();
+    },
+  };
+};
@@ -0,0 +1,69 @@
+/**
+ * Chat Session - What a reload needs to get back into the open chat
+ *
+ * When a match is found the app keeps the room id, both identities for that
+ * room, the circle and the search's key pair, so reloading #/chat/:roomId
+ * rejoins the same ChatRoom instead of starting over. The key pair stays a
+ * non-extractable CryptoKeyPair: IndexedDB stores it as it is, which
+ * sessionStorage could not. sessionStorage only remembers which room this tab
+ * is in, so another tab (or a copied link) never takes over the chat.
+ *
+ * A session is dropped when its chat ends, and any left behind by a closed tab
+ * once it is older than SESSION_TTL_MS.
+ *
+ * @module chatSession
+ */
+
+import { createIdbStore } from './idbStore';
+
+const DB_NAME = 'stranger-chat-session';
+const DB_VERSION = 1;
+const SESSION_STORE = 'sessions';
+const TAB_ROOM_KEY = 'stranger-chat-room';
+// Same as a message's backstop expiry; nothing in the room outlives it anyway
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
+
+const database = createIdbStore({
+  name: DB_NAME,
+  version: DB_VERSION,
+  stores: { [SESSION_STORE]: { keyPath: 'roomId' } }
+});
+const runRequest = (mode, makeRequest) => database.runRequest(SESSION_STORE, mode, makeRequest);
+
+const pruneSessions = async (now = Date.now()) => {
+  const sessions = await runRequest('readonly', (store) => store.getAll());
+  await Promise.all(sessions
+    .filter((session) => now - session.savedAt > SESSION_TTL_MS)
+    .map((session) => runRequest('readwrite', (store) => store.delete(session.roomId))));
+};
+
+/**
+ * Remembers the chat this tab just joined
+ *
+ * @param {Object} session - `{ roomId, uid, myIdentity, partnerIdentity, e2ee, sharedInterests, circle }`,
+ *   e2ee being `{ keyPair, publicKey, partnerPublicKey }` as handed to ChatRoom
+ * @returns {Promise<void>}
+ */
+export const saveChatSession = async (session) => {
+  sessionStorage.setItem(TAB_ROOM_KEY, session.roomId);
+  await runRequest('readwrite', (store) => store.put({ ...session, savedAt: Date.now() }));
+};
+
+/**
+ * @param {string} roomId
+ * @returns {Promise<Object|null>} The session saved by this tab for that room, or null
+ */
+export const loadChatSession = async (roomId) => {
+  await pruneSessions();
+  if (sessionStorage.getItem(TAB_ROOM_KEY) !== roomId) return null;
+  return (await runRequest('readonly', (store) => store.get(roomId))) ?? null;
+};
+
+/**
+ * @param {string} roomId
+ * @returns {Promise<void>}
+ */
+export const clearChatSession = async (roomId) => {
+  if (sessionStorage.getItem(TAB_ROOM_KEY) === roomId) sessionStorage.removeItem(TAB_ROOM_KEY);
+  await runRequest('readwrite', (store) => store.delete(roomId));
+};
@@ -0,0 +1,62 @@
+/**
+ * Contacts - Strangers we both chose to keep in touch with
+ *
+ * A contact is a room of its own (contact_{pair room id}, see matching.js) that
+ * stays open until either side revokes it. Nothing about a contact is kept on
+ * the server beyond the two anonymous uids in that room; the names and keys
+ * live on this device, in IndexedDB:
+ *
+ *   { roomId, uid, partnerUid, myIdentity, partnerIdentity, e2ee, createdAt, lastReadAt }
+ *
+ * e2ee is the key pair and public keys from the chat where both opted in,
+ * kept as a non-extractable CryptoKeyPair. Reopening a contact derives a fresh
+ * room key from them for the contact room, so the safety number is the one
+ * from that chat. A contact belongs to the uid that made it; after
+ * "Disconnect" the new uid cannot reopen it.
+ *
+ * @module contacts
+ */
+
+import { createIdbStore } from './idbStore';
+
+const DB_NAME = 'stranger-contacts';
+const DB_VERSION = 1;
+const CONTACT_STORE = 'contacts';
+
+const database = createIdbStore({
+  name: DB_NAME,
+  version: DB_VERSION,
+  stores: { [CONTACT_STORE]: { keyPath: 'roomId' } }
+});
+const runRequest = (mode, makeRequest) => database.runRequest(CONTACT_STORE, mode, makeRequest);
+
+/**
+ * Orders contacts for display, newest first
+ *
+ * @param {Array} contacts
+ * @returns {Array} A new, sorted array
+ */
+export const sortContacts = (contacts) => [...contacts].sort((a, b) => b.createdAt - a.createdAt);
+
+/**
+ * @param {string} uid - The signed-in uid; contacts made under another uid are left out
+ * @returns {Promise<Array>} Sorted contacts
+ */
+export const loadContacts = async (uid) => {
+  const contacts = await runRequest('readonly', (store) => store.getAll());
+  return sortContacts(contacts.filter((contact) => contact.uid === uid));
+};
+
+/**
+ * Stores a contact, replacing any earlier one for the same room
+ *
+ * @param {Object} contact
+ * @returns {Promise<void>}
+ */
+export const saveContact = (contact) => runRequest('readwrite', (store) => store.put(contact));
+
+/**
+ * @param {string} roomId - Contact room id
+ * @returns {Promise<void>}
+ */
+export const deleteContact = (roomId) => runRequest('readwrite', (store) => store.delete(roomId));
@@ -0,0 +1,166 @@
+/**
+ * End-to-End Encryption - Ephemeral ECDH keys and AES-GCM message encryption
+ *
+ * Each search generates a fresh P-256 key pair. Public keys travel through the
+ * waiting_pool entry and the invite doc; the shared secret is run through HKDF
+ * (salted with the room id) into an AES-GCM key that only the two strangers hold.
+ * A circle shares one random room key instead: the member who completes it
+ * wraps that key for every member, itself included, under the pairwise key it
+ * derives with each of them. Firestore only ever sees ciphertext.
+ *
+ * @module e2ee
+ */
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+/**
+ * @returns {Promise<CryptoKeyPair>} Ephemeral ECDH key pair; the private key is not extractable
+ */
+export const generateKeyPair = () =>
+  crypto.subtle.generateKey({ name: 'ECDH', namedCurve: 'P-256' }, false, ['deriveBits']);
+
+/**
+ * @param {CryptoKeyPair} keyPair
+ * @returns {Promise<string>} Base64 raw public key, safe to publish
+ */
+export const exportPublicKey = async (keyPair) => toBase64(await crypto.subtle.exportKey('raw', keyPair.publicKey));
+
+/**
+ * Derives the shared AES-GCM room key from our private key and the partner's public key
+ *
+ * @param {CryptoKeyPair} keyPair - Our key pair
+ * @param {string} partnerPublicKey - Partner's base64 public key
+ * @param {string} roomId - Used as HKDF salt so keys differ between rooms
+ * @returns {Promise<CryptoKey>}
+ */
+export const deriveRoomKey = async (keyPair, partnerPublicKey, roomId) => {
+  const partnerKey = await crypto.subtle.importKey(
+    'raw', fromBase64(partnerPublicKey), { name: 'ECDH', namedCurve: 'P-256' }, false, []
+  );
+  const sharedBits = await crypto.subtle.deriveBits({ name: 'ECDH', public: partnerKey }, keyPair.privateKey, 256);
+  const hkdfKey = await crypto.subtle.importKey('raw', sharedBits, 'HKDF', false, ['deriveKey']);
+
+  return crypto.subtle.deriveKey(
+    { name: 'HKDF', hash: 'SHA-256', salt: encoder.encode(roomId), info: encoder.encode('stranger-app message key') },
+    hkdfKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * @param {CryptoKey} key - Room key
+ * @param {string} text - Plaintext
+ * @param {string} context - Authenticated but unencrypted data (room and sender), so
+ *   ciphertext cannot be replayed under another sender or room
+ * @returns {Promise<{ciphertext: string, iv: string}>}
+ */
+export const encryptText = async (key, text, context) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(context) }, key, encoder.encode(text)
+  );
+  return { ciphertext: toBase64(ciphertext), iv: toBase64(iv) };
+};
+
+/**
+ * @param {CryptoKey} key - Room key
+ * @param {{ciphertext: string, iv: string}} payload
+ * @param {string} context - Must match the context used to encrypt
+ * @returns {Promise<string>} Plaintext; rejects if the message was tampered with or uses another key
+ */
+export const decryptText = async (key, { ciphertext, iv }, context) => {
+  const plain = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(context) }, key, fromBase64(ciphertext)
+  );
+  return decoder.decode(plain);
+};
+
+/**
+ * Binary counterpart of encryptText, used for shared images. The bytes stay
+ * binary so large payloads skip the base64 round trip.
+ *
+ * @param {CryptoKey} key - Room key
+ * @param {Uint8Array} bytes - Plaintext bytes
+ * @param {string} context - Same room and sender context as for text
+ * @returns {Promise<{data: Uint8Array, iv: string}>}
+ */
+export const encryptBytes = async (key, bytes, context) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv, additionalData: encoder.encode(context) }, key, bytes
+  );
+  return { data: new Uint8Array(data), iv: toBase64(iv) };
+};
+
+/**
+ * @param {CryptoKey} key - Room key
+ * @param {{data: Uint8Array, iv: string}} payload
+ * @param {string} context - Must match the context used to encrypt
+ * @returns {Promise<Uint8Array>} Plaintext bytes
+ */
+export const decryptBytes = async (key, { data, iv }, context) => new Uint8Array(await crypto.subtle.decrypt(
+  { name: 'AES-GCM', iv: fromBase64(iv), additionalData: encoder.encode(context) }, key, data
+));
+
+// The circle key is wrapped under its own context, so a share never decrypts as a message
+const circleShareContext = (roomId, uid) => `${roomId}|${uid}|circle-key`;
+
+const importRoomKey = (raw) => crypto.subtle.importKey('raw', raw, { name: 'AES-GCM' }, false, ['encrypt', 'decrypt']);
+
+/**
+ * Creates a circle's room key and one encrypted share of it per member
+ *
+ * @param {CryptoKeyPair} keyPair - Our key pair
+ * @param {Array<{uid: string, publicKey: string}>} members - Everyone in the circle; our own share
+ *   (wrapped under our key pair with itself) lets us open the key again after a reload
+ * @param {string} roomId
+ * @returns {Promise<{key: CryptoKey, shares: Object}>} Our copy of the key, and shares keyed by uid
+ */
+export const createCircleKey = async (keyPair, members, roomId) => {
+  const raw = crypto.getRandomValues(new Uint8Array(32));
+  const shares = {};
+  for (const member of members) {
+    const pairKey = await deriveRoomKey(keyPair, member.publicKey, roomId);
+    const { data, iv } = await encryptBytes(pairKey, raw, circleShareContext(roomId, member.uid));
+    shares[member.uid] = { ciphertext: toBase64(data), iv };
+  }
+  return { key: await importRoomKey(raw), shares };
+};
+
+/**
+ * @param {CryptoKeyPair} keyPair - Our key pair
+ * @param {string} keyholderPublicKey - Public key of the member who made the shares
+ * @param {{ciphertext: string, iv: string}} share - Our share
+ * @param {string} roomId
+ * @param {string} uid - Our uid
+ * @returns {Promise<CryptoKey>} The circle's room key
+ */
+export const openCircleKeyShare = async (keyPair, keyholderPublicKey, share, roomId, uid) => {
+  const pairKey = await deriveRoomKey(keyPair, keyholderPublicKey, roomId);
+  const raw = await decryptBytes(pairKey, { data: fromBase64(share.ciphertext), iv: share.iv }, circleShareContext(roomId, uid));
+  return importRoomKey(raw);
+};
+
+/**
+ * Safety number everyone in the chat can compare out loud; it only matches
+ * when no public key was swapped in transit
+ *
+ * @param {...string} publicKeys - Every member's public key, in any order
+ * @returns {Promise<string>} Six groups of five digits, e.g. "01234 56789 ..."
+ */
+export const computeSafetyNumber = async (...publicKeys) => {
+  const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode([...publicKeys].sort().join(':'))));
+
+  const groups = [];
+  for (let i = 0; i < 6; i++) {
+    const value = digest.slice(i * 5, i * 5 + 5).reduce((acc, byte) => acc * 256 + byte, 0) % 100000;
+    groups.push(String(value).padStart(5, '0'));
+  }
+  return groups.join(' ');
+};
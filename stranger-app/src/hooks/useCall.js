@@ -0,0 +1,214 @@
+/**
+ * useCall - Ringing, accepting and hanging up a call in a one-on-one chat
+ *
+ * A call is opt-in on both sides: the caller rings with an `invite`, and the
+ * peer connection is only built once the partner sends `accept`. Every signal
+ * (invite, accept, decline, hangup, offer, answer, candidate) is one encrypted
+ * JSON blob on backend.sendSignal; the WebRTC side lives in calls.js.
+ *
+ * @module hooks/useCall
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { backend } from '../backend';
+import { createCallPeer, getCallMedia, stopMedia } from '../calls';
+import { encryptText, decryptText } from '../e2ee';
+
+const CALL_RING_TIMEOUT_MS = 30000;
+const CALL_NOTICE_MS = 4000;
+
+/**
+ * @param {Object} options
+ * @param {string} options.roomId
+ * @param {string} options.uid - Our uid
+ * @param {CryptoKey|null} options.roomKey - Signals are encrypted with it; nothing is heard before it is ready
+ * @param {boolean} options.isCircle - Circles have no calls, so no signals are listened to
+ * @param {boolean} options.isRoomOver - A stranger who leaves mid-call hangs up with them
+ * @param {string} options.partnerName - For "… declined the call"
+ * @returns {Object} `{ call, callNotice, localStream, remoteStream, startCall, acceptCall, declineCall, endCall, toggleCallTrack }`;
+ *   call is `{ id, video, phase, isMuted, isCameraOff }` with phase 'ringing' | 'incoming' | 'connecting' | 'active'
+ */
+export const useCall = ({ roomId, uid, roomKey, isCircle, isRoomOver, partnerName }) => {
+  const [call, setCall] = useState(null);
+  const [callNotice, setCallNotice] = useState(null);
+  const [localStream, setLocalStream] = useState(null);
+  const [remoteStream, setRemoteStream] = useState(null);
+  // The signal listener outlives renders, so it reads the call through refs
+  const callRef = useRef(null);
+  const callMediaRef = useRef({ peer: null, stream: null });
+  const signalHandlerRef = useRef(null);
+  const endCallRef = useRef(null);
+
+  // Call signals are encrypted whole, so the backend cannot even tell what kind they are
+  const sendCallSignal = async (type, payload = {}) => {
+    const { ciphertext, iv } = await encryptText(roomKey, JSON.stringify({ type, ...payload }), `${roomId}|${uid}|call`);
+    await backend.sendSignal(roomId, { from: uid, ciphertext, iv });
+  };
+
+  const updateCall = (next) => {
+    callRef.current = next;
+    setCall(next);
+  };
+
+  const endCall = (notifyPartner, notice = null) => {
+    const current = callRef.current;
+    if (!current) return;
+    if (notifyPartner) sendCallSignal('hangup', { callId: current.id }).catch(() => {});
+
+    const media = callMediaRef.current;
+    media.peer?.close();
+    stopMedia(media.stream);
+    media.peer = null;
+    media.stream = null;
+    setLocalStream(null);
+    setRemoteStream(null);
+    setCallNotice(notice);
+    updateCall(null);
+  };
+
+  const connectPeer = (callId) => {
+    callMediaRef.current.peer = createCallPeer({
+      localStream: callMediaRef.current.stream,
+      onSignal: (type, payload) => sendCallSignal(type, { callId, ...payload })
+        .catch((err) => console.error("❌ Call signal failed:", err)),
+      onRemoteStream: setRemoteStream,
+      onConnectionChange: (state) => {
+        if (callRef.current?.id !== callId) return;
+        if (state === 'connected') updateCall({ ...callRef.current, phase: 'active' });
+        if (state === 'failed') endCall(true, "The call could not connect.");
+      },
+    });
+  };
+
+  // Our microphone (and camera) is opened before anything is sent, so a blocked permission rings nobody
+  const openCallMedia = async (callId, withVideo) => {
+    const stream = await getCallMedia(withVideo);
+    if (callRef.current?.id !== callId) {
+      stopMedia(stream);
+      return false;
+    }
+    callMediaRef.current.stream = stream;
+    setLocalStream(stream);
+    return true;
+  };
+
+  const startCall = async (withVideo) => {
+    if (callRef.current || isRoomOver || !roomKey) return;
+    const callId = crypto.randomUUID();
+    updateCall({ id: callId, video: withVideo, phase: 'ringing', isMuted: false, isCameraOff: false });
+    setCallNotice(null);
+
+    try {
+      if (!(await openCallMedia(callId, withVideo))) return;
+      await sendCallSignal('invite', { callId, video: withVideo });
+    } catch (err) {
+      console.error("❌ Could not start call:", err);
+      endCall(false, err.name === 'NotAllowedError' ? "Microphone or camera access was blocked." : "Could not start the call.");
+      return;
+    }
+
+    setTimeout(() => {
+      if (callRef.current?.id === callId && callRef.current.phase === 'ringing') endCall(true, "No answer.");
+    }, CALL_RING_TIMEOUT_MS);
+  };
+
+  const acceptCall = async () => {
+    const current = callRef.current;
+    if (current?.phase !== 'incoming') return;
+    updateCall({ ...current, phase: 'connecting' });
+
+    try {
+      if (!(await openCallMedia(current.id, current.video))) return;
+      connectPeer(current.id);
+      await sendCallSignal('accept', { callId: current.id });
+    } catch (err) {
+      console.error("❌ Could not join call:", err);
+      endCall(true, err.name === 'NotAllowedError' ? "Microphone or camera access was blocked." : "Could not join the call.");
+    }
+  };
+
+  const declineCall = () => {
+    const current = callRef.current;
+    if (!current) return;
+    sendCallSignal('decline', { callId: current.id }).catch(() => {});
+    endCall(false);
+  };
+
+  const toggleCallTrack = (kind, field) => {
+    const current = callRef.current;
+    if (!current) return;
+    const disabled = !current[field];
+    callMediaRef.current.stream?.getTracks()
+      .filter((track) => track.kind === kind)
+      .forEach((track) => { track.enabled = !disabled; });
+    updateCall({ ...current, [field]: disabled });
+  };
+
+  const handleSignal = async ({ type, callId, ...payload }) => {
+    const current = callRef.current;
+    if (type === 'invite') {
+      // Already in (or ringing for) a call: both sides simply try again
+      if (current) {
+        sendCallSignal('decline', { callId, busy: true }).catch(() => {});
+        return;
+      }
+      setCallNotice(null);
+      updateCall({ id: callId, video: !!payload.video, phase: 'incoming', isMuted: false, isCameraOff: false });
+      return;
+    }
+    if (current?.id !== callId) return;
+
+    if (type === 'accept' && current.phase === 'ringing') {
+      updateCall({ ...current, phase: 'connecting' });
+      connectPeer(callId);
+      await callMediaRef.current.peer.offer();
+    } else if (type === 'decline') {
+      endCall(false, payload.busy ? `${partnerName} is busy.` : `${partnerName} declined the call.`);
+    } else if (type === 'hangup') {
+      endCall(false, current.phase === 'incoming' ? "Missed call." : "Call ended.");
+    } else {
+      await callMediaRef.current.peer?.handleSignal(type, payload);
+    }
+  };
+
+  useEffect(() => {
+    signalHandlerRef.current = handleSignal;
+    endCallRef.current = endCall;
+  });
+
+  // Signals are handled one at a time, in arrival order, so an offer is applied before its candidates
+  useEffect(() => {
+    if (!roomKey || isCircle) return;
+    let queue = Promise.resolve();
+
+    return backend.subscribeSignals(roomId, uid, (signal) => {
+      queue = queue
+        .then(() => decryptText(roomKey, signal, `${roomId}|${signal.from}|call`))
+        .then((text) => signalHandlerRef.current(JSON.parse(text)))
+        .catch((err) => console.error("❌ Call signal dropped:", err));
+    });
+  }, [roomId, uid, roomKey, isCircle]);
+
+  // A stranger who leaves mid-call hangs up with them
+  const isCutOff = isRoomOver && !!call;
+  useEffect(() => {
+    if (isCutOff) endCallRef.current(false, "Call ended.");
+  }, [isCutOff]);
+
+  useEffect(() => {
+    if (!callNotice) return;
+    const timeout = setTimeout(() => setCallNotice(null), CALL_NOTICE_MS);
+    return () => clearTimeout(timeout);
+  }, [callNotice]);
+
+  // Unmounting must never leave the microphone or camera on
+  useEffect(() => {
+    const media = callMediaRef.current;
+    return () => {
+      media.peer?.close();
+      stopMedia(media.stream);
+    };
+  }, []);
+
+  return { call, callNotice, localStream, remoteStream, startCall, acceptCall, declineCall, endCall, toggleCallTrack };
+};
@@ -0,0 +1,25 @@
+/**
+ * useClock - The current time, refreshed on an interval
+ *
+ * ChatRoom reads one clock for presence timeouts, vanish countdowns and the
+ * edit window, and speeds it up while a countdown is on screen.
+ *
+ * @module hooks/useClock
+ */
+
+import { useState, useEffect } from 'react';
+
+/**
+ * @param {number} intervalMs - How often to refresh
+ * @returns {number} Epoch millis as of the last tick
+ */
+export const useClock = (intervalMs) => {
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const clock = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(clock);
+  }, [intervalMs]);
+
+  return now;
+};
@@ -0,0 +1,106 @@
+/**
+ * useOutbox - ChatRoom's queue of sends the server has not confirmed
+ *
+ * A message gets its id on this device and waits in the outbox until the
+ * server has it, so a retry can never post it twice. A send still unconfirmed
+ * after SEND_TIMEOUT_MS shows as failed; failed sends go out again once the
+ * backend reports the connection is back, or when tapped. Edits that fail are
+ * kept the same way, by message id, so they can be retried too.
+ *
+ * @module hooks/useOutbox
+ */
+
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { backend } from '../backend';
+import { MESSAGE_BURST_LIMIT, MESSAGE_BURST_WINDOW_MS } from '../rateLimit';
+
+const SEND_TIMEOUT_MS = 15000;
+
+// Failed sends go back out one by one, within the burst limit
+const RETRY_SPACING_MS = MESSAGE_BURST_WINDOW_MS / MESSAGE_BURST_LIMIT;
+
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error("Send timed out")), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.roomId
+ * @param {boolean} options.isOnline - Failed sends are retried each time this turns true
+ * @param {boolean} options.isRoomOver - Nothing is retried once the chat is over
+ * @param {Function} options.encrypt - `(text) => Promise<{ ciphertext, iv }>` with the room key, for edits
+ * @returns {Object} `{ outbox, failedEdits, enqueue, deliver, dropConfirmed, saveEdit }`; outbox entries are
+ *   `{ id, text, message, status }` with status 'sending' | 'failed', failedEdits holds the new text by message id
+ */
+export const useOutbox = ({ roomId, isOnline, isRoomOver, encrypt }) => {
+  const [outbox, setOutbox] = useState([]);
+  const [failedEdits, setFailedEdits] = useState({});
+  const retryFailedRef = useRef(null);
+
+  const setOutboxStatus = (id, status) => {
+    setOutbox((current) => current.map((entry) => (entry.id === id ? { ...entry, status } : entry)));
+  };
+
+  // Resolving means the server has it; the message listener then drops the entry as well
+  const deliver = (entry) => {
+    setOutboxStatus(entry.id, 'sending');
+    withTimeout(backend.sendMessage(roomId, entry.message), SEND_TIMEOUT_MS)
+      .then(() => setOutbox((current) => current.filter(({ id }) => id !== entry.id)))
+      .catch((err) => {
+        console.error("❌ Failed to send:", err);
+        setOutboxStatus(entry.id, 'failed');
+      });
+  };
+
+  /**
+   * @param {Object} entry - `{ id, text, message }`, message being what backend.sendMessage takes
+   */
+  const enqueue = (entry) => {
+    const queued = { ...entry, status: 'sending' };
+    setOutbox((current) => [...current, queued]);
+    deliver(queued);
+  };
+
+  // Once the server holds a queued message, the snapshot copy takes over
+  const dropConfirmed = useCallback((messages) => {
+    const confirmedIds = new Set(messages.filter((msg) => !msg.pending).map((msg) => msg.id));
+    setOutbox((current) => (current.some((entry) => confirmedIds.has(entry.id))
+      ? current.filter((entry) => !confirmedIds.has(entry.id))
+      : current));
+  }, []);
+
+  // Read through a ref by the reconnect effect below
+  useEffect(() => {
+    retryFailedRef.current = () => {
+      if (isRoomOver) return;
+      outbox.filter((entry) => entry.status === 'failed')
+        .forEach((entry, i) => setTimeout(() => deliver(entry), i * RETRY_SPACING_MS));
+    };
+  });
+
+  useEffect(() => {
+    if (isOnline) retryFailedRef.current();
+  }, [isOnline]);
+
+  // A failed edit keeps its new text, so it can be retried the way a failed send is
+  const saveEdit = async (msg, text) => {
+    setFailedEdits((current) => {
+      const next = { ...current };
+      delete next[msg.id];
+      return next;
+    });
+    try {
+      const { ciphertext, iv } = await encrypt(text);
+      await withTimeout(backend.editMessage(roomId, msg.id, { ciphertext, iv }), SEND_TIMEOUT_MS);
+    } catch (err) {
+      console.error("❌ Failed to save edit:", err);
+      setFailedEdits((current) => ({ ...current, [msg.id]: text }));
+    }
+  };
+
+  return { outbox, failedEdits, enqueue, deliver, dropConfirmed, saveEdit };
+};
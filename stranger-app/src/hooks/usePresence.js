@@ -0,0 +1,144 @@
+/**
+ * usePresence - Room status, presence and typing for ChatRoom
+ *
+ * Each room has an open/closed status, plus one presence record per member
+ * that is refreshed every PRESENCE_HEARTBEAT_MS while the chat is open.
+ * Browsers throttle timers in background tabs, down to once a minute, so the
+ * timeout leaves room for one throttled beat and a little more. Closing the tab
+ * says so at once, so the timeout only covers tabs that die without a word.
+ *
+ * Typing is a throttled `typingAt` stamp on the same record (ChatRoom writes
+ * it); the partner's indicator shows until TYPING_TIMEOUT_MS passes without a
+ * newer stamp.
+ *
+ * @module hooks/usePresence
+ */
+
+import { useState, useEffect } from 'react';
+import { backend } from '../backend';
+import { toMillis } from '../timestamps';
+
+export const PRESENCE_HEARTBEAT_MS = 10000;
+const PRESENCE_AWAY_MS = 25000;
+const PRESENCE_TIMEOUT_MS = 75000;
+const TYPING_TIMEOUT_MS = 4000;
+
+const CIRCLE_STATUS_ORDER = ['connected', 'away', 'connecting', 'disconnected'];
+
+const derivePartnerStatus = (room, presence, joinedAt, now) => {
+  if (room?.status === 'closed') return 'disconnected';
+
+  // Presence written before the room was (re)opened belongs to an earlier chat
+  const openedAt = toMillis(room?.openedAt) ?? 0;
+  const lastSeen = toMillis(presence?.lastSeen) ?? now;
+  if (!presence || lastSeen < openedAt) {
+    return now - joinedAt < PRESENCE_TIMEOUT_MS ? 'connecting' : 'disconnected';
+  }
+
+  if (presence.state === 'left') return 'disconnected';
+  const silence = now - lastSeen;
+  if (silence > PRESENCE_TIMEOUT_MS) return 'disconnected';
+  if (presence.state === 'away' || silence > PRESENCE_AWAY_MS) return 'away';
+  return 'connected';
+};
+
+// The circle reads as its liveliest member, and is only over once nobody else is left
+const deriveCircleStatus = (statuses) => CIRCLE_STATUS_ORDER.find((status) => statuses.includes(status)) ?? 'disconnected';
+
+/**
+ * @param {Object} options
+ * @param {string} options.roomId
+ * @param {string} options.uid - Our uid
+ * @param {Object|null} options.circle - `{ size, names }` in a circle, null in a pair or contact
+ * @param {boolean} options.isContact - A contact is only over once revoked, not when the partner goes quiet
+ * @param {number} options.joinedAt - When this ChatRoom opened
+ * @param {number} options.now - Current time (see useClock)
+ * @returns {Object} `{ room, partnerPresence, circlePresence, otherMembers, memberStatuses, partnerStatus,
+ *   isRoomOver, isTabVisible, typingUid, isPartnerTyping }`; otherMembers are the uids in the room besides
+ *   ours (circles only), memberStatuses their status by uid
+ */
+export const usePresence = ({ roomId, uid, circle, isContact, joinedAt, now }) => {
+  const [room, setRoom] = useState(null);
+  const [partnerPresence, setPartnerPresence] = useState(null);
+  const [circlePresence, setCirclePresence] = useState({});
+  const [isTabVisible, setIsTabVisible] = useState(() => !document.hidden);
+  const [expiredTypingAt, setExpiredTypingAt] = useState(null);
+
+  const isCircle = !!circle;
+
+  useEffect(() => {
+    const unsubscribeRoom = backend.subscribeRoom(roomId, setRoom);
+    const unsubscribePresence = isCircle
+      ? backend.subscribeCirclePresence(roomId, uid, setCirclePresence)
+      : backend.subscribePresence(roomId, uid, setPartnerPresence);
+
+    return () => {
+      unsubscribeRoom();
+      unsubscribePresence();
+    };
+  }, [roomId, uid, isCircle]);
+
+  // Our own heartbeat. Leaving the page marks us as left; a reload comes straight back
+  // (see chatSession.js) and its first beat turns that back into active.
+  // Showing the page beats at once, as the throttled interval may not have run for a while
+  useEffect(() => {
+    const writePresence = (state) => backend.setPresence(roomId, uid, state)
+      .catch((err) => console.error("❌ Presence update failed:", err));
+
+    const beat = () => {
+      setIsTabVisible(!document.hidden);
+      writePresence(document.hidden ? 'away' : 'active');
+    };
+    const markLeft = () => writePresence('left');
+
+    writePresence(document.hidden ? 'away' : 'active');
+    // A reused room id may still carry the last chat's choice; every chat starts with images on
+    backend.setImagesOff(roomId, uid, false).catch(() => {});
+    const heartbeat = setInterval(beat, PRESENCE_HEARTBEAT_MS);
+    document.addEventListener('visibilitychange', beat);
+    window.addEventListener('pagehide', markLeft);
+
+    return () => {
+      clearInterval(heartbeat);
+      document.removeEventListener('visibilitychange', beat);
+      window.removeEventListener('pagehide', markLeft);
+      markLeft();
+    };
+  }, [roomId, uid]);
+
+  const otherMembers = isCircle ? (room?.members ?? Object.keys(circle.names)).filter((member) => member !== uid) : [];
+  const memberStatuses = Object.fromEntries(otherMembers.map((member) => [member, derivePartnerStatus(room, circlePresence[member], joinedAt, now)]));
+
+  const partnerStatus = isCircle
+    ? deriveCircleStatus(Object.values(memberStatuses))
+    : derivePartnerStatus(room, partnerPresence, joinedAt, now);
+  // A contact is only over once revoked; until then we can write to them while they are away
+  const isRoomOver = isContact ? room?.status === 'closed' : partnerStatus === 'disconnected';
+
+  // Each new typing stamp from the partner shows the indicator for TYPING_TIMEOUT_MS;
+  // in a circle, the newest stamp from anyone still in it
+  const [typingUid, circleTypingAt] = otherMembers
+    .map((member) => [member, toMillis(circlePresence[member]?.typingAt)])
+    .filter(([, at]) => at)
+    .sort((a, b) => b[1] - a[1])[0] ?? [null, null];
+  const partnerTypingAt = isCircle ? circleTypingAt : toMillis(partnerPresence?.typingAt);
+  useEffect(() => {
+    if (!partnerTypingAt) return;
+    const timeout = setTimeout(() => setExpiredTypingAt(partnerTypingAt), TYPING_TIMEOUT_MS);
+    return () => clearTimeout(timeout);
+  }, [partnerTypingAt]);
+  const isPartnerTyping = !!partnerTypingAt && partnerTypingAt !== expiredTypingAt && !isRoomOver;
+
+  return {
+    room,
+    partnerPresence,
+    circlePresence,
+    otherMembers,
+    memberStatuses,
+    partnerStatus,
+    isRoomOver,
+    isTabVisible,
+    typingUid,
+    isPartnerTyping
+  };
+};
@@ -0,0 +1,98 @@
+/**
+ * useVanishingMessages - How our messages vanish, and clearing the ones that did
+ *
+ * Each sender picks how their own messages vanish. Timed messages carry an
+ * `expiresAt` so the backend (a Firestore TTL policy, or the self-hosted server's
+ * sweep) can remove them even if both tabs crash. The others have none while the
+ * chat is open, however long it runs; closing the room gives them a backstop
+ * (see closeRoom), and in a contact they get CONTACT_BACKSTOP_TTL_MS up front.
+ *   keep  - stays until the room is torn down, and is saved to the Memory Box;
+ *           in a contact, until it is revoked or CONTACT_BACKSTOP_TTL_MS runs out
+ *   leave - removed at teardown and never saved to a Memory Box
+ *   timed - removed after N minutes, with a countdown on the bubble
+ *
+ * @module hooks/useVanishingMessages
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { backend } from '../backend';
+import { toMillis } from '../timestamps';
+
+const CONTACT_BACKSTOP_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+const VANISH_MODE_KEY = 'stranger-vanish-mode';
+
+export const VANISH_MODES = [
+  { id: 'keep', label: 'Keep until I save it' },
+  { id: 'leave', label: 'Vanish on leave' },
+  { id: 'timed-1', label: 'Vanish after 1 min', minutes: 1 },
+  { id: 'timed-5', label: 'Vanish after 5 min', minutes: 5 },
+  { id: 'timed-15', label: 'Vanish after 15 min', minutes: 15 },
+  { id: 'timed-60', label: 'Vanish after 60 min', minutes: 60 },
+];
+
+const getVanishFields = (modeId, backstopMs) => {
+  const mode = VANISH_MODES.find((m) => m.id === modeId) ?? VANISH_MODES[0];
+  if (mode.minutes) {
+    return { ephemeral: 'timed', expiresAt: Date.now() + mode.minutes * 60 * 1000 };
+  }
+  return {
+    ephemeral: mode.id === 'leave' ? 'leave' : null,
+    expiresAt: backstopMs ? Date.now() + backstopMs : null
+  };
+};
+
+/**
+ * @param {Object} msg
+ * @param {number} now
+ * @returns {boolean} Whether the message is past its `expiresAt`
+ */
+export const isMessageExpired = (msg, now) => {
+  const expiresAt = toMillis(msg.expiresAt);
+  return typeof expiresAt === 'number' && expiresAt <= now;
+};
+
+/**
+ * @param {Object} options
+ * @param {string} options.roomId
+ * @param {string} options.uid - Our uid
+ * @param {Array} options.messages - The room's messages, expired ones included
+ * @param {number} options.now - Current time (see useClock)
+ * @param {boolean} options.isContact - Contact messages get a backstop while the contact is open
+ * @returns {{ vanishMode: string, changeVanishMode: Function, getVanishFields: Function, deleteLeaveMessages: Function }}
+ *   getVanishFields() gives `{ ephemeral, expiresAt }` for a message sent now;
+ *   deleteLeaveMessages() removes our "vanish on leave" messages where no teardown will
+ */
+export const useVanishingMessages = ({ roomId, uid, messages, now, isContact }) => {
+  const [vanishMode, setVanishMode] = useState(() => localStorage.getItem(VANISH_MODE_KEY) || 'keep');
+  const expiredDeletesRef = useRef(new Set());
+  const backstopMs = isContact ? CONTACT_BACKSTOP_TTL_MS : null;
+
+  // Timed messages disappear the moment they expire, then get deleted server-side
+  useEffect(() => {
+    messages.forEach((msg) => {
+      if (!isMessageExpired(msg, now) || expiredDeletesRef.current.has(msg.id)) return;
+      expiredDeletesRef.current.add(msg.id);
+      backend.deleteMessage(roomId, msg.id).catch(() => {});
+      if (msg.image && msg.senderId === uid) backend.deleteImage(roomId, msg.image.ref).catch(() => {});
+    });
+  }, [messages, now, roomId, uid]);
+
+  const changeVanishMode = (modeId) => {
+    setVanishMode(modeId);
+    localStorage.setItem(VANISH_MODE_KEY, modeId);
+  };
+
+  const deleteLeaveMessages = () => {
+    messages.filter((msg) => msg.senderId === uid && msg.ephemeral === 'leave').forEach((msg) => {
+      backend.deleteMessage(roomId, msg.id).catch(() => {});
+      if (msg.image) backend.deleteImage(roomId, msg.image.ref).catch(() => {});
+    });
+  };
+
+  return {
+    vanishMode,
+    changeVanishMode,
+    getVanishFields: () => getVanishFields(vanishMode, backstopMs),
+    deleteLeaveMessages
+  };
+};
@@ -0,0 +1,44 @@
+/**
+ * IndexedDB Store - The small promise wrapper behind every device-local store
+ *
+ * The Memory Box, chat sessions and contacts each keep a database of their
+ * own; this opens it on first use, creates its object stores, and runs one
+ * request at a time in its own transaction.
+ *
+ * @module idbStore
+ */
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {Object} options
+ * @param {string} options.name - Database name
+ * @param {number} options.version - Database version
+ * @param {Object} options.stores - Object store options by store name, e.g. `{ memories: { keyPath: 'id' } }`
+ * @returns {{ runRequest: Function }} `runRequest(storeName, mode, (store) => request)` resolves to the request's result
+ */
+export const createIdbStore = ({ name, version, stores }) => {
+  let dbPromise = null;
+  const openDatabase = () => {
+    if (!dbPromise) {
+      const request = indexedDB.open(name, version);
+      request.onupgradeneeded = () => {
+        Object.entries(stores)
+          .filter(([storeName]) => !request.result.objectStoreNames.contains(storeName))
+          .forEach(([storeName, options]) => request.result.createObjectStore(storeName, options));
+      };
+      dbPromise = requestToPromise(request);
+    }
+    return dbPromise;
+  };
+
+  const runRequest = async (storeName, mode, makeRequest) => {
+    const db = await openDatabase();
+    return requestToPromise(makeRequest(db.transaction(storeName, mode).objectStore(storeName)));
+  };
+
+  return { runRequest };
+};
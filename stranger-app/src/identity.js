@@ -0,0 +1,153 @@
+/**
+ * Identity - Anonymous names, colors and avatars
+ *
+ * An identity is an adjective, a noun, a color and an avatar style, all picked
+ * from the allow-lists below; `name` and `avatar` are always derived from those
+ * parts and never taken as given. Our own identity is kept per device in
+ * localStorage. A partner's identity arrives through matchmaking and goes
+ * through sanitizeIdentity before any of it is rendered, since `color` ends up
+ * in a className.
+ *
+ * @module identity
+ */
+
+export const IDENTITY_ADJECTIVES = ['Neon', 'Silent', 'Misty', 'Cosmic', 'Urban', 'Hollow', 'Electric', 'Solar', 'Lunar', 'Velvet'];
+export const IDENTITY_NOUNS = ['Fox', 'Storm', 'Echo', 'Ghost', 'Signal', 'Shadow', 'Void', 'Walker', 'Falcon', 'Owl'];
+export const IDENTITY_COLORS = ['text-emerald-400', 'text-blue-400', 'text-amber-400', 'text-rose-400', 'text-purple-400', 'text-cyan-400'];
+export const AVATAR_STYLES = [
+  { id: 'initial', label: 'Initial' },
+  { id: 'monogram', label: 'Monogram' },
+  { id: 'emoji', label: 'Emoji' },
+];
+
+const NOUN_EMOJI = {
+  Fox: '🦊', Storm: '⛈️', Echo: '🔊', Ghost: '👻', Signal: '📡',
+  Shadow: '🌑', Void: '🕳️', Walker: '🚶', Falcon: '🦅', Owl: '🦉',
+};
+
+const STORAGE_KEY = 'stranger-identity';
+
+// Shown for a partner whose identity fails validation; no generated name can clash with it
+const UNKNOWN_IDENTITY = { name: 'Stranger', color: 'text-slate-300', avatar: '?' };
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+const getAvatar = ({ adjective, noun, avatarStyle }) => {
+  if (avatarStyle === 'emoji') return NOUN_EMOJI[noun];
+  if (avatarStyle === 'monogram') return `${adjective.charAt(0)}${noun.charAt(0)}`;
+  return noun.charAt(0);
+};
+
+/**
+ * @param {Object} parts - `{ adjective, noun, color, avatarStyle }`, all from the allow-lists
+ * @returns {Object} Identity with `name` and `avatar` filled in
+ */
+export const buildIdentity = ({ adjective, noun, color, avatarStyle = 'initial' }) => ({
+  adjective,
+  noun,
+  color,
+  avatarStyle,
+  name: `${adjective} ${noun}`,
+  avatar: getAvatar({ adjective, noun, avatarStyle }),
+});
+
+/**
+ * Generates a random anonymous identity
+ *
+ * @param {string} avatarStyle - Kept across rerolls
+ * @returns {Object} Identity object, e.g. `{ name: "Neon Fox", color: "text-rose-400", avatar: "F", ... }`
+ */
+export const generateIdentity = (avatarStyle = 'initial') => buildIdentity({
+  adjective: pick(IDENTITY_ADJECTIVES),
+  noun: pick(IDENTITY_NOUNS),
+  color: pick(IDENTITY_COLORS),
+  avatarStyle,
+});
+
+/**
+ * Checks every part against the allow-lists and rebuilds the identity from them.
+ * Identities from before the parts existed only carry `name`, which is split back up.
+ *
+ * @param {*} raw - Identity as received from a partner or read from storage
+ * @returns {Object|null} A safe identity, or null if any part is not allowed
+ */
+export const validateIdentity = (raw) => {
+  if (!raw || typeof raw !== 'object') return null;
+  const [nameAdjective, nameNoun] = typeof raw.name === 'string' ? raw.name.split(' ') : [];
+  const adjective = raw.adjective ?? nameAdjective;
+  const noun = raw.noun ?? nameNoun;
+  const avatarStyle = raw.avatarStyle ?? 'initial';
+
+  if (!IDENTITY_ADJECTIVES.includes(adjective) || !IDENTITY_NOUNS.includes(noun)) return null;
+  if (!IDENTITY_COLORS.includes(raw.color) || !AVATAR_STYLES.some(({ id }) => id === avatarStyle)) return null;
+  return buildIdentity({ adjective, noun, color: raw.color, avatarStyle });
+};
+
+/**
+ * @param {*} raw - Partner identity from matchmaking
+ * @returns {Object} The validated identity, or a neutral "Stranger" placeholder
+ */
+export const sanitizeIdentity = (raw) => validateIdentity(raw) ?? UNKNOWN_IDENTITY;
+
+/**
+ * @returns {Object} This device's saved identity, or a new one that is saved right away
+ */
+export const loadIdentity = () => {
+  try {
+    const saved = validateIdentity(JSON.parse(localStorage.getItem(STORAGE_KEY)));
+    if (saved) return saved;
+  } catch {
+    // Unreadable; replaced below
+  }
+  const identity = generateIdentity();
+  saveIdentity(identity);
+  return identity;
+};
+
+export const saveIdentity = (identity) => {
+  const { adjective, noun, color, avatarStyle } = identity;
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ adjective, noun, color, avatarStyle }));
+};
+
+/**
+ * Two strangers can pick the same name. Both sides run this with the same
+ * inputs, so they agree on who gets renamed: the member whose uid sorts last
+ * moves on to the next adjective for this chat only.
+ *
+ * @param {Object} mine - Our identity
+ * @param {string} myUid
+ * @param {Object} theirs - The partner's sanitized identity
+ * @param {string} theirUid
+ * @returns {{mine: Object, theirs: Object}} Identities to use in this room
+ */
+const renameIdentity = (identity) => buildIdentity({
+  ...identity,
+  adjective: IDENTITY_ADJECTIVES[(IDENTITY_ADJECTIVES.indexOf(identity.adjective) + 1) % IDENTITY_ADJECTIVES.length],
+});
+
+export const resolveNameClash = (mine, myUid, theirs, theirUid) => {
+  if (mine.name !== theirs.name) return { mine, theirs };
+  return myUid > theirUid ? { mine: renameIdentity(mine), theirs } : { mine, theirs: renameIdentity(theirs) };
+};
+
+/**
+ * resolveNameClash for a whole circle: members keep their names in uid order,
+ * and each later clash moves on through the adjectives until the name is free.
+ * The placeholder for an invalid identity is never renamed.
+ *
+ * @param {Array<{uid: string, identity: Object}>} members - Everyone in the circle, us included, sanitized
+ * @returns {Object} Identity to use in this room, keyed by uid
+ */
+export const resolveCircleNames = (members) => {
+  const taken = new Set();
+  const names = {};
+  [...members].sort((a, b) => (a.uid < b.uid ? -1 : 1)).forEach(({ uid, identity }) => {
+    let resolved = identity;
+    for (let i = 0; resolved.adjective && taken.has(resolved.name) && i < IDENTITY_ADJECTIVES.length; i++) {
+      resolved = renameIdentity(resolved);
+    }
+    taken.add(resolved.name);
+    names[uid] = resolved;
+  });
+  return names;
+};
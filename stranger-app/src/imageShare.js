@@ -0,0 +1,87 @@
+/**
+ * Image Share - Prepares photos before they leave the device
+ *
+ * Every picked image is decoded, drawn onto a canvas and re-encoded as JPEG.
+ * A canvas only holds pixels, so EXIF metadata (GPS position, camera model,
+ * capture time) never reaches the output, and large photos are scaled down to
+ * MAX_IMAGE_DIMENSION on the way. The result is then encrypted with the room
+ * key (see e2ee.js) before it is uploaded.
+ *
+ * @module imageShare
+ */
+
+export const MAX_IMAGE_DIMENSION = 1280;
+export const MAX_IMAGE_BYTES = 1024 * 1024;
+const JPEG_QUALITY = 0.82;
+const MIN_JPEG_QUALITY = 0.4;
+const IMAGE_TYPE = 'image/jpeg';
+
+// Spreading a whole image into String.fromCharCode overflows the call stack, so go in chunks
+const BASE64_CHUNK = 0x8000;
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string}
+ */
+export const bytesToBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += BASE64_CHUNK) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + BASE64_CHUNK));
+  }
+  return btoa(binary);
+};
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export const base64ToBytes = (text) => Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+
+/**
+ * @param {Uint8Array} bytes
+ * @param {string} type - MIME type
+ * @returns {string} data: URL, used to keep images inside a saved memory
+ */
+export const bytesToDataUrl = (bytes, type = IMAGE_TYPE) => `data:${type};base64,${bytesToBase64(bytes)}`;
+
+const canvasToBlob = (canvas, quality) => new Promise((resolve) => canvas.toBlob(resolve, IMAGE_TYPE, quality));
+
+/**
+ * Resizes, compresses and strips a picked file
+ *
+ * @param {File} file - From an `<input type="file">`
+ * @returns {Promise<{bytes: Uint8Array, type: string, width: number, height: number}>}
+ *   Rejects when the file is not a readable image or stays over MAX_IMAGE_BYTES
+ */
+export const prepareImage = async (file) => {
+  if (!file.type.startsWith('image/')) throw new Error("That file is not an image.");
+
+  // Phones store rotation in EXIF; apply it now, since the tag itself is about to be dropped
+  const bitmap = await createImageBitmap(file, { imageOrientation: 'from-image' }).catch(() => {
+    throw new Error("That image could not be read.");
+  });
+  const scale = Math.min(1, MAX_IMAGE_DIMENSION / Math.max(bitmap.width, bitmap.height));
+  const width = Math.round(bitmap.width * scale);
+  const height = Math.round(bitmap.height * scale);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const context = canvas.getContext('2d');
+  // JPEG has no transparency; give see-through PNGs a white background instead of black
+  context.fillStyle = '#fff';
+  context.fillRect(0, 0, width, height);
+  context.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+
+  let quality = JPEG_QUALITY;
+  let blob = await canvasToBlob(canvas, quality);
+  while (blob && blob.size > MAX_IMAGE_BYTES && quality > MIN_JPEG_QUALITY) {
+    quality -= 0.15;
+    blob = await canvasToBlob(canvas, quality);
+  }
+  if (!blob) throw new Error("That image could not be read.");
+  if (blob.size > MAX_IMAGE_BYTES) throw new Error("That image is too large to send.");
+
+  return { bytes: new Uint8Array(await blob.arrayBuffer()), type: IMAGE_TYPE, width, height };
+};
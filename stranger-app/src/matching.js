@@ -0,0 +1,106 @@
+/**
+ * Matching - Pure helpers shared by every chat backend
+ *
+ * Runs unchanged in the browser (Firebase adapter) and in Node (server/index.js),
+ * so it must not touch `import.meta.env`, the DOM or any backend SDK.
+ *
+ * @module matching
+ */
+
+/**
+ * Creates a consistent room ID from two user IDs
+ * Ensures both users reference the same room regardless of ID order
+ *
+ * @param {string} userId1 - First user's UID
+ * @param {string} userId2 - Second user's UID
+ * @returns {string} Deterministic room ID in format "room_[id1]_[id2]"
+ */
+export const createRoomId = (userId1, userId2) => {
+  const [id1, id2] = [userId1, userId2].sort();
+  return `room_${id1}_${id2}`;
+};
+
+/**
+ * @param {Array<string>} mine
+ * @param {Array<string>} theirs
+ * @returns {Array<string>} Tags in both lists, in our order
+ */
+export const getSharedInterests = (mine = [], theirs = []) => mine.filter((tag) => theirs.includes(tag));
+
+export const isLanguageCompatible = (a, b) => !a || !b || a === 'any' || b === 'any' || a === b;
+
+/**
+ * Higher is better; null means the candidate is not acceptable until the search widens.
+ * Someone with no interests picked is happy to talk about anything.
+ *
+ * @param {Object} entry - Candidate `{ interests, language }`
+ * @param {Object} preferences - Searcher's `{ interests, language }`
+ * @param {boolean} widened - Whether the searcher has waited long enough to take anyone
+ * @returns {number|null}
+ */
+export const scoreCandidate = (entry, preferences, widened) => {
+  const shared = getSharedInterests(preferences.interests, entry.interests).length;
+  const languageMatch = isLanguageCompatible(preferences.language, entry.language);
+  const hasTags = preferences.interests.length > 0 && (entry.interests?.length ?? 0) > 0;
+
+  if (!widened && (!languageMatch || (hasTags && shared === 0))) return null;
+  return shared * 2 + (languageMatch ? 1 : 0);
+};
+
+/**
+ * Drops unacceptable candidates and sorts the rest best first
+ *
+ * @param {Array} candidates - Backend-specific candidates, e.g. pool entry snapshots
+ * @param {Object} preferences - Searcher's `{ interests, language }`
+ * @param {boolean} widened
+ * @param {Function} getEntry - Reads `{ interests, language }` from a candidate
+ * @param {Function} compare - Tie-breaker between equally scored candidates, usually oldest first
+ * @returns {Array} The acceptable candidates
+ */
+export const rankCandidates = (candidates, preferences, widened, getEntry, compare) => candidates
+  .map((candidate) => ({ candidate, score: scoreCandidate(getEntry(candidate), preferences, widened) }))
+  .filter(({ score }) => score !== null)
+  .sort((a, b) => b.score - a.score || compare(a.candidate, b.candidate))
+  .map(({ candidate }) => candidate);
+
+/**
+ * Keeps recent partners out of a search until it widens, and even then behind
+ * everyone else, so skipping someone does not pair the same two people again
+ * while anybody new is waiting
+ *
+ * @param {Array} ranked - Output of rankCandidates
+ * @param {Function} isRecentPartner - Reads a candidate and says whether we just talked to them
+ * @param {boolean} widened
+ * @returns {Array}
+ */
+export const preferNewPartners = (ranked, isRecentPartner, widened) => {
+  const fresh = ranked.filter((candidate) => !isRecentPartner(candidate));
+  return widened ? [...fresh, ...ranked.filter((candidate) => isRecentPartner(candidate))] : fresh;
+};
+
+// ====================================
+// CIRCLES
+// ====================================
+// A circle gathers CIRCLE_SIZES strangers before it opens. Its members change
+// as people leave, so unlike a pair room its id is random rather than derived.
+export const CIRCLE_SIZES = [3, 4, 5, 6];
+
+/**
+ * @returns {string} New circle room id in format "circle_[uuid]"
+ */
+export const createCircleId = () => `circle_${crypto.randomUUID()}`;
+
+export const isCircleSize = (size) => CIRCLE_SIZES.includes(size);
+
+// ====================================
+// CONTACTS
+// ====================================
+// Two strangers who both chose "keep in touch" get a room of their own that
+// outlives the chat. It hangs off their pair room's id, so the same two people
+// only ever have one contact room.
+
+/**
+ * @param {string} roomId - The pair room both opted in from
+ * @returns {string} Contact room id in format "contact_[pair room id]"
+ */
+export const createContactId = (roomId) => `contact_${roomId}`;
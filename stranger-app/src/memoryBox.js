@@ -0,0 +1,120 @@
+/**
+ * Memory Box Storage - Encrypted, device-local chat memories
+ *
+ * Saved chats live in IndexedDB so they survive reloads and sign-outs (a new
+ * anonymous uid still sees the same Memory Box). Every record is AES-GCM
+ * encrypted with a non-extractable device key generated in this browser, so
+ * nothing readable is kept at rest and nothing is ever sent to a server.
+ *
+ * @module memoryBox
+ */
+
+import { createIdbStore } from './idbStore';
+
+const DB_NAME = 'stranger-memory-box';
+const DB_VERSION = 1;
+const MEMORY_STORE = 'memories';
+const KEY_STORE = 'keys';
+const DEVICE_KEY_ID = 'device';
+
+const { runRequest } = createIdbStore({
+  name: DB_NAME,
+  version: DB_VERSION,
+  stores: { [MEMORY_STORE]: { keyPath: 'id' }, [KEY_STORE]: {} }
+});
+
+let deviceKeyPromise = null;
+const getDeviceKey = () => {
+  if (!deviceKeyPromise) {
+    deviceKeyPromise = (async () => {
+      const existing = await runRequest(KEY_STORE, 'readonly', (store) => store.get(DEVICE_KEY_ID));
+      if (existing) return existing;
+
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      try {
+        // `add` fails if another tab stored its key first; use theirs in that case
+        await runRequest(KEY_STORE, 'readwrite', (store) => store.add(key, DEVICE_KEY_ID));
+        return key;
+      } catch {
+        return runRequest(KEY_STORE, 'readonly', (store) => store.get(DEVICE_KEY_ID));
+      }
+    })();
+    deviceKeyPromise.catch(() => { deviceKeyPromise = null; });
+  }
+  return deviceKeyPromise;
+};
+
+// Firestore Timestamps and Dates are flattened to epoch millis before encrypting
+const serialize = (memory) => JSON.stringify(memory, function (key, value) {
+  const raw = this[key];
+  if (raw && typeof raw.toMillis === 'function') return raw.toMillis();
+  if (raw instanceof Date) return raw.getTime();
+  return value;
+});
+
+const encryptMemory = async (memory) => {
+  const key = await getDeviceKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(serialize(memory)));
+  return { id: memory.id, iv, data };
+};
+
+const decryptMemory = async (record) => {
+  const key = await getDeviceKey();
+  const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: record.iv }, key, record.data);
+  return JSON.parse(new TextDecoder().decode(plain));
+};
+
+/**
+ * Orders memories for display: pinned first, then newest first
+ *
+ * @param {Array} memories
+ * @returns {Array} A new, sorted array
+ */
+export const sortMemories = (memories) => [...memories].sort((a, b) => {
+  if (!!a.pinned !== !!b.pinned) return a.pinned ? -1 : 1;
+  return (b.timestamp ?? b.id) - (a.timestamp ?? a.id);
+});
+
+/**
+ * Loads and decrypts every memory on this device
+ * Records that cannot be decrypted (e.g. after a wipe in another tab) are skipped
+ *
+ * @returns {Promise<Array>} Sorted memories
+ */
+export const loadMemories = async () => {
+  const records = await runRequest(MEMORY_STORE, 'readonly', (store) => store.getAll());
+  const memories = await Promise.all(records.map((record) => decryptMemory(record).catch((err) => {
+    console.error("❌ Could not decrypt memory:", record.id, err);
+    return null;
+  })));
+  return sortMemories(memories.filter(Boolean));
+};
+
+/**
+ * Encrypts and stores a memory, replacing any existing one with the same id
+ *
+ * @param {Object} memory - Chat memory as built by ChatRoom
+ * @returns {Promise<void>}
+ */
+export const saveMemory = async (memory) => {
+  const record = await encryptMemory(memory);
+  await runRequest(MEMORY_STORE, 'readwrite', (store) => store.put(record));
+};
+
+/**
+ * @param {number} id - Memory id
+ * @returns {Promise<void>}
+ */
+export const deleteMemory = (id) => runRequest(MEMORY_STORE, 'readwrite', (store) => store.delete(id));
+
+/**
+ * Deletes every memory and the device key itself, so nothing left behind can be decrypted
+ *
+ * @returns {Promise<void>}
+ */
+export const wipeMemories = async () => {
+  await runRequest(MEMORY_STORE, 'readwrite', (store) => store.clear());
+  await runRequest(KEY_STORE, 'readwrite', (store) => store.clear());
+  deviceKeyPromise = null;
+};
@@ -0,0 +1,302 @@
+/**
+ * Memory Export - Takes Memory Box chats out of the app and back in
+ *
+ * Exports are plain files written in this browser: JSON (the only format that
+ * can be imported again), Markdown, or a self-contained HTML page with inline
+ * styles and images. Nothing is uploaded. The JSON envelope is versioned:
+ *
+ *   { schema: 'stranger-memory-box', version: 1, exportedAt, memories: [...] }
+ *
+ * Imports are validated and rebuilt field by field, so a hand-edited or
+ * foreign file can only ever produce well-formed memories.
+ *
+ * @module memoryExport
+ */
+
+export const EXPORT_SCHEMA = 'stranger-memory-box';
+export const EXPORT_VERSION = 1;
+export const EXPORT_FORMATS = [
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json' },
+  { id: 'markdown', label: 'Markdown', extension: 'md', mimeType: 'text/markdown' },
+  { id: 'html', label: 'HTML page', extension: 'html', mimeType: 'text/html' },
+];
+
+const ANONYMOUS_UID = 'me';
+const ANONYMOUS_NAME = 'Me';
+const FALLBACK_COLOR = 'text-slate-300';
+// Identity colors end up in a className, so only plain Tailwind text colors are accepted
+const COLOR_PATTERN = /^text-[a-z]+-\d{3}$/;
+const IMAGE_DATA_URL_PATTERN = /^data:image\/(jpeg|png|webp|gif);base64,[A-Za-z0-9+/=]+$/;
+
+// Memories saved by older versions may still hold Dates or Firestore Timestamps
+const toMs = (value) => {
+  if (typeof value === 'number') return value;
+  if (value instanceof Date) return value.getTime();
+  return value?.toMillis?.() ?? null;
+};
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : '');
+
+// ====================================
+// EXPORT
+// ====================================
+const toExportMessage = (msg) => ({
+  id: String(msg.id),
+  senderId: msg.senderId,
+  senderName: msg.senderName ?? null,
+  text: msg.text ?? null,
+  timestamp: toMs(msg.timestamp),
+  replyToId: msg.replyToId ?? null,
+  reactions: msg.reactions ?? {},
+  editedAt: toMs(msg.editedAt),
+  image: msg.image?.dataUrl ? { width: msg.image.width, height: msg.image.height, dataUrl: msg.image.dataUrl } : null,
+});
+
+/**
+ * @param {Object} memory - As stored in the Memory Box
+ * @param {string} fallbackUid - Our uid, for memories saved before `myUid` was recorded
+ * @returns {Object} The memory in export shape
+ */
+const toExportMemory = (memory, fallbackUid) => ({
+  id: memory.id,
+  title: memory.title ?? null,
+  pinned: !!memory.pinned,
+  date: memory.date ?? null,
+  timestamp: toMs(memory.timestamp) ?? memory.id,
+  myUid: memory.myUid ?? fallbackUid,
+  partner: { name: memory.partner.name, color: memory.partner.color, avatar: memory.partner.avatar },
+  circleSize: memory.circleSize ?? null,
+  lastMessage: memory.lastMessage ?? null,
+  messages: (memory.messages ?? []).map(toExportMessage),
+});
+
+// Our uid and name are replaced everywhere they appear, including reaction keys
+const anonymizeMemory = (memory) => {
+  const rename = (uid) => (uid === memory.myUid ? ANONYMOUS_UID : uid);
+  return {
+    ...memory,
+    myUid: ANONYMOUS_UID,
+    messages: memory.messages.map((msg) => ({
+      ...msg,
+      senderId: rename(msg.senderId),
+      senderName: msg.senderId === memory.myUid ? ANONYMOUS_NAME : msg.senderName,
+      reactions: Object.fromEntries(Object.entries(msg.reactions).map(([uid, emoji]) => [rename(uid), emoji])),
+    })),
+  };
+};
+
+const senderLabel = (memory, msg) => (msg.senderId === memory.myUid ? msg.senderName ?? ANONYMOUS_NAME : msg.senderName ?? memory.partner.name);
+
+const quoteText = (memory, msg) => {
+  const original = memory.messages.find((m) => m.id === msg.replyToId);
+  if (!original) return "Original message unavailable";
+  return `${senderLabel(memory, original)}: ${original.text || (original.image ? "Photo" : "")}`;
+};
+
+const reactionText = (msg) => Object.values(msg.reactions).join(' ');
+
+const toMarkdown = (memories) => memories.map((memory) => {
+  const lines = [
+    `# ${memory.title || memory.partner.name}`,
+    '',
+    `_Chat with ${memory.partner.name} · ${formatTime(memory.timestamp)}_`,
+    '',
+  ];
+  memory.messages.forEach((msg) => {
+    lines.push(`**${senderLabel(memory, msg)}** · ${formatTime(msg.timestamp)}${msg.editedAt ? ' · edited' : ''}  `);
+    if (msg.replyToId) lines.push(`> ${quoteText(memory, msg)}  `);
+    if (msg.image) lines.push(`![Shared image](${msg.image.dataUrl})  `);
+    if (msg.text) lines.push(msg.text.split('\n').join('  \n'));
+    if (reactionText(msg)) lines.push(`_${reactionText(msg)}_`);
+    lines.push('');
+  });
+  return lines.join('\n');
+}).join('\n---\n\n');
+
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, (c) => (
+  { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]
+));
+
+const HTML_STYLE = `
+  body { margin: 0; padding: 24px; background: #020617; color: #e2e8f0; font: 14px/1.5 system-ui, sans-serif; }
+  section { max-width: 640px; margin: 0 auto 48px; }
+  h1 { font-size: 20px; margin: 0; }
+  .meta { color: #64748b; font-size: 12px; margin-bottom: 16px; }
+  .msg { max-width: 85%; margin: 8px 0; padding: 10px 14px; border-radius: 16px; background: #1e293b; white-space: pre-wrap; }
+  .mine { margin-left: auto; background: #312e81; }
+  .sender { font-size: 11px; font-weight: bold; color: #94a3b8; }
+  .quote { border-left: 2px solid #64748b; padding-left: 8px; font-size: 12px; opacity: 0.75; margin-bottom: 4px; }
+  .foot { font-size: 10px; color: #94a3b8; text-align: right; }
+  img { display: block; max-width: 240px; border-radius: 8px; margin-bottom: 4px; }
+`;
+
+const toHtml = (memories) => {
+  const sections = memories.map((memory) => {
+    const bubbles = memory.messages.map((msg) => `
+    <div class="msg${msg.senderId === memory.myUid ? ' mine' : ''}">
+      <div class="sender">${escapeHtml(senderLabel(memory, msg))}</div>
+      ${msg.replyToId ? `<div class="quote">${escapeHtml(quoteText(memory, msg))}</div>` : ''}
+      ${msg.image ? `<img src="${escapeHtml(msg.image.dataUrl)}" alt="Shared image">` : ''}
+      ${msg.text ? `<div>${escapeHtml(msg.text)}</div>` : ''}
+      <div class="foot">${escapeHtml([reactionText(msg), msg.editedAt ? 'edited' : '', formatTime(msg.timestamp)].filter(Boolean).join(' · '))}</div>
+    </div>`).join('');
+
+    return `
+  <section>
+    <h1>${escapeHtml(memory.title || memory.partner.name)}</h1>
+    <div class="meta">Chat with ${escapeHtml(memory.partner.name)} · ${escapeHtml(formatTime(memory.timestamp))}</div>${bubbles}
+  </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Stranger Memory Box</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>${sections}
+</body>
+</html>
+`;
+};
+
+/**
+ * Builds an export file for one or more memories
+ *
+ * @param {Array} memories - Memories as stored in the Memory Box
+ * @param {string} formatId - 'json' | 'markdown' | 'html'
+ * @param {Object} options
+ * @param {string} options.myUid - Our current uid, for memories that predate `myUid`
+ * @param {boolean} options.anonymize - Replace our uid and name with "me" / "Me"
+ * @returns {{filename: string, mimeType: string, content: string}}
+ */
+export const buildExport = (memories, formatId, { myUid, anonymize = false }) => {
+  const format = EXPORT_FORMATS.find(({ id }) => id === formatId);
+  if (!format) throw new Error(`Unknown export format: ${formatId}`);
+
+  const prepared = memories
+    .map((memory) => toExportMemory(memory, myUid))
+    .map((memory) => (anonymize ? anonymizeMemory(memory) : memory));
+
+  const content = {
+    json: () => JSON.stringify({ schema: EXPORT_SCHEMA, version: EXPORT_VERSION, exportedAt: Date.now(), memories: prepared }, null, 2),
+    markdown: () => toMarkdown(prepared),
+    html: () => toHtml(prepared),
+  }[format.id]();
+
+  const stem = memories.length === 1
+    ? `stranger-chat-${(memories[0].title || memories[0].partner.name).replace(/[^a-z0-9]+/gi, '-').toLowerCase()}`
+    : `stranger-memory-box-${new Date().toISOString().slice(0, 10)}`;
+
+  return { filename: `${stem}.${format.extension}`, mimeType: format.mimeType, content };
+};
+
+/**
+ * Hands a built export to the browser as a download
+ *
+ * @param {{filename: string, mimeType: string, content: string}} file
+ */
+export const downloadExport = ({ filename, mimeType, content }) => {
+  const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// ====================================
+// IMPORT
+// ====================================
+const fail = (reason) => {
+  throw new Error(`Not a valid Memory Box export: ${reason}.`);
+};
+
+const optionalString = (value, field) => {
+  if (value == null) return null;
+  if (typeof value !== 'string') fail(`${field} must be text`);
+  return value;
+};
+
+const optionalTime = (value, field) => {
+  if (value == null) return null;
+  if (!Number.isFinite(value)) fail(`${field} must be a timestamp`);
+  return value;
+};
+
+const parseImage = (image) => {
+  if (image == null) return null;
+  if (!IMAGE_DATA_URL_PATTERN.test(image.dataUrl ?? '') || !(image.width > 0) || !(image.height > 0)) fail("an image is malformed");
+  return { width: image.width, height: image.height, dataUrl: image.dataUrl };
+};
+
+const parseReactions = (reactions) => {
+  if (reactions == null) return {};
+  if (typeof reactions !== 'object' || Array.isArray(reactions)) fail("reactions must be an object");
+  return Object.fromEntries(Object.entries(reactions).filter(([, emoji]) => typeof emoji === 'string' && emoji.length <= 16));
+};
+
+const parseMessage = (msg, index) => {
+  if (!msg || typeof msg !== 'object') fail(`message ${index + 1} is not an object`);
+  if (typeof msg.senderId !== 'string' || !msg.senderId) fail(`message ${index + 1} has no sender`);
+  return {
+    id: msg.id == null ? `imported-${index}` : String(msg.id),
+    senderId: msg.senderId,
+    senderName: optionalString(msg.senderName, 'senderName'),
+    text: optionalString(msg.text, 'text'),
+    timestamp: optionalTime(msg.timestamp, 'timestamp'),
+    replyToId: msg.replyToId == null ? null : String(msg.replyToId),
+    reactions: parseReactions(msg.reactions),
+    editedAt: optionalTime(msg.editedAt, 'editedAt'),
+    image: parseImage(msg.image),
+  };
+};
+
+const parseMemory = (memory, index) => {
+  if (!memory || typeof memory !== 'object') fail(`chat ${index + 1} is not an object`);
+  if (!Number.isFinite(memory.id)) fail(`chat ${index + 1} has no id`);
+  if (typeof memory.partner?.name !== 'string') fail(`chat ${index + 1} has no partner`);
+  if (!Array.isArray(memory.messages)) fail(`chat ${index + 1} has no messages`);
+
+  const messages = memory.messages.map(parseMessage);
+  return {
+    id: memory.id,
+    title: optionalString(memory.title, 'title'),
+    pinned: !!memory.pinned,
+    date: optionalString(memory.date, 'date') ?? new Date(memory.timestamp ?? memory.id).toLocaleDateString(),
+    timestamp: optionalTime(memory.timestamp, 'timestamp') ?? memory.id,
+    myUid: optionalString(memory.myUid, 'myUid'),
+    partner: {
+      name: memory.partner.name,
+      color: COLOR_PATTERN.test(memory.partner.color ?? '') ? memory.partner.color : FALLBACK_COLOR,
+      avatar: (optionalString(memory.partner.avatar, 'avatar') ?? memory.partner.name).slice(0, 1),
+    },
+    circleSize: Number.isInteger(memory.circleSize) ? memory.circleSize : null,
+    messages,
+    lastMessage: messages.filter((msg) => msg.text).at(-1)?.text || "No messages",
+  };
+};
+
+/**
+ * Validates a JSON export and rebuilds its memories
+ *
+ * @param {string} text - File contents
+ * @returns {Array} Memories ready for saveMemory
+ * @throws {Error} With a readable reason when the file is not a usable export
+ */
+export const parseMemoryExport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    fail("the file is not JSON");
+  }
+  if (data?.schema !== EXPORT_SCHEMA) fail("the file is not a Memory Box export");
+  if (!Number.isInteger(data.version) || data.version < 1) fail("the version is missing");
+  if (data.version > EXPORT_VERSION) fail(`it was made by a newer version of the app (v${data.version})`);
+  if (!Array.isArray(data.memories)) fail("it has no chats");
+
+  return data.memories.map(parseMemory);
+};
@@ -0,0 +1,182 @@
+/**
+ * Message Filter - Client-side safety checks for chat text
+ *
+ * Two independent pieces:
+ * - A pluggable PII pipeline that runs on the sender's side before a message is
+ *   written. Each rule finds spans (emails, phone numbers, URLs, social handles)
+ *   so the sender can choose to redact them or send anyway.
+ * - A profanity masker that runs on the receiver's side at render time, so the
+ *   original text is untouched and "show filtered content" can reveal it.
+ *
+ * A rule is `{ id, label, find(text) => [{ start, end }] }`; pass extra rules to
+ * `createMessageFilter` to extend the pipeline.
+ *
+ * @module messageFilter
+ */
+
+const collectMatches = (regex, text, accept = () => true) => {
+  const spans = [];
+  for (const match of text.matchAll(regex)) {
+    if (accept(match)) spans.push({ start: match.index, end: match.index + match[0].length });
+  }
+  return spans;
+};
+
+const countDigits = (value) => (value.match(/\d/g) || []).length;
+
+const SOCIAL_PLATFORMS = 'ig|insta(?:gram)?|snap(?:chat)?|discord|telegram|whatsapp|tiktok|twitter|kik|reddit';
+const MAIL_PROVIDERS = /^(?:g(?:oogle)?mail|yahoo|hotmail|outlook|live|msn|icloud|me|aol|proton(?:mail)?|pm|gmx|yandex|mail)$/i;
+
+// An address-like local part has a digit or one of . _ + - in it ("neon.fox", "fox99")
+const looksLikeAddress = (local) => /[\d._+-]/.test(local);
+
+// Real phone groupings only, so dates, times, prices and version numbers stay out
+const PHONE_PATTERNS = [
+  // +44 20 7946 0958, +1 (555) 123-4567; the + is a strong enough sign for any grouping
+  { regex: /(?<![\w+])\+\d[\d\s().-]{6,}\d(?!\d)/g, digits: [8, 15] },
+  // (555) 123-4567, 555.123.4567, 1-555-123-4567, 5551234567
+  { regex: /(?<![\d.-])(?:1[\s.-]?)?(?:\(\d{3}\)\s?|\d{3}[\s.-]?)\d{3}[\s.-]?\d{4}(?![\d.-]?\d)/g },
+  // National numbers with a trunk 0: 020 7946 0958, 07700 900123, 0412 345 678
+  { regex: /(?<![\d.-])0\d{2,4}[\s.-]?\d{3,4}[\s.-]?\d{3,4}(?![\d.-]?\d)/g, digits: [10, 11] },
+  // Local numbers: 555-1234
+  { regex: /(?<![\d.-])\d{3}[.-]\d{4}(?![\d.-]?\d)/g },
+];
+
+export const PII_RULES = [
+  {
+    id: 'email',
+    label: 'email address',
+    find: (text) => [
+      ...collectMatches(/[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi, text),
+      // "name (at) gmail (dot) com": the brackets are there to dodge filters, so any name counts
+      ...collectMatches(/\b[\w.+-]+\s*(?:\(at\)|\[at\])\s*[\w-]+\s*(?:\(dot\)|\[dot\]|\sdot\s|\.)\s*[a-z]{2,}\b/gi, text),
+      // "fox99 at mydomain dot net", "name at gmail dot com"; plain words around
+      // "at" and "dot" need an address-like name or a known provider, so
+      // "I am at home dot now" stays clean
+      ...collectMatches(/\b([\w.+-]+)\s+at\s+([\w-]+)\s+dot\s+[a-z]{2,}\b/gi, text,
+        ([, local, domain]) => looksLikeAddress(local) || MAIL_PROVIDERS.test(domain)),
+    ],
+  },
+  {
+    id: 'phone',
+    label: 'phone number',
+    find: (text) => PHONE_PATTERNS.flatMap(({ regex, digits: [min, max] = [0, Infinity] }) =>
+      collectMatches(regex, text, ([match]) => {
+        const digits = countDigits(match);
+        return digits >= min && digits <= max;
+      })),
+  },
+  {
+    id: 'url',
+    label: 'link',
+    find: (text) => [
+      ...collectMatches(/\b(?:https?:\/\/|www\.)[^\s]+/gi, text),
+      ...collectMatches(/\b[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|me|gg|co|app|ly|xyz|link|tv|info|dev)\b(?:\/[^\s]*)?/gi, text),
+    ],
+  },
+  {
+    id: 'handle',
+    label: 'social handle',
+    find: (text) => [
+      // @name, but not the middle of an email address
+      ...collectMatches(/(?<![\w@.])@[A-Za-z0-9_.]{2,30}/g, text),
+      // "ig: name", "snap - name", "discord @name#1234"
+      ...collectMatches(new RegExp(`\\b(?:${SOCIAL_PLATFORMS})\\s*(?:[:=-]\\s*@?|@)[A-Za-z0-9_.#]{3,32}`, 'gi'), text),
+    ],
+  },
+];
+
+// Overlapping findings collapse into the earliest, longest span
+const mergeFindings = (findings) => {
+  const sorted = [...findings].sort((a, b) => a.start - b.start || b.end - a.end);
+  return sorted.reduce((merged, finding) => {
+    const last = merged[merged.length - 1];
+    if (last && finding.start < last.end) {
+      last.end = Math.max(last.end, finding.end);
+      return merged;
+    }
+    merged.push({ ...finding });
+    return merged;
+  }, []);
+};
+
+/**
+ * @param {Object} [options]
+ * @param {Array} [options.rules] - Rules to run, defaults to PII_RULES
+ * @returns {{ scan: Function, redact: Function }}
+ */
+export const createMessageFilter = ({ rules = PII_RULES } = {}) => {
+  /**
+   * @param {string} text
+   * @returns {Array<{ruleId: string, label: string, start: number, end: number, match: string}>}
+   */
+  const scan = (text) => mergeFindings(rules.flatMap((rule) =>
+    rule.find(text).map((span) => ({ ...span, ruleId: rule.id, label: rule.label }))
+  )).map((finding) => ({ ...finding, match: text.slice(finding.start, finding.end) }));
+
+  /**
+   * @param {string} text
+   * @param {Array} [findings] - Result of `scan`, computed when omitted
+   * @returns {string} Text with every finding replaced by a "[label removed]" marker
+   */
+  const redact = (text, findings = scan(text)) => [...findings]
+    .sort((a, b) => b.start - a.start)
+    .reduce((result, { start, end, label }) => `${result.slice(0, start)}[${label} removed]${result.slice(end)}`, text);
+
+  return { scan, redact };
+};
+
+export const DEFAULT_PROFANITY_WORDS = [
+  'fuck', 'fucking', 'fucker', 'motherfucker', 'shit', 'bullshit', 'bitch', 'asshole', 'bastard',
+  'dick', 'cunt', 'whore', 'slut', 'wanker', 'twat', 'prick', 'cock', 'pussy', 'retard',
+];
+
+// Common look-alike characters; every substitution is one character for one,
+// so positions in the normalized text line up with the original
+const LOOKALIKES = { '0': 'o', '1': 'i', '!': 'i', '3': 'e', '4': 'a', '@': 'a', '5': 's', '$': 's', '7': 't' };
+const normalize = (text) => Array.from(text.toLowerCase(), (c) => (c.length === 1 ? LOOKALIKES[c] ?? c : c)).join('');
+
+const escapeRegExp = (word) => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "f u c k", "f.u.c.k": letters of a word split up one by one. A spelled-out run
+// only counts as a whole, so "i t w a t c h" is not read as "twat"
+const SEPARATOR = '[\\s._-]+';
+const spacedPattern = (words) => {
+  const spaced = words.filter((w) => /^[a-z]{3,}$/.test(w)).map((w) => [...w].join(SEPARATOR));
+  if (spaced.length === 0) return null;
+  return `(?<![a-z])(?<!(?<![a-z])[a-z]${SEPARATOR})(?:${spaced.join('|')})(?![a-z])(?!${SEPARATOR}[a-z](?![a-z]))`;
+};
+
+/**
+ * @param {Array<string>} words - Words to mask, matched case-insensitively as whole words,
+ *   also when spelled out letter by letter
+ * @returns {{ mask: Function }} `mask(text)` resolves to `{ text, masked }`
+ */
+export const createProfanityMasker = (words) => {
+  const list = [...new Set(words.map((w) => w.trim().toLowerCase()).filter(Boolean))];
+  if (list.length === 0) return { mask: (text) => ({ text, masked: false }) };
+
+  const pattern = new RegExp(
+    [`(?<![a-z])(?:${list.map(escapeRegExp).join('|')})(?![a-z])`, spacedPattern(list)].filter(Boolean).join('|'),
+    'g'
+  );
+
+  const mask = (text) => {
+    if (!text) return { text, masked: false };
+    const normalized = normalize(text);
+    // Bail out on the rare characters whose lowercase form changes length
+    if (normalized.length !== text.length) return { text, masked: false };
+
+    let masked = false;
+    let result = text;
+    for (const match of normalized.matchAll(pattern)) {
+      masked = true;
+      const { index } = match;
+      const length = match[0].length;
+      result = `${result.slice(0, index)}${result[index]}${'*'.repeat(length - 1)}${result.slice(index + length)}`;
+    }
+    return { text: result, masked };
+  };
+
+  return { mask };
+};
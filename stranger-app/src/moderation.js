@@ -0,0 +1,53 @@
+/**
+ * Moderation - Bans and the numbers behind the moderator console
+ *
+ * A ban is `{ until, reason, bannedBy, createdAt }`, keyed by the banned uid;
+ * `until` is epoch millis, or null for a ban that never runs out. While a ban
+ * is in force the backends turn the uid away from matchmaking and reject its
+ * messages (firestore.rules and server/index.js), and the app says why.
+ *
+ * Moderators are uids with a `moderator` custom claim or an entry in the
+ * allow-list (`moderators/{uid}` in Firestore, see scripts/set-moderator.js;
+ * MODERATOR_UIDS or MODERATORS_FILE for the self-hosted server).
+ *
+ * Plain module with no browser globals, so server/index.js can import it.
+ *
+ * @module moderation
+ */
+
+export const BAN_DURATIONS = [
+  { id: '1h', label: '1 hour', ms: 60 * 60 * 1000 },
+  { id: '24h', label: '24 hours', ms: 24 * 60 * 60 * 1000 },
+  { id: '7d', label: '7 days', ms: 7 * 24 * 60 * 60 * 1000 },
+  { id: 'permanent', label: 'Permanent', ms: null },
+];
+
+// The console's live stats refresh this often; messages are counted over the last minute
+export const MODERATION_STATS_INTERVAL_MS = 10000;
+export const MESSAGE_RATE_WINDOW_MS = 60 * 1000;
+
+const MAX_BAN_REASON_LENGTH = 200;
+
+/**
+ * @param {Object|null} ban
+ * @param {number} now
+ * @returns {boolean} Whether the ban is still in force
+ */
+export const isBanActive = (ban, now = Date.now()) => !!ban && (ban.until === null || ban.until > now);
+
+/**
+ * @param {string} durationId - One of BAN_DURATIONS
+ * @param {number} now
+ * @returns {number|null} `until` for a ban starting now
+ */
+export const getBanUntil = (durationId, now = Date.now()) => {
+  const duration = BAN_DURATIONS.find(({ id }) => id === durationId);
+  if (!duration) throw new Error(`Unknown ban duration: ${durationId}`);
+  return duration.ms === null ? null : now + duration.ms;
+};
+
+/**
+ * @param {*} reason - Free text from the moderator
+ * @returns {string} Trimmed and capped, so it fits the ban notice
+ */
+export const cleanBanReason = (reason) => (typeof reason === 'string' ? reason.trim().slice(0, MAX_BAN_REASON_LENGTH) : '');
@@ -0,0 +1,168 @@
+/**
+ * Notifications - Sounds, desktop notifications and the tab badge
+ *
+ * Settings are per device, in localStorage. Mute silences sounds only; do not
+ * disturb also holds back desktop notifications. Desktop notifications are only
+ * shown while the tab is hidden, and never carry message text: they end up on
+ * lock screens and in notification history, outside the end-to-end encryption.
+ *
+ * Besides the bundled ringtone, the sounds are short tones synthesized with the
+ * Web Audio API, so they ship without extra audio files.
+ *
+ * @module notifications
+ */
+
+const SETTINGS_KEY = 'stranger-notification-settings';
+
+export const NOTIFICATION_SOUNDS = [
+  { id: 'hey', label: 'Hey', src: '/girl-hey-ringtone.mp3' },
+  { id: 'chime', label: 'Chime', tones: [[880, 0, 0.15], [1320, 0.12, 0.25]] },
+  { id: 'pop', label: 'Pop', tones: [[520, 0, 0.08]] },
+  { id: 'ping', label: 'Ping', tones: [[1568, 0, 0.3]] },
+];
+
+export const DEFAULT_NOTIFICATION_SETTINGS = {
+  muted: false,
+  volume: 0.8,
+  sound: 'hey',
+  doNotDisturb: false,
+  desktop: false,
+};
+
+/**
+ * @returns {Object} Saved settings over the defaults; unknown sounds fall back to the default
+ */
+export const loadNotificationSettings = () => {
+  let saved = {};
+  try {
+    saved = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch {
+    // Unreadable; the defaults apply
+  }
+  const settings = { ...DEFAULT_NOTIFICATION_SETTINGS, ...saved };
+  if (!NOTIFICATION_SOUNDS.some(({ id }) => id === settings.sound)) settings.sound = DEFAULT_NOTIFICATION_SETTINGS.sound;
+  settings.volume = Math.min(1, Math.max(0, Number(settings.volume) || 0));
+  return settings;
+};
+
+export const saveNotificationSettings = (settings) => {
+  localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+};
+
+// ====================================
+// SOUNDS
+// ====================================
+const audioElements = new Map();
+let audioContext = null;
+
+const playTones = (tones, volume) => {
+  audioContext ??= new AudioContext();
+  const start = audioContext.currentTime;
+  tones.forEach(([frequency, offset, duration]) => {
+    const oscillator = audioContext.createOscillator();
+    const gain = audioContext.createGain();
+    oscillator.frequency.value = frequency;
+    gain.gain.setValueAtTime(volume * 0.3, start + offset);
+    gain.gain.exponentialRampToValueAtTime(0.0001, start + offset + duration);
+    oscillator.connect(gain).connect(audioContext.destination);
+    oscillator.start(start + offset);
+    oscillator.stop(start + offset + duration);
+  });
+};
+
+/**
+ * Plays a sound at the chosen volume. Browsers block audio until the user has
+ * interacted with the page, which only gets logged.
+ *
+ * @param {Object} settings - Notification settings
+ * @param {string} soundId - Defaults to the chosen sound; the settings panel passes one to preview
+ */
+export const playNotificationSound = (settings, soundId = settings.sound) => {
+  const sound = NOTIFICATION_SOUNDS.find(({ id }) => id === soundId) ?? NOTIFICATION_SOUNDS[0];
+  if (sound.tones) {
+    try {
+      playTones(sound.tones, settings.volume);
+    } catch (e) {
+      console.log("Sound blocked:", e);
+    }
+    return;
+  }
+  if (!audioElements.has(sound.id)) audioElements.set(sound.id, new Audio(sound.src));
+  const audio = audioElements.get(sound.id);
+  audio.volume = settings.volume;
+  audio.currentTime = 0;
+  audio.play().catch((e) => console.log("Sound blocked:", e));
+};
+
+// ====================================
+// DESKTOP NOTIFICATIONS
+// ====================================
+export const canUseDesktopNotifications = () => typeof Notification !== 'undefined';
+
+/**
+ * @returns {Promise<boolean>} Whether the browser now allows notifications
+ */
+export const requestDesktopNotifications = async () => {
+  if (!canUseDesktopNotifications()) return false;
+  if (Notification.permission === 'granted') return true;
+  if (Notification.permission === 'denied') return false;
+  return (await Notification.requestPermission()) === 'granted';
+};
+
+/**
+ * Plays the sound and, while the tab is hidden, shows a desktop notification
+ * that brings the tab back when clicked.
+ *
+ * @param {Object} settings - Notification settings
+ * @param {Object} alert
+ * @param {string} alert.title
+ * @param {string} alert.body
+ * @param {string} alert.tag - Notifications with the same tag replace each other
+ */
+export const alertUser = (settings, { title, body, tag }) => {
+  if (settings.doNotDisturb) return;
+  if (!settings.muted) playNotificationSound(settings);
+
+  if (!document.hidden || !settings.desktop || !canUseDesktopNotifications() || Notification.permission !== 'granted') return;
+  const notification = new Notification(title, { body, tag, silent: true });
+  notification.onclick = () => {
+    window.focus();
+    notification.close();
+  };
+};
+
+// ====================================
+// TAB BADGE
+// ====================================
+const BASE_TITLE = document.title;
+const faviconLink = document.querySelector('link[rel="icon"]');
+const BASE_FAVICON = faviconLink?.href ?? null;
+
+const drawBadgeIcon = (label) => {
+  const canvas = document.createElement('canvas');
+  canvas.width = 32;
+  canvas.height = 32;
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = '#4f46e5';
+  ctx.beginPath();
+  ctx.arc(16, 16, 16, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.fillStyle = '#ffffff';
+  ctx.font = `bold ${label.length > 2 ? 11 : label.length > 1 ? 16 : 20}px sans-serif`;
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+  ctx.fillText(label, 16, 17);
+  return canvas.toDataURL('image/png');
+};
+
+/**
+ * Shows a badge in the document title and favicon, e.g. an unread count.
+ *
+ * @param {string|null} label - Up to three characters, such as "3", "99+" or "!"; null restores both
+ * @param {string} title - Replaces the title text while the badge is shown
+ */
+export const setTabBadge = (label, title = BASE_TITLE) => {
+  document.title = label ? `(${label}) ${title}` : BASE_TITLE;
+  if (!faviconLink) return;
+  faviconLink.href = label ? drawBadgeIcon(label) : BASE_FAVICON;
+};
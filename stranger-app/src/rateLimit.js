@@ -0,0 +1,157 @@
+/**
+ * Rate Limits - Anti-spam numbers shared by the client, firestore.rules and the server
+ *
+ * The backends enforce what they can see: a minimum gap between one sender's
+ * messages, a ciphertext size cap and one pool entry per uid (firestore.rules
+ * and server/index.js; the server also caps bursts and searches). Everything
+ * else runs here on the client, ahead of those checks, so a normal user never
+ * hits them:
+ *   - createSendLimiter: a burst window, the minimum gap with some margin,
+ *     the length cap and the same text sent over and over
+ *   - findRepeatedMessageIds: the receiving side of duplicate detection, since
+ *     servers only ever see ciphertext and cannot compare texts
+ *   - recordSearchStart / recordAbuseStrike: a matchmaking lockout after
+ *     restarting searches in a loop or repeatedly tripping the send limiter,
+ *     kept in localStorage so a reload does not reset it
+ *
+ * Plain module with no browser globals at load time, so server/index.js can import it.
+ *
+ * @module rateLimit
+ */
+
+export const MAX_MESSAGE_LENGTH = 2000;
+// Base64 of a MAX_MESSAGE_LENGTH message at up to 4 UTF-8 bytes per character,
+// plus the 16-byte GCM tag. Repeated as a literal in firestore.rules.
+export const MAX_CIPHERTEXT_LENGTH = 10688;
+
+// Enforced by the backends; the client keeps twice the gap so network jitter never trips it
+export const MESSAGE_MIN_INTERVAL_MS = 500;
+export const MESSAGE_BURST_LIMIT = 5;
+export const MESSAGE_BURST_WINDOW_MS = 5000;
+
+// The same text may be sent this many times in a row; further repeats are blocked and hidden
+export const DUPLICATE_LIMIT = 2;
+
+export const SEARCH_LIMIT = 8;
+export const SEARCH_WINDOW_MS = 60 * 1000;
+export const ABUSE_STRIKE_LIMIT = 5;
+export const ABUSE_STRIKE_WINDOW_MS = 2 * 60 * 1000;
+export const MATCH_LOCKOUT_MS = 5 * 60 * 1000;
+
+const LOCKOUT_KEY = 'stranger-match-lockout';
+
+const normalizeText = (text) => text.trim().toLowerCase();
+
+/**
+ * Remembers what was sent recently. `check` before sending, `record` once a
+ * message is on its way; images pass null for the text.
+ *
+ * @returns {{check: Function, record: Function}}
+ */
+export const createSendLimiter = () => {
+  const sentAt = [];
+  const recentTexts = [];
+
+  return {
+    /**
+     * @param {string|null} text
+     * @param {number} now
+     * @returns {Object|null} null when allowed, else `{ reason: 'length' | 'duplicate' | 'rate', retryAt }`
+     */
+    check: (text, now = Date.now()) => {
+      if (text !== null && text.length > MAX_MESSAGE_LENGTH) return { reason: 'length', retryAt: null };
+      if (text !== null && recentTexts.length >= DUPLICATE_LIMIT && recentTexts.every((recent) => recent === normalizeText(text))) {
+        return { reason: 'duplicate', retryAt: null };
+      }
+
+      while (sentAt.length > 0 && now - sentAt[0] >= MESSAGE_BURST_WINDOW_MS) sentAt.shift();
+      const last = sentAt[sentAt.length - 1];
+      if (last !== undefined && now - last < MESSAGE_MIN_INTERVAL_MS * 2) {
+        return { reason: 'rate', retryAt: last + MESSAGE_MIN_INTERVAL_MS * 2 };
+      }
+      if (sentAt.length >= MESSAGE_BURST_LIMIT) return { reason: 'rate', retryAt: sentAt[0] + MESSAGE_BURST_WINDOW_MS };
+      return null;
+    },
+
+    record: (text, now = Date.now()) => {
+      sentAt.push(now);
+      if (text === null) return;
+      recentTexts.push(normalizeText(text));
+      if (recentTexts.length > DUPLICATE_LIMIT) recentTexts.shift();
+    },
+  };
+};
+
+/**
+ * @param {Array} messages - Decrypted messages, oldest first
+ * @param {string} myUid - Our own messages are never hidden
+ * @returns {Set<string>} Ids of the partner's messages repeating their previous text more than DUPLICATE_LIMIT times in a row
+ */
+export const findRepeatedMessageIds = (messages, myUid) => {
+  const repeated = new Set();
+  let previous = null;
+  let runLength = 0;
+
+  messages.forEach((msg) => {
+    // Anything we say in between starts a new run
+    if (msg.senderId === myUid) {
+      previous = null;
+      return;
+    }
+    if (typeof msg.text !== 'string' || msg.image) return;
+    const text = normalizeText(msg.text);
+    runLength = text === previous ? runLength + 1 : 1;
+    previous = text;
+    if (runLength > DUPLICATE_LIMIT) repeated.add(msg.id);
+  });
+  return repeated;
+};
+
+// ====================================
+// MATCHMAKING LOCKOUT
+// ====================================
+const readLockout = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(LOCKOUT_KEY));
+    if (saved) return { searches: saved.searches ?? [], strikes: saved.strikes ?? [], lockedUntil: saved.lockedUntil ?? null };
+  } catch {
+    // Unreadable; start clean
+  }
+  return { searches: [], strikes: [], lockedUntil: null };
+};
+
+const writeLockout = (state) => localStorage.setItem(LOCKOUT_KEY, JSON.stringify(state));
+
+/**
+ * @returns {number|null} When matchmaking unlocks again, or null if it is not locked
+ */
+export const getMatchLockout = (now = Date.now()) => {
+  const { lockedUntil } = readLockout();
+  return lockedUntil && lockedUntil > now ? lockedUntil : null;
+};
+
+// Adds an event to one of the sliding windows and locks matchmaking once it overflows
+const recordEvent = (field, limit, windowMs, now) => {
+  const state = readLockout();
+  if (state.lockedUntil && state.lockedUntil > now) return state.lockedUntil;
+
+  state[field] = [...state[field].filter((at) => now - at < windowMs), now];
+  if (state[field].length > limit) {
+    state.lockedUntil = now + MATCH_LOCKOUT_MS;
+    state[field] = [];
+  }
+  writeLockout(state);
+  return state.lockedUntil && state.lockedUntil > now ? state.lockedUntil : null;
+};
+
+/**
+ * @returns {number|null} lockedUntil when this search may not start
+ */
+export const recordSearchStart = (now = Date.now()) => recordEvent('searches', SEARCH_LIMIT, SEARCH_WINDOW_MS, now);
+
+/**
+ * Called whenever the send limiter blocks a message
+ *
+ * @returns {number|null} lockedUntil once the strikes add up to a lockout
+ */
+export const recordAbuseStrike = (now = Date.now()) => recordEvent('strikes', ABUSE_STRIKE_LIMIT, ABUSE_STRIKE_WINDOW_MS, now);
@@ -0,0 +1,78 @@
+/**
+ * Routes - Every screen has its own URL, kept in the hash
+ *
+ *   #/                  Dashboard
+ *   #/searching         SearchingScreen
+ *   #/chat/:roomId      ChatRoom; a reload resumes the chat (see chatSession.js)
+ *   #/memory/:id        Dashboard with a saved chat open in the MemoryViewer
+ *   #/moderation        ModerationConsole; the older ?moderation link still leads here
+ *
+ * Hash URLs need no rewrite rules on the host, so a reload on any route still
+ * gets index.html. The app changes routes with `navigate` and hears the back
+ * and forward buttons through `subscribeRoute`.
+ *
+ * @module routes
+ */
+
+/**
+ * @param {Location|URL} location
+ * @returns {{name: string, roomId?: string, memoryId?: string}} Unknown or malformed hashes read as the Dashboard
+ */
+export const parseRoute = (location = window.location) => {
+  let parts;
+  try {
+    parts = location.hash.replace(/^#\/?/, '').split('/').map((part) => decodeURIComponent(part));
+  } catch {
+    // A hand-edited hash like "#/chat/%E0" is not valid percent-encoding
+    return { name: 'dashboard' };
+  }
+  const [name, param] = parts;
+  if (name === 'searching' || name === 'moderation') return { name };
+  if (name === 'chat' && param) return { name, roomId: param };
+  if (name === 'memory' && param) return { name, memoryId: param };
+  if (new URLSearchParams(location.search).has('moderation')) return { name: 'moderation' };
+  return { name: 'dashboard' };
+};
+
+/**
+ * @param {Object} route - As returned by parseRoute
+ * @returns {string} The route's hash, e.g. "#/chat/room_123"
+ */
+export const routeToHash = (route) => {
+  if (route.name === 'chat') return `#/chat/${encodeURIComponent(route.roomId)}`;
+  if (route.name === 'memory') return `#/memory/${encodeURIComponent(route.memoryId)}`;
+  if (route.name === 'searching' || route.name === 'moderation') return `#/${route.name}`;
+  return '#/';
+};
+
+/**
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean} Whether both point at the same screen
+ */
+export const isSameRoute = (a, b) => routeToHash(a) === routeToHash(b);
+
+/**
+ * Points the address bar at a route without reloading
+ *
+ * @param {Object} route
+ * @param {Object} options
+ * @param {boolean} options.replace - Overwrite the current history entry instead of adding one
+ */
+export const navigate = (route, { replace = false } = {}) => {
+  const url = new URL(window.location.href);
+  url.searchParams.delete('moderation');
+  url.hash = routeToHash(route);
+  if (url.href === window.location.href) return;
+  window.history[replace ? 'replaceState' : 'pushState'](null, '', url);
+};
+
+/**
+ * @param {Function} callback - Receives the new route after back, forward or an edited URL
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeRoute = (callback) => {
+  const handlePopState = () => callback(parseRoute());
+  window.addEventListener('popstate', handlePopState);
+  return () => window.removeEventListener('popstate', handlePopState);
+};
@@ -0,0 +1,14 @@
+/**
+ * Timestamps - Reading the times the backends hand out
+ *
+ * Both backends hand out epoch millis; memories saved by older versions may
+ * still hold Firestore Timestamps.
+ *
+ * @module timestamps
+ */
+
+/**
+ * @param {number|Object|null|undefined} timestamp - Epoch millis or a Firestore Timestamp
+ * @returns {number|null} Epoch millis, or null when there is no time
+ */
+export const toMillis = (timestamp) => (typeof timestamp === 'number' ? timestamp : timestamp?.toMillis?.() ?? null);
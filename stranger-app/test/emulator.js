@@ -0,0 +1,96 @@
+/**
+ * Emulator Test Helpers - Shared setup for the suites that need Firebase
+ *
+ * `npm run test:emulator` starts the Auth, Firestore and Storage emulators (ports
+ * from firebase.json) under the demo-stranger project and runs every suite
+ * against them. A plain `npm test` has no emulators, so those suites skip.
+ *
+ * Rules tests go through @firebase/rules-unit-testing; tests of the adapter
+ * itself sign real anonymous users in with createSignedInBackend, each one in
+ * a Firebase app of its own.
+ *
+ * @module test/emulator
+ */
+import { readFileSync } from 'node:fs';
+import { vi } from 'vitest';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+
+export const hasEmulators = !!process.env.FIRESTORE_EMULATOR_HOST;
+export const PROJECT_ID = 'demo-stranger';
+// The bucket RulesTestEnvironment uses by default; the adapter is pointed at it too
+export const BUCKET = PROJECT_ID;
+export const APP_ID = 'stranger-app-v1';
+
+/**
+ * @param {...string} segments - Path below artifacts/{appId}/public/data, e.g. 'rooms', roomId
+ * @returns {string} Full Firestore document or collection path
+ */
+export const dataPath = (...segments) => ['artifacts', APP_ID, 'public', 'data', ...segments].join('/');
+
+/**
+ * @param {string} roomId
+ * @returns {string} Storage folder holding the room's images, as in backend/firebase.js
+ */
+export const imagesPath = (roomId) => `artifacts/${APP_ID}/rooms/${roomId}`;
+
+/**
+ * @returns {Promise<Object>} RulesTestEnvironment loaded with firestore.rules and storage.rules
+ */
+export const createTestEnvironment = () => initializeTestEnvironment({
+  projectId: PROJECT_ID,
+  firestore: { rules: readFileSync(new URL('../firestore.rules', import.meta.url), 'utf8') },
+  storage: { rules: readFileSync(new URL('../storage.rules', import.meta.url), 'utf8') },
+});
+
+/**
+ * Deletes every image under a room, which clearStorage does not reach
+ *
+ * @param {Object} testEnv
+ * @param {string} roomId
+ * @returns {Promise<void>}
+ */
+export const clearImages = (testEnv, roomId) => testEnv.withSecurityRulesDisabled(async (context) => {
+  const deleteAll = async (folder) => {
+    const { items, prefixes } = await folder.listAll();
+    await Promise.all([...items.map((item) => item.delete()), ...prefixes.map(deleteAll)]);
+  };
+  await deleteAll(context.storage().ref(imagesPath(roomId)));
+});
+
+let appCount = 0;
+
+/**
+ * Signs a new anonymous user in through the real Firebase adapter
+ *
+ * @returns {Promise<{backend: Object, uid: string}>}
+ */
+export const createSignedInBackend = async () => {
+  Object.entries({
+    VITE_USE_FIREBASE_EMULATORS: 'true',
+    VITE_FIREBASE_API_KEY: 'demo-api-key',
+    VITE_FIREBASE_PROJECT_ID: PROJECT_ID,
+    VITE_FIREBASE_STORAGE_BUCKET: BUCKET,
+  }).forEach(([name, value]) => vi.stubEnv(name, value));
+  // The adapter only listens for connection and pagehide events, which never fire here
+  if (typeof window === 'undefined') vi.stubGlobal('window', new EventTarget());
+  if (typeof navigator === 'undefined') vi.stubGlobal('navigator', { onLine: true });
+  const { createFirebaseBackend } = await import('../src/backend/firebase');
+
+  appCount += 1;
+  const backend = createFirebaseBackend({ appName: `test-${appCount}` });
+  const { user } = await backend.signIn();
+  return { backend, uid: user.uid };
+};
+
+/**
+ * @param {Function} check - Polled until it returns true
+ * @param {number} timeoutMs
+ * @returns {Promise<void>} Rejects once timeoutMs has passed
+ */
+export const waitFor = async (check, timeoutMs) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs} ms`);
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+};
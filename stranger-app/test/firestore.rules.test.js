@@ -0,0 +1,541 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import {
+  doc,
+  collection,
+  collectionGroup,
+  getDoc,
+  getDocs,
+  setDoc,
+  updateDoc,
+  deleteDoc,
+  deleteField,
+  writeBatch,
+  serverTimestamp,
+  Timestamp,
+} from 'firebase/firestore';
+import { createRoomId, createContactId } from '../src/matching';
+import { hasEmulators, createTestEnvironment, dataPath } from './emulator';
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const CAROL = 'carol';
+const MOD = 'mod';
+const ROOM_ID = createRoomId(ALICE, BOB);
+const CIRCLE_ID = 'circle_0b7c2a4e-1f3d-4c5b-9a8e-6d2f1e0c3b4a';
+const MINUTE_MS = 60 * 1000;
+
+describe.skipIf(!hasEmulators)('firestore.rules', () => {
+  let testEnv;
+
+  const as = (uid) => testEnv.authenticatedContext(uid).firestore();
+  const signedOut = () => testEnv.unauthenticatedContext().firestore();
+  const seed = (path, data) => testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), path), data));
+  const ref = (db, ...segments) => doc(db, dataPath(...segments));
+
+  const later = (ms) => Timestamp.fromMillis(Date.now() + ms);
+
+  // Mirrors sendMessage in backend/firebase.js: the message and our presence stamp in one batch
+  const sendMessage = (db, uid, messageId, fields = {}, roomId = ROOM_ID) => {
+    const batch = writeBatch(db);
+    batch.set(ref(db, 'rooms', roomId, 'messages', messageId), {
+      senderId: uid,
+      senderName: 'Neon Fox',
+      ciphertext: 'ciphertext',
+      iv: 'iv',
+      ephemeral: null,
+      replyToId: null,
+      expiresAt: later(MINUTE_MS),
+      timestamp: serverTimestamp(),
+      ...fields,
+    });
+    batch.set(ref(db, 'rooms', roomId, 'presence', uid), { lastSentAt: serverTimestamp() }, { merge: true });
+    return batch.commit();
+  };
+
+  const seedMessage = (messageId, fields = {}, roomId = ROOM_ID) => seed(dataPath('rooms', roomId, 'messages', messageId), {
+    senderId: ALICE,
+    ciphertext: 'ciphertext',
+    iv: 'iv',
+    expiresAt: later(MINUTE_MS),
+    timestamp: Timestamp.now(),
+    ...fields,
+  });
+
+  const seedPoolEntry = (uid, fields = {}) => seed(dataPath('waiting_pool', uid), {
+    userId: uid,
+    searchId: `search-${uid}`,
+    status: 'waiting',
+    interests: [],
+    language: 'any',
+    timestamp: Timestamp.now(),
+    heartbeatAt: Timestamp.now(),
+    ...fields,
+  });
+
+  // Mirrors claimPoolEntry in backend/firebase.js; each part can be left out or bent
+  const claim = (db, claimer, waiter, { roomId = createRoomId(claimer, waiter), searchId = `search-${waiter}`, withRoom = true, withInvite = true, roomFields = {} } = {}) => {
+    const batch = writeBatch(db);
+    batch.update(ref(db, 'waiting_pool', waiter), { status: 'matched', claimedBy: claimer, roomId, claimedAt: serverTimestamp() });
+    if (withRoom) batch.set(ref(db, 'rooms', roomId), { status: 'open', members: [claimer, waiter].sort(), openedAt: serverTimestamp(), ...roomFields });
+    if (withInvite) {
+      batch.set(doc(db, 'artifacts', 'stranger-app-v1', 'users', waiter, 'invites', claimer), {
+        roomId,
+        poolEntryId: waiter,
+        searchId,
+        status: 'active',
+        timestamp: serverTimestamp(),
+      });
+    }
+    return batch.commit();
+  };
+
+  const ban = (uid, until = null) => seed(dataPath('bans', uid), { until, reason: 'spam', bannedBy: MOD, createdAt: Timestamp.now() });
+
+  beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(`moderators/${MOD}`, { grantedAt: Timestamp.now() });
+    await seed(dataPath('rooms', ROOM_ID), { status: 'open', members: [ALICE, BOB], openedAt: Timestamp.now() });
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  describe('moderators', () => {
+    it('lets a uid check its own entry only', async () => {
+      await assertSucceeds(getDoc(doc(as(ALICE), `moderators/${ALICE}`)));
+      await assertFails(getDoc(doc(as(ALICE), `moderators/${MOD}`)));
+    });
+
+    it('lets moderators count messages across rooms', async () => {
+      await assertSucceeds(getDocs(collectionGroup(as(MOD), 'messages')));
+      await assertFails(getDocs(collectionGroup(as(ALICE), 'messages')));
+    });
+  });
+
+  describe('waiting pool', () => {
+    it('is readable when signed in', async () => {
+      await assertSucceeds(getDocs(collection(as(ALICE), dataPath('waiting_pool'))));
+      await assertFails(getDocs(collection(signedOut(), dataPath('waiting_pool'))));
+    });
+
+    it('only takes an entry keyed by our own uid', async () => {
+      const entry = { userId: ALICE, status: 'waiting', timestamp: serverTimestamp(), heartbeatAt: serverTimestamp() };
+      await assertSucceeds(setDoc(ref(as(ALICE), 'waiting_pool', ALICE), entry));
+      await assertFails(setDoc(ref(as(ALICE), 'waiting_pool', 'other-id'), entry));
+      await assertFails(setDoc(ref(as(ALICE), 'waiting_pool', BOB), { ...entry, userId: BOB }));
+      await assertFails(setDoc(ref(as(CAROL), 'waiting_pool', CAROL), { ...entry, userId: CAROL, status: 'matched' }));
+    });
+
+    it('turns a banned uid away', async () => {
+      await ban(ALICE);
+      await assertFails(setDoc(ref(as(ALICE), 'waiting_pool', ALICE), { userId: ALICE, status: 'waiting' }));
+    });
+
+    it('lets the owner only send heartbeats', async () => {
+      await seedPoolEntry(ALICE);
+      await assertSucceeds(updateDoc(ref(as(ALICE), 'waiting_pool', ALICE), { heartbeatAt: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(ALICE), 'waiting_pool', ALICE), { heartbeatAt: later(MINUTE_MS) }));
+      await assertFails(updateDoc(ref(as(ALICE), 'waiting_pool', ALICE), { interests: ['Music'] }));
+      await assertFails(updateDoc(ref(as(BOB), 'waiting_pool', ALICE), { heartbeatAt: serverTimestamp() }));
+    });
+
+    it('lets the owner and moderators delete an entry', async () => {
+      await seedPoolEntry(ALICE);
+      await seedPoolEntry(BOB);
+      await assertFails(deleteDoc(ref(as(BOB), 'waiting_pool', ALICE)));
+      await assertSucceeds(deleteDoc(ref(as(ALICE), 'waiting_pool', ALICE)));
+      await assertSucceeds(deleteDoc(ref(as(MOD), 'waiting_pool', BOB)));
+    });
+  });
+
+  describe('claiming', () => {
+    beforeEach(async () => {
+      await seedPoolEntry(CAROL);
+    });
+
+    it('accepts the whole claim: entry, room and invite together', async () => {
+      await assertSucceeds(claim(as(ALICE), ALICE, CAROL));
+    });
+
+    it('refuses a claim on an entry that was already claimed', async () => {
+      await assertSucceeds(claim(as(ALICE), ALICE, CAROL));
+      await assertFails(claim(as(BOB), BOB, CAROL));
+    });
+
+    it('refuses a claim on an entry whose heartbeat went stale', async () => {
+      await seedPoolEntry(CAROL, { heartbeatAt: Timestamp.fromMillis(Date.now() - MINUTE_MS) });
+      await assertFails(claim(as(ALICE), ALICE, CAROL));
+    });
+
+    it('refuses claiming ourselves, a wrong room id or a banned claimer', async () => {
+      await seedPoolEntry(ALICE);
+      await assertFails(claim(as(ALICE), ALICE, ALICE));
+      await assertFails(claim(as(BOB), BOB, CAROL, { roomId: createRoomId(BOB, ALICE) }));
+      await ban(BOB);
+      await assertFails(claim(as(BOB), BOB, CAROL));
+    });
+
+    it('refuses an invite that does not match the claimed entry', async () => {
+      // getAfter only sees the claim if it is in the same write
+      await assertFails(setDoc(doc(as(ALICE), 'artifacts', 'stranger-app-v1', 'users', CAROL, 'invites', ALICE), {
+        roomId: createRoomId(ALICE, CAROL),
+        poolEntryId: CAROL,
+        searchId: `search-${CAROL}`,
+      }));
+      await assertFails(claim(as(ALICE), ALICE, CAROL, { searchId: 'an-earlier-search' }));
+    });
+
+    it('refuses a room opened without its invite', async () => {
+      await assertFails(claim(as(ALICE), ALICE, CAROL, { withInvite: false }));
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', createRoomId(ALICE, CAROL)), {
+        status: 'open',
+        members: [ALICE, CAROL],
+        openedAt: serverTimestamp(),
+      }));
+    });
+
+    it('refuses a claim that opens the room with anything extra', async () => {
+      await assertFails(claim(as(ALICE), ALICE, CAROL, { roomFields: { keepInTouch: { [ALICE]: true, [CAROL]: true } } }));
+      await assertFails(claim(as(ALICE), ALICE, CAROL, { roomFields: { kind: 'contact' } }));
+    });
+
+    it('keeps invites to their recipient', async () => {
+      await claim(as(ALICE), ALICE, CAROL);
+      const invite = doc(as(CAROL), 'artifacts', 'stranger-app-v1', 'users', CAROL, 'invites', ALICE);
+      await assertSucceeds(getDoc(invite));
+      await assertFails(getDoc(doc(as(BOB), 'artifacts', 'stranger-app-v1', 'users', CAROL, 'invites', ALICE)));
+      await assertSucceeds(deleteDoc(invite));
+    });
+  });
+
+  describe('rooms', () => {
+    it('is readable by its members and moderators only', async () => {
+      await assertSucceeds(getDoc(ref(as(ALICE), 'rooms', ROOM_ID)));
+      await assertSucceeds(getDoc(ref(as(MOD), 'rooms', ROOM_ID)));
+      await assertFails(getDoc(ref(as(CAROL), 'rooms', ROOM_ID)));
+      await assertFails(getDoc(ref(signedOut(), 'rooms', ROOM_ID)));
+    });
+
+    it('lets a member close it, and nobody else', async () => {
+      const close = (uid) => setDoc(ref(as(uid), 'rooms', ROOM_ID), { status: 'closed', closedBy: uid, closedAt: serverTimestamp() }, { merge: true });
+      await assertFails(close(CAROL));
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', ROOM_ID), { status: 'closed', closedBy: BOB }, { merge: true }));
+      await assertSucceeds(close(ALICE));
+    });
+  });
+
+  describe('circles', () => {
+    const circleEntry = () => ({ identity: { name: 'Misty Owl' }, publicKey: { kty: 'EC' }, joinedAt: serverTimestamp(), heartbeatAt: serverTimestamp() });
+    const seedCircle = (fields) => seed(dataPath('rooms', CIRCLE_ID), {
+      kind: 'circle',
+      circleSize: 3,
+      status: 'gathering',
+      members: [ALICE],
+      roster: { [ALICE]: { joinedAt: Timestamp.now() } },
+      createdAt: Timestamp.now(),
+      ...fields,
+    });
+
+    it('lets anyone start a gathering circle with only themselves in it', async () => {
+      const circle = { kind: 'circle', circleSize: 3, status: 'gathering', members: [ALICE], roster: { [ALICE]: circleEntry() } };
+      await assertSucceeds(setDoc(ref(as(ALICE), 'rooms', CIRCLE_ID), circle));
+      await assertFails(setDoc(ref(as(BOB), 'rooms', 'circle_1'), { ...circle, members: [BOB, CAROL], roster: { [BOB]: circleEntry() } }));
+      await assertFails(setDoc(ref(as(BOB), 'rooms', 'circle_2'), { ...circle, circleSize: 7, members: [BOB], roster: { [BOB]: circleEntry() } }));
+    });
+
+    it('refuses a new circle with anything extra', async () => {
+      const circle = { kind: 'circle', circleSize: 3, status: 'gathering', members: [ALICE], roster: { [ALICE]: circleEntry() } };
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', CIRCLE_ID), { ...circle, keyholder: ALICE }));
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', CIRCLE_ID), { ...circle, keyShares: { [ALICE]: 'share' } }));
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', CIRCLE_ID), { ...circle, roster: { [ALICE]: { ...circleEntry(), heartbeatAt: later(MINUTE_MS) } } }));
+    });
+
+    it('lets searchers find it while gathering, and only members once open', async () => {
+      await seedCircle();
+      await assertSucceeds(getDoc(ref(as(BOB), 'rooms', CIRCLE_ID)));
+      await seedCircle({ status: 'open', members: [ALICE, BOB, CAROL] });
+      await assertFails(getDoc(ref(as('dave'), 'rooms', CIRCLE_ID)));
+    });
+
+    it('lets a searcher add only themselves', async () => {
+      await seedCircle();
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { members: [ALICE, BOB, CAROL], [`roster.${BOB}`]: circleEntry() }));
+      await assertSucceeds(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { members: [ALICE, BOB], [`roster.${BOB}`]: circleEntry() }));
+    });
+
+    it('lets whoever fills the circle open it as keyholder', async () => {
+      await seedCircle({ members: [ALICE, BOB], roster: { [ALICE]: {}, [BOB]: {} } });
+      const fill = (keyholder) => updateDoc(ref(as(CAROL), 'rooms', CIRCLE_ID), {
+        members: [ALICE, BOB, CAROL],
+        [`roster.${CAROL}`]: circleEntry(),
+        status: 'open',
+        keyholder,
+        openedAt: serverTimestamp(),
+      });
+      await assertFails(fill(ALICE));
+      await assertSucceeds(fill(CAROL));
+    });
+
+    it('lets members leave, stamping only their own departure', async () => {
+      await seedCircle({ members: [ALICE, BOB], roster: { [ALICE]: {}, [BOB]: {} } });
+      await assertSucceeds(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { members: [ALICE], [`roster.${BOB}`]: deleteField() }));
+
+      await seedCircle({ status: 'open', members: [ALICE, BOB, CAROL], roster: { [ALICE]: {}, [BOB]: {}, [CAROL]: {} } });
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { members: [ALICE, CAROL], [`departedAt.${ALICE}`]: serverTimestamp() }));
+      await assertSucceeds(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { members: [ALICE, CAROL], [`departedAt.${BOB}`]: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(CAROL), 'rooms', CIRCLE_ID), { members: [ALICE], [`departedAt.${CAROL}`]: serverTimestamp() }));
+      await assertSucceeds(updateDoc(ref(as(CAROL), 'rooms', CIRCLE_ID), {
+        members: [ALICE],
+        [`departedAt.${CAROL}`]: serverTimestamp(),
+        status: 'closed',
+        closedBy: CAROL,
+        closedAt: serverTimestamp(),
+      }));
+    });
+
+    it('lets members beat only for themselves, and take out members gone quiet', async () => {
+      const quiet = Timestamp.fromMillis(Date.now() - MINUTE_MS);
+      await seedCircle({ members: [ALICE, BOB], roster: { [ALICE]: { heartbeatAt: quiet }, [BOB]: { heartbeatAt: Timestamp.now() } } });
+      await assertSucceeds(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { [`roster.${BOB}.heartbeatAt`]: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { [`roster.${ALICE}.heartbeatAt`]: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(CAROL), 'rooms', CIRCLE_ID), { [`roster.${CAROL}.heartbeatAt`]: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(ALICE), 'rooms', CIRCLE_ID), { members: [ALICE], [`roster.${BOB}`]: deleteField() }));
+      await assertSucceeds(updateDoc(ref(as(BOB), 'rooms', CIRCLE_ID), { members: [BOB], [`roster.${ALICE}`]: deleteField() }));
+    });
+
+    it('lets only the keyholder hand out the key, once', async () => {
+      await seedCircle({ status: 'open', members: [ALICE, BOB, CAROL], keyholder: CAROL });
+      await assertFails(updateDoc(ref(as(ALICE), 'rooms', CIRCLE_ID), { keyShares: { [ALICE]: 'share' } }));
+      await assertSucceeds(updateDoc(ref(as(CAROL), 'rooms', CIRCLE_ID), { keyShares: { [ALICE]: 'share' } }));
+      await assertFails(updateDoc(ref(as(CAROL), 'rooms', CIRCLE_ID), { keyShares: { [ALICE]: 'another' } }));
+    });
+
+    it('lets the last searcher delete a circle that never opened', async () => {
+      await seedCircle({ members: [ALICE, BOB] });
+      await assertFails(deleteDoc(ref(as(ALICE), 'rooms', CIRCLE_ID)));
+      await seedCircle();
+      await assertSucceeds(deleteDoc(ref(as(ALICE), 'rooms', CIRCLE_ID)));
+    });
+  });
+
+  describe('contacts', () => {
+    const openContact = (uid, fields = {}) => setDoc(ref(as(uid), 'rooms', createContactId(ROOM_ID)), {
+      kind: 'contact',
+      status: 'open',
+      members: [ALICE, BOB],
+      fromRoomId: ROOM_ID,
+      openedAt: serverTimestamp(),
+      ...fields,
+    });
+
+    it('lets each member opt in or out for themselves', async () => {
+      await assertSucceeds(updateDoc(ref(as(ALICE), 'rooms', ROOM_ID), { [`keepInTouch.${ALICE}`]: true }));
+      await assertFails(updateDoc(ref(as(ALICE), 'rooms', ROOM_ID), { [`keepInTouch.${BOB}`]: true }));
+      await assertFails(updateDoc(ref(as(CAROL), 'rooms', ROOM_ID), { [`keepInTouch.${CAROL}`]: true }));
+      await assertSucceeds(updateDoc(ref(as(ALICE), 'rooms', ROOM_ID), { [`keepInTouch.${ALICE}`]: deleteField() }));
+    });
+
+    it('opens the contact only once both opted in', async () => {
+      await seed(dataPath('rooms', ROOM_ID), { status: 'open', members: [ALICE, BOB], keepInTouch: { [ALICE]: true } });
+      await assertFails(openContact(ALICE));
+      await seed(dataPath('rooms', ROOM_ID), { status: 'open', members: [ALICE, BOB], keepInTouch: { [ALICE]: true, [BOB]: true } });
+      await assertFails(openContact(CAROL));
+      await assertFails(openContact(ALICE, { note: 'extra' }));
+      await assertSucceeds(openContact(ALICE));
+    });
+
+    it('never opens a contact again, whether it is open or revoked', async () => {
+      await seed(dataPath('rooms', ROOM_ID), { status: 'closed', members: [ALICE, BOB], keepInTouch: { [ALICE]: true, [BOB]: true } });
+      await seed(dataPath('rooms', createContactId(ROOM_ID)), { kind: 'contact', status: 'open', members: [ALICE, BOB], fromRoomId: ROOM_ID });
+      await assertFails(openContact(BOB));
+      await seed(dataPath('rooms', createContactId(ROOM_ID)), { kind: 'contact', status: 'closed', closedBy: ALICE, members: [ALICE, BOB], fromRoomId: ROOM_ID });
+      await assertFails(openContact(BOB));
+    });
+  });
+
+  describe('presence', () => {
+    it('lets members write their own presence and read the room', async () => {
+      await assertSucceeds(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'presence', ALICE), { state: 'active', lastSeen: serverTimestamp() }));
+      await assertSucceeds(getDocs(collection(as(BOB), dataPath('rooms', ROOM_ID, 'presence'))));
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'presence', BOB), { state: 'left' }));
+      await assertFails(setDoc(ref(as(CAROL), 'rooms', ROOM_ID, 'presence', CAROL), { state: 'active' }));
+      await assertFails(getDocs(collection(as(CAROL), dataPath('rooms', ROOM_ID, 'presence'))));
+    });
+
+    it('only moves lastSentAt to now, and not within 500 ms', async () => {
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'presence', ALICE), { lastSentAt: later(-MINUTE_MS) }));
+      await assertSucceeds(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'presence', ALICE), { lastSentAt: serverTimestamp() }));
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'presence', ALICE), { lastSentAt: serverTimestamp() }, { merge: true }));
+    });
+
+    it('is cleared by members once the room is closed', async () => {
+      await seed(dataPath('rooms', ROOM_ID, 'presence', ALICE), { state: 'left' });
+      await assertFails(deleteDoc(ref(as(BOB), 'rooms', ROOM_ID, 'presence', ALICE)));
+      await seed(dataPath('rooms', ROOM_ID), { status: 'closed', members: [ALICE, BOB] });
+      await assertFails(deleteDoc(ref(as(CAROL), 'rooms', ROOM_ID, 'presence', ALICE)));
+      await assertSucceeds(deleteDoc(ref(as(BOB), 'rooms', ROOM_ID, 'presence', ALICE)));
+    });
+  });
+
+  describe('signals', () => {
+    const signal = (from) => ({ from, ciphertext: 'ciphertext', iv: 'iv', timestamp: serverTimestamp() });
+
+    it('lets members send their own signals while the room is open', async () => {
+      await assertSucceeds(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'signals', 's1'), signal(ALICE)));
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'signals', 's2'), signal(BOB)));
+      await assertFails(setDoc(ref(as(CAROL), 'rooms', ROOM_ID, 'signals', 's3'), signal(CAROL)));
+      await seed(dataPath('rooms', ROOM_ID), { status: 'closed', members: [ALICE, BOB] });
+      await assertFails(setDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'signals', 's4'), signal(ALICE)));
+    });
+
+    it('lets members read and consume them', async () => {
+      await seed(dataPath('rooms', ROOM_ID, 'signals', 's1'), { from: ALICE });
+      await assertFails(getDocs(collection(as(CAROL), dataPath('rooms', ROOM_ID, 'signals'))));
+      await assertFails(deleteDoc(ref(as(CAROL), 'rooms', ROOM_ID, 'signals', 's1')));
+      await assertSucceeds(getDocs(collection(as(BOB), dataPath('rooms', ROOM_ID, 'signals'))));
+      await assertSucceeds(deleteDoc(ref(as(BOB), 'rooms', ROOM_ID, 'signals', 's1')));
+    });
+  });
+
+  describe('messages', () => {
+    it('lets members read, and nobody else', async () => {
+      await seedMessage('m1');
+      await assertSucceeds(getDocs(collection(as(BOB), dataPath('rooms', ROOM_ID, 'messages'))));
+      await assertFails(getDocs(collection(as(CAROL), dataPath('rooms', ROOM_ID, 'messages'))));
+    });
+
+    it('takes a message only with its presence stamp, from a member, as themselves', async () => {
+      await assertSucceeds(sendMessage(as(ALICE), ALICE, 'm1'));
+      await assertFails(setDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm2'), {
+        senderId: BOB, ciphertext: 'ciphertext', iv: 'iv', expiresAt: later(MINUTE_MS), timestamp: serverTimestamp(),
+      }));
+      await assertFails(sendMessage(as(BOB), ALICE, 'm3'));
+      await assertFails(sendMessage(as(CAROL), CAROL, 'm4'));
+    });
+
+    it('refuses oversized ciphertext, a missing expiry and banned senders', async () => {
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm1', { ciphertext: 'x'.repeat(10689) }));
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm2', { expiresAt: 'tomorrow' }));
+      await ban(ALICE, later(MINUTE_MS));
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm3'));
+    });
+
+    it('takes messages without an expiry, and lets members give them one once the room is closed', async () => {
+      await assertSucceeds(sendMessage(as(ALICE), ALICE, 'm1', { expiresAt: null }));
+      const backstop = { expiresAt: later(24 * 60 * MINUTE_MS) };
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1'), backstop));
+
+      await seed(dataPath('rooms', ROOM_ID), { status: 'closed', closedBy: BOB, members: [ALICE, BOB], openedAt: Timestamp.now() });
+      await assertFails(updateDoc(ref(as(CAROL), 'rooms', ROOM_ID, 'messages', 'm1'), backstop));
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1'), { ...backstop, ciphertext: 'changed' }));
+      await assertSucceeds(updateDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1'), backstop));
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1'), { expiresAt: later(MINUTE_MS) }));
+    });
+
+    it('stamps messages with the server time and only the known fields', async () => {
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm1', { timestamp: later(24 * 60 * MINUTE_MS) }));
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm2', { timestamp: later(-MINUTE_MS) }));
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm3', { editedAt: serverTimestamp() }));
+      await assertSucceeds(sendMessage(as(ALICE), ALICE, 'm4'));
+    });
+
+    it('spaces messages out', async () => {
+      await assertSucceeds(sendMessage(as(ALICE), ALICE, 'm1'));
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm2'));
+    });
+
+    it('keeps spacing messages out when lastSentAt is deleted in between', async () => {
+      await assertSucceeds(sendMessage(as(ALICE), ALICE, 'm1'));
+      await assertFails(updateDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'presence', ALICE), { lastSentAt: deleteField() }));
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm2'));
+    });
+
+    it('only points images into the sender\'s own folder for this room', async () => {
+      const image = (path) => ({ image: { ref: path, iv: 'iv', type: 'image/jpeg', width: 1, height: 1 } });
+      await assertFails(sendMessage(as(ALICE), ALICE, 'm1', image(`artifacts/stranger-app-v1/rooms/${ROOM_ID}/${BOB}/photo`)));
+      await assertSucceeds(sendMessage(as(ALICE), ALICE, 'm2', image(`artifacts/stranger-app-v1/rooms/${ROOM_ID}/${ALICE}/photo`)));
+    });
+
+    it('lets only the receiver stamp receipts', async () => {
+      await seedMessage('m1');
+      await assertSucceeds(updateDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1'), { deliveredAt: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'messages', 'm1'), { seenAt: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1'), { ciphertext: 'rewritten' }));
+      await assertFails(updateDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1'), { seenAt: later(-MINUTE_MS) }));
+    });
+
+    it('lets the sender edit for 15 minutes', async () => {
+      const edit = (uid, messageId) => updateDoc(ref(as(uid), 'rooms', ROOM_ID, 'messages', messageId), {
+        ciphertext: 'edited', iv: 'iv2', editedAt: serverTimestamp(),
+      });
+      await seedMessage('m1');
+      await seedMessage('m2', { timestamp: later(-20 * MINUTE_MS) });
+      await assertSucceeds(edit(ALICE, 'm1'));
+      await assertFails(edit(BOB, 'm1'));
+      await assertFails(edit(ALICE, 'm2'));
+    });
+
+    it('lets each member set only their own short reaction', async () => {
+      await seedMessage('m1');
+      const react = (uid, key, emoji) => updateDoc(ref(as(uid), 'rooms', ROOM_ID, 'messages', 'm1'), { [`reactions.${key}`]: emoji });
+      await assertSucceeds(react(BOB, BOB, '👍'));
+      await assertFails(react(BOB, ALICE, '👍'));
+      await assertFails(react(BOB, BOB, 'x'.repeat(17)));
+      await assertFails(react(CAROL, CAROL, '👍'));
+    });
+
+    it('lets senders delete their own, and anyone in the room expired ones or all once closed', async () => {
+      await seedMessage('m1');
+      await seedMessage('m2');
+      await seedMessage('m3', { expiresAt: later(-MINUTE_MS) });
+      await assertFails(deleteDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm1')));
+      await assertSucceeds(deleteDoc(ref(as(ALICE), 'rooms', ROOM_ID, 'messages', 'm1')));
+      await assertSucceeds(deleteDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm3')));
+      await seed(dataPath('rooms', ROOM_ID), { status: 'closed', members: [ALICE, BOB] });
+      await assertFails(deleteDoc(ref(as(CAROL), 'rooms', ROOM_ID, 'messages', 'm2')));
+      await assertSucceeds(deleteDoc(ref(as(BOB), 'rooms', ROOM_ID, 'messages', 'm2')));
+    });
+  });
+
+  describe('reports', () => {
+    const report = (reporterId) => ({ reporterId, reportedUid: BOB, roomId: ROOM_ID, reason: 'spam', status: 'open', timestamp: serverTimestamp() });
+
+    it('lets anyone file a report as themselves', async () => {
+      await assertSucceeds(setDoc(ref(as(ALICE), 'reports', 'r1'), report(ALICE)));
+      await assertFails(setDoc(ref(as(ALICE), 'reports', 'r2'), report(CAROL)));
+    });
+
+    it('lets only moderators read and resolve reports', async () => {
+      await seed(dataPath('reports', 'r1'), { ...report(ALICE), timestamp: Timestamp.now() });
+      await assertFails(getDoc(ref(as(ALICE), 'reports', 'r1')));
+      await assertSucceeds(getDoc(ref(as(MOD), 'reports', 'r1')));
+      await assertFails(updateDoc(ref(as(MOD), 'reports', 'r1'), { status: 'deleted', resolvedBy: MOD, resolvedAt: serverTimestamp() }));
+      await assertFails(updateDoc(ref(as(ALICE), 'reports', 'r1'), { status: 'dismissed', resolvedBy: ALICE, resolvedAt: serverTimestamp() }));
+      await assertSucceeds(updateDoc(ref(as(MOD), 'reports', 'r1'), { status: 'resolved', resolvedBy: MOD, resolvedAt: serverTimestamp() }));
+    });
+  });
+
+  describe('bans', () => {
+    it('lets a uid read its own ban, and moderators all of them', async () => {
+      await ban(ALICE);
+      await assertSucceeds(getDoc(ref(as(ALICE), 'bans', ALICE)));
+      await assertFails(getDoc(ref(as(BOB), 'bans', ALICE)));
+      await assertSucceeds(getDoc(ref(as(MOD), 'bans', ALICE)));
+    });
+
+    it('lets only moderators set and lift bans', async () => {
+      const banDoc = (bannedBy) => ({ until: null, reason: 'spam', bannedBy, createdAt: serverTimestamp() });
+      await assertFails(setDoc(ref(as(ALICE), 'bans', BOB), banDoc(ALICE)));
+      await assertFails(setDoc(ref(as(MOD), 'bans', BOB), { ...banDoc(MOD), reason: 'x'.repeat(201) }));
+      await assertSucceeds(setDoc(ref(as(MOD), 'bans', BOB), banDoc(MOD)));
+      await assertFails(deleteDoc(ref(as(BOB), 'bans', BOB)));
+      await assertSucceeds(deleteDoc(ref(as(MOD), 'bans', BOB)));
+    });
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import { collection, query, where, getDocs } from 'firebase/firestore';
+import { hasEmulators, createTestEnvironment, createSignedInBackend, dataPath, waitFor } from './emulator';
+
+// Enough searchers that several claims land on the same pool entry at once
+const SEARCHER_COUNT = 12;
+// Waiters only claim older entries on their heartbeat (POOL_HEARTBEAT_MS), so give it a few rounds
+const MATCH_TIMEOUT_MS = 60000;
+
+describe.skipIf(!hasEmulators)('matchmaking claims', () => {
+  let testEnv;
+
+  beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+    await testEnv.clearFirestore();
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  const waitForPoolEntry = (uid) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const entries = query(collection(context.firestore(), dataPath('waiting_pool')), where('userId', '==', uid), where('status', '==', 'waiting'));
+    const deadline = Date.now() + 10000;
+    while ((await getDocs(entries)).empty) {
+      if (Date.now() > deadline) throw new Error(`No pool entry for ${uid}`);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  });
+
+  // Strangers know each other by identity only, so every searcher gets a name of its own
+  const profileFor = (name) => ({ identity: { name }, publicKey: { kty: 'EC' }, interests: [], language: 'any' });
+
+  it('pairs every searcher exactly once when they all search at the same moment', async () => {
+    const searchers = await Promise.all(Array.from({ length: SEARCHER_COUNT }, async (_, index) => ({
+      ...await createSignedInBackend(),
+      name: `Searcher ${index}`,
+      matches: [],
+    })));
+
+    const stops = searchers.map((searcher) => searcher.backend.startMatchmaking({
+      uid: searcher.uid,
+      profile: profileFor(searcher.name),
+      onStatus: () => {},
+      onMatch: (match) => searcher.matches.push(match),
+    }));
+
+    try {
+      await waitFor(() => searchers.every((searcher) => searcher.matches.length > 0), MATCH_TIMEOUT_MS);
+    } finally {
+      stops.forEach((stop) => stop());
+    }
+
+    const byName = new Map(searchers.map((searcher) => [searcher.name, searcher]));
+    searchers.forEach((searcher) => {
+      expect(searcher.matches).toHaveLength(1);
+      const [{ roomId, partner }] = searcher.matches;
+      // Matches go both ways and into the same room, never to ourselves
+      expect(partner.identity.name).not.toBe(searcher.name);
+      const partnerMatches = byName.get(partner.identity.name).matches;
+      expect(partnerMatches).toHaveLength(1);
+      expect(partnerMatches[0].partner.identity.name).toBe(searcher.name);
+      expect(partnerMatches[0].roomId).toBe(roomId);
+    });
+    expect(new Set(searchers.map((searcher) => searcher.matches[0].roomId)).size).toBe(SEARCHER_COUNT / 2);
+  }, MATCH_TIMEOUT_MS + 10000);
+
+  it('hands each waiting entry to at most one of many simultaneous claimers', async () => {
+    const waiter = await createSignedInBackend();
+    const claimers = await Promise.all(Array.from({ length: SEARCHER_COUNT }, () => createSignedInBackend()));
+    const waiterMatches = [];
+    const claimerMatches = [];
+
+    const stopWaiter = waiter.backend.startMatchmaking({
+      uid: waiter.uid,
+      profile: profileFor('Waiter'),
+      onStatus: () => {},
+      onMatch: (match) => waiterMatches.push(match),
+    });
+    // Claimers only find the entry once it is in the pool
+    await waitForPoolEntry(waiter.uid);
+
+    const stops = claimers.map((claimer, index) => claimer.backend.startMatchmaking({
+      uid: claimer.uid,
+      profile: profileFor(`Claimer ${index}`),
+      onStatus: () => {},
+      onMatch: (match) => claimerMatches.push({ name: `Claimer ${index}`, ...match }),
+    }));
+
+    try {
+      await waitFor(() => waiterMatches.length > 0, MATCH_TIMEOUT_MS);
+      // Give any second claim time to land before counting
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+    } finally {
+      stopWaiter();
+      stops.forEach((stop) => stop());
+    }
+
+    expect(waiterMatches).toHaveLength(1);
+    const withWaiter = claimerMatches.filter((match) => match.partner.identity.name === 'Waiter');
+    expect(withWaiter).toHaveLength(1);
+    expect(withWaiter[0].name).toBe(waiterMatches[0].partner.identity.name);
+    expect(withWaiter[0].roomId).toBe(waiterMatches[0].roomId);
+  }, MATCH_TIMEOUT_MS + 10000);
+});
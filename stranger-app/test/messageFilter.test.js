@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'vitest';
+import { createMessageFilter, createProfanityMasker, DEFAULT_PROFANITY_WORDS } from '../src/messageFilter';
+
+const { scan, redact } = createMessageFilter();
+const found = (text) => scan(text).map(({ ruleId, match }) => [ruleId, match]);
+
+describe('PII rules', () => {
+  describe('phone', () => {
+    it.each([
+      ['call me on +44 20 7946 0958', '+44 20 7946 0958'],
+      ['+1 (555) 123-4567 anytime', '+1 (555) 123-4567'],
+      ['text +4915112345678', '+4915112345678'],
+      ['(555) 123-4567', '(555) 123-4567'],
+      ['my cell is 555.123.4567', '555.123.4567'],
+      ['dial 1-555-123-4567', '1-555-123-4567'],
+      ['5551234567 is my number', '5551234567'],
+      ['020 7946 0958', '020 7946 0958'],
+      ['07700 900123', '07700 900123'],
+      ['0412 345 678', '0412 345 678'],
+      ['ring 555-1234 later', '555-1234'],
+    ])('finds %j', (text, number) => {
+      expect(found(text)).toEqual([['phone', number]]);
+    });
+
+    it.each([
+      'see you on 2024-01-15',
+      'meet at 15.01.2024',
+      '1200 1300 1400',
+      'version 1.2.3.4.5.6.7',
+      'my high score is 1234567',
+      'it cost $1,250,000 in 1999',
+      'lunch at 12:30 or 13:45',
+      'room 101, floor 3',
+      'ip 192.168.0.1',
+    ])('leaves %j alone', (text) => {
+      expect(found(text)).toEqual([]);
+    });
+  });
+
+  describe('email', () => {
+    it.each([
+      ['write to neon.fox@example.com', 'neon.fox@example.com'],
+      ['NEON_FOX+chat@mail.example.co.uk', 'NEON_FOX+chat@mail.example.co.uk'],
+      ['fox (at) example (dot) org', 'fox (at) example (dot) org'],
+      ['fox[at]example[dot]com', 'fox[at]example[dot]com'],
+      ['fox99 at mydomain dot net', 'fox99 at mydomain dot net'],
+      ['neon.fox at example dot com', 'neon.fox at example dot com'],
+      ['neonfox at gmail dot com', 'neonfox at gmail dot com'],
+    ])('finds %j', (text, address) => {
+      expect(found(text)).toEqual([['email', address]]);
+    });
+
+    it.each([
+      'I am at home dot now',
+      'what at all dot com',
+      'look at that dot over there',
+      'she is at work',
+    ])('leaves %j alone', (text) => {
+      expect(found(text)).toEqual([]);
+    });
+  });
+
+  it('finds links and handles', () => {
+    expect(found('see https://example.com/x and www.example.org')).toEqual([
+      ['url', 'https://example.com/x'],
+      ['url', 'www.example.org'],
+    ]);
+    expect(found('add me @neon_fox or snap: foxy99')).toEqual([
+      ['handle', '@neon_fox'],
+      ['handle', 'snap: foxy99'],
+    ]);
+  });
+
+  it('does not read the middle of an email address as a handle', () => {
+    expect(found('fox@example.com')).toEqual([['email', 'fox@example.com']]);
+  });
+
+  it('redacts every finding', () => {
+    expect(redact('mail fox@example.com or call 555-1234')).toBe('mail [email address removed] or call [phone number removed]');
+  });
+
+  it('runs extra rules passed in', () => {
+    const filter = createMessageFilter({
+      rules: [{ id: 'zip', label: 'postcode', find: (text) => [...text.matchAll(/\b\d{5}\b/g)].map((m) => ({ start: m.index, end: m.index + 5 })) }],
+    });
+    expect(filter.redact('I live in 90210')).toBe('I live in [postcode removed]');
+  });
+});
+
+describe('profanity masker', () => {
+  const { mask } = createProfanityMasker(DEFAULT_PROFANITY_WORDS);
+
+  it.each([
+    ['well fuck that', 'well f*** that'],
+    ['SHIT happens', 'S*** happens'],
+    ['you b1tch', 'you b****'],
+    ['what the f u c k', 'what the f******'],
+    ['f.u.c.k you', 'f****** you'],
+    ['s h i t', 's******'],
+    ['oh s-h-i-t, no', 'oh s******, no'],
+  ])('masks %j', (text, masked) => {
+    expect(mask(text)).toEqual({ text: masked, masked: true });
+  });
+
+  it.each([
+    'a scunthorpe problem',
+    'i t w a t c h e d it',
+    'a c o c k t a i l',
+    'cocktail hour',
+    'shitake mushrooms',
+  ])('leaves %j alone', (text) => {
+    expect(mask(text)).toEqual({ text, masked: false });
+  });
+
+  it('masks nothing without words', () => {
+    expect(createProfanityMasker([]).mask('fuck')).toEqual({ text: 'fuck', masked: false });
+  });
+});
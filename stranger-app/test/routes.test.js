@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { parseRoute, routeToHash } from '../src/routes';
+
+const at = (hash, search = '') => new URL(`https://stranger.example/${search}${hash}`);
+
+describe('parseRoute', () => {
+  it.each([
+    ['', { name: 'dashboard' }],
+    ['#/', { name: 'dashboard' }],
+    ['#/searching', { name: 'searching' }],
+    ['#/chat/room_a_b', { name: 'chat', roomId: 'room_a_b' }],
+    ['#/memory/1700000000000', { name: 'memory', memoryId: '1700000000000' }],
+    ['#/nowhere', { name: 'dashboard' }],
+  ])('reads %j', (hash, route) => {
+    expect(parseRoute(at(hash))).toEqual(route);
+  });
+
+  it('still honours the older ?moderation link', () => {
+    expect(parseRoute(at('', '?moderation'))).toEqual({ name: 'moderation' });
+  });
+
+  it('falls back to the dashboard on malformed percent-encoding', () => {
+    expect(parseRoute(at('#/chat/%E0'))).toEqual({ name: 'dashboard' });
+    expect(parseRoute(at('#/memory/%'))).toEqual({ name: 'dashboard' });
+  });
+
+  it('round-trips ids through routeToHash', () => {
+    const route = { name: 'chat', roomId: 'room/with spaces#and?marks' };
+    expect(parseRoute(at(routeToHash(route)))).toEqual(route);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, it, beforeAll, beforeEach, afterAll } from 'vitest';
+import { assertSucceeds, assertFails } from '@firebase/rules-unit-testing';
+import { doc, setDoc, Timestamp } from 'firebase/firestore';
+import { ref, uploadBytes, getBytes, deleteObject, listAll } from 'firebase/storage';
+import { createRoomId } from '../src/matching';
+import { hasEmulators, createTestEnvironment, clearImages, dataPath, imagesPath } from './emulator';
+
+const ALICE = 'alice';
+const BOB = 'bob';
+const CAROL = 'carol';
+const ROOM_ID = createRoomId(ALICE, BOB);
+const MAX_IMAGE_BYTES = 1100 * 1024;
+const CIPHERTEXT = { contentType: 'application/octet-stream' };
+
+describe.skipIf(!hasEmulators)('storage.rules', () => {
+  let testEnv;
+
+  const as = (uid) => testEnv.authenticatedContext(uid).storage();
+  const imageRef = (storage, uid, imageId) => ref(storage, `${imagesPath(ROOM_ID)}/${uid}/${imageId}`);
+  const upload = (uid, folder, imageId, bytes = new Uint8Array(64), metadata = CIPHERTEXT) =>
+    uploadBytes(imageRef(as(uid), folder, imageId), bytes, metadata);
+
+  // Membership and status come from the room doc in Firestore
+  const setRoom = (status) => testEnv.withSecurityRulesDisabled((context) => setDoc(
+    doc(context.firestore(), dataPath('rooms', ROOM_ID)),
+    { status, members: [ALICE, BOB], openedAt: Timestamp.now() },
+  ));
+
+  const seedImage = (uid, imageId) => testEnv.withSecurityRulesDisabled((context) => uploadBytes(
+    imageRef(context.storage(), uid, imageId),
+    new Uint8Array(64),
+    CIPHERTEXT,
+  ));
+
+  beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await clearImages(testEnv, ROOM_ID);
+    await setRoom('open');
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  it('lets members download images, and nobody else', async () => {
+    await seedImage(ALICE, 'photo');
+    await assertSucceeds(getBytes(imageRef(as(BOB), ALICE, 'photo')));
+    await assertFails(getBytes(imageRef(as(CAROL), ALICE, 'photo')));
+  });
+
+  it('lets members list the room for teardown, and nobody else', async () => {
+    await assertSucceeds(listAll(ref(as(ALICE), imagesPath(ROOM_ID))));
+    await assertFails(listAll(ref(as(CAROL), imagesPath(ROOM_ID))));
+  });
+
+  it('takes uploads only into our own folder of an open room', async () => {
+    await assertSucceeds(upload(ALICE, ALICE, 'photo'));
+    await assertFails(upload(ALICE, BOB, 'photo'));
+    await assertFails(upload(CAROL, CAROL, 'photo'));
+    await setRoom('closed');
+    await assertFails(upload(ALICE, ALICE, 'another'));
+  });
+
+  it('takes only encrypted blobs under the size limit', async () => {
+    await assertFails(upload(ALICE, ALICE, 'plain', new Uint8Array(64), { contentType: 'image/jpeg' }));
+    await assertFails(upload(ALICE, ALICE, 'huge', new Uint8Array(MAX_IMAGE_BYTES)));
+    await assertSucceeds(upload(ALICE, ALICE, 'fits', new Uint8Array(MAX_IMAGE_BYTES - 1)));
+  });
+
+  it('lets uploaders delete their own images, and either member all of them once closed', async () => {
+    await seedImage(ALICE, 'first');
+    await seedImage(ALICE, 'second');
+    await assertSucceeds(deleteObject(imageRef(as(ALICE), ALICE, 'first')));
+    await assertFails(deleteObject(imageRef(as(BOB), ALICE, 'second')));
+    await setRoom('closed');
+    await assertFails(deleteObject(imageRef(as(CAROL), ALICE, 'second')));
+    await assertSucceeds(deleteObject(imageRef(as(BOB), ALICE, 'second')));
+  });
+});
@@ -0,0 +1,102 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll } from 'vitest';
+import { doc, collection, getDoc, getDocs, setDoc, writeBatch, Timestamp } from 'firebase/firestore';
+import { ref, uploadBytes, listAll } from 'firebase/storage';
+import { createRoomId } from '../src/matching';
+import { hasEmulators, createTestEnvironment, createSignedInBackend, clearImages, dataPath, imagesPath } from './emulator';
+
+// More than one 500-write batch, so teardown has to split its deletes
+const MESSAGE_COUNT = 520;
+
+describe.skipIf(!hasEmulators)('teardownRoom', () => {
+  let testEnv;
+  let alice;
+  let bob;
+  let roomId;
+
+  const seedRoom = (status) => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    await setDoc(doc(db, dataPath('rooms', roomId)), { status, members: [alice.uid, bob.uid].sort(), openedAt: Timestamp.now() });
+
+    const messages = Array.from({ length: MESSAGE_COUNT }, (_, i) => ({
+      id: `message-${i}`,
+      senderId: i % 2 ? alice.uid : bob.uid,
+      ciphertext: 'ciphertext',
+      iv: 'iv',
+      expiresAt: Timestamp.fromMillis(Date.now() + 60000),
+      timestamp: Timestamp.now(),
+    }));
+    for (let i = 0; i < messages.length; i += 500) {
+      const batch = writeBatch(db);
+      messages.slice(i, i + 500).forEach(({ id, ...message }) => batch.set(doc(db, dataPath('rooms', roomId, 'messages', id)), message));
+      await batch.commit();
+    }
+
+    await Promise.all([alice.uid, bob.uid].map((uid) => setDoc(doc(db, dataPath('rooms', roomId, 'presence', uid)), { state: 'left' })));
+    await setDoc(doc(db, dataPath('rooms', roomId, 'signals', 'signal-1')), { from: alice.uid, ciphertext: 'ciphertext', iv: 'iv', timestamp: Timestamp.now() });
+
+    const storage = context.storage();
+    await Promise.all([alice.uid, bob.uid].map((uid) => uploadBytes(
+      ref(storage, `${imagesPath(roomId)}/${uid}/photo`),
+      new Uint8Array(64),
+      { contentType: 'application/octet-stream' },
+    )));
+  });
+
+  // Everything teardown is meant to remove, counted with the rules out of the way
+  const countLeftovers = () => testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    const sizes = await Promise.all(['messages', 'presence', 'signals'].map(async (name) => [
+      name,
+      (await getDocs(collection(db, dataPath('rooms', roomId, name)))).size,
+    ]));
+    const { prefixes } = await listAll(ref(context.storage(), imagesPath(roomId)));
+    const folders = await Promise.all(prefixes.map((folder) => listAll(folder)));
+    return { ...Object.fromEntries(sizes), images: folders.flatMap(({ items }) => items).length };
+  });
+
+  beforeAll(async () => {
+    testEnv = await createTestEnvironment();
+    [alice, bob] = await Promise.all([createSignedInBackend(), createSignedInBackend()]);
+    roomId = createRoomId(alice.uid, bob.uid);
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await clearImages(testEnv, roomId);
+  });
+
+  afterAll(async () => {
+    await testEnv?.cleanup();
+  });
+
+  it('deletes the messages, presence, signals and images of a closed room', async () => {
+    await seedRoom('closed');
+    expect(await countLeftovers()).toEqual({ messages: MESSAGE_COUNT, presence: 2, signals: 1, images: 2 });
+
+    await alice.backend.teardownRoom(roomId);
+
+    expect(await countLeftovers()).toEqual({ messages: 0, presence: 0, signals: 0, images: 0 });
+  });
+
+  it('tells exactly one of two members leaving at once to tear down, and gives kept messages a backstop', async () => {
+    await seedRoom('open');
+    const kept = dataPath('rooms', roomId, 'messages', 'kept');
+    await testEnv.withSecurityRulesDisabled((context) => setDoc(doc(context.firestore(), kept), {
+      senderId: alice.uid, ciphertext: 'ciphertext', iv: 'iv', expiresAt: null, timestamp: Timestamp.now(),
+    }));
+
+    const results = await Promise.all([alice.backend.closeRoom(roomId, alice.uid), bob.backend.closeRoom(roomId, bob.uid)]);
+
+    expect(results.filter(Boolean)).toHaveLength(1);
+    const keptSnap = await testEnv.withSecurityRulesDisabled((context) => getDoc(doc(context.firestore(), kept)));
+    expect(keptSnap.data().expiresAt.toMillis()).toBeGreaterThan(Date.now());
+  });
+
+  it('leaves an open room alone', async () => {
+    await seedRoom('open');
+
+    await expect(bob.backend.teardownRoom(roomId)).rejects.toThrow();
+
+    expect(await countLeftovers()).toEqual({ messages: MESSAGE_COUNT, presence: 2, signals: 1, images: 2 });
+  });
+});
@@ -4,4 +4,9 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  // Emulator suites share one set of emulators, so test files run one at a time
+  test: {
+    include: ['test/**/*.test.js'],
+    fileParallelism: false,
+  },
 })